@@ -42,6 +42,12 @@ const retryButton = document.getElementById('retryButton');
 const skipTodashboard = document.getElementById('skipTodashboard');
 const showErrorDetails = document.getElementById('showErrorDetails');
 
+// Cancel buttons (progress and authentication sections)
+const cancelJobButtons = [
+    document.getElementById('cancelJobButton'),
+    document.getElementById('cancelAuthJobButton')
+];
+
 // Global state
 let currentUser = null;
 let currentJobId = null;
@@ -117,6 +123,7 @@ goToDashboard.addEventListener('click', () => window.location.href = 'dashboard.
 retryButton.addEventListener('click', handleRetry);
 skipTodashboard.addEventListener('click', () => window.location.href = 'dashboard.html');
 showErrorDetails.addEventListener('click', toggleErrorDetails);
+cancelJobButtons.forEach(button => button.addEventListener('click', handleCancelJob));
 
 // Main functions
 async function handleCreateApp() {
@@ -138,7 +145,9 @@ async function handleCreateApp() {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${idToken}`
+                'Authorization': `Bearer ${idToken}`,
+                // The app belongs to the workspace selected on the dashboard
+                'X-Workspace-Id': localStorage.getItem('shopify-workspace') || ''
             },
             body: JSON.stringify({ appName })
         });
@@ -270,6 +279,12 @@ function updateProgressUI(statusData) {
             showSuccess(appData);
             break;
             
+        case 'cancelled':
+            // Back to the app name form so a mistyped name can be fixed
+            clearJobData();
+            handleRetry();
+            break;
+            
         case 'failed':
         case 'error':
             stopStatusPolling();
@@ -284,6 +299,41 @@ function updateProgressUI(statusData) {
     }
 }
 
+// Cancel the running app creation job and return to the app name form
+async function handleCancelJob() {
+    if (!currentJobId || !currentUser) return;
+    
+    try {
+        cancelJobButtons.forEach(button => button.disabled = true);
+        stopStatusPolling();
+        
+        const idToken = await getIdToken(currentUser);
+        const response = await fetch(`${API_BASE_URL}/jobs/${currentJobId}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${idToken}`
+            }
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to cancel app creation');
+        }
+        
+        console.log('App creation cancelled:', currentJobId);
+        clearJobData();
+        handleRetry();
+        
+    } catch (error) {
+        console.error('Error cancelling app creation:', error);
+        // The job is still running; keep following it
+        startStatusPolling();
+    } finally {
+        cancelJobButtons.forEach(button => button.disabled = false);
+    }
+}
+
 function getCurrentActiveStep() {
     if (stepComplete.classList.contains('active')) return stepComplete;
     if (stepAuth.classList.contains('active')) return stepAuth;
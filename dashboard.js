@@ -17,8 +17,44 @@ const loadingState = document.getElementById('loadingState');
 const newAppButton = document.getElementById('newAppButton');
 const copyCodeButton = document.getElementById('copyCodeButton');
 const previewButton = document.getElementById('previewButton');
+const cancelGenerationButton = document.getElementById('cancelGenerationButton');
 const dashboardContainer = document.querySelector('.dashboard-container');
 const createNewAppBtn = document.getElementById('createNewAppBtn');
+const importProjectBtn = document.getElementById('importProjectBtn');
+const importProjectInput = document.getElementById('importProjectInput');
+const projectSearchInput = document.getElementById('projectSearchInput');
+const projectsSentinel = document.getElementById('projectsSentinel');
+const refineContainer = document.getElementById('refineContainer');
+const refineInput = document.getElementById('refineInput');
+const refineButton = document.getElementById('refineButton');
+const archetypeSelect = document.getElementById('archetypeSelect');
+const usageSummary = document.getElementById('usageSummary');
+const historyButton = document.getElementById('historyButton');
+const downloadButton = document.getElementById('downloadButton');
+const historyPanel = document.getElementById('historyPanel');
+const historyStatus = document.getElementById('historyStatus');
+const historyList = document.getElementById('historyList');
+const historyDiff = document.getElementById('historyDiff');
+const shareButton = document.getElementById('shareButton');
+const uploadAssetButton = document.getElementById('uploadAssetButton');
+const uploadAssetInput = document.getElementById('uploadAssetInput');
+const sharePanel = document.getElementById('sharePanel');
+const shareStatus = document.getElementById('shareStatus');
+const shareLabelInput = document.getElementById('shareLabelInput');
+const shareExpirySelect = document.getElementById('shareExpirySelect');
+const createShareButton = document.getElementById('createShareButton');
+const shareCreated = document.getElementById('shareCreated');
+const shareCreatedUrl = document.getElementById('shareCreatedUrl');
+const copyShareButton = document.getElementById('copyShareButton');
+const shareList = document.getElementById('shareList');
+const workspaceSelect = document.getElementById('workspaceSelect');
+const newWorkspaceBtn = document.getElementById('newWorkspaceBtn');
+const workspaceMembersBtn = document.getElementById('workspaceMembersBtn');
+const workspaceMembers = document.getElementById('workspaceMembers');
+const workspaceMemberList = document.getElementById('workspaceMemberList');
+const addMemberForm = document.getElementById('addMemberForm');
+const addMemberEmail = document.getElementById('addMemberEmail');
+const addMemberRole = document.getElementById('addMemberRole');
 
 // API configuration
 const API_BASE_URL = 'http://localhost:3001/api';
@@ -28,8 +64,30 @@ let currentUser = null;
 let isGenerating = false;
 let currentPreviewUrl = null;
 let currentSandboxId = null;
+let currentProjectId = null;
 let userProjects = [];
+// Cursor of the next page of projects (null when all are loaded)
+let projectsCursor = null;
+let isLoadingProjects = false;
 let isLoadingProject = false;
+let streamedCode = '';
+let renderedOutputLines = 0;
+let currentGenerationJobId = null;
+
+// Projects loaded per page of the side nav list
+const PROJECTS_PAGE_SIZE = 20;
+const PROJECT_SEARCH_DELAY = 300;
+
+// Generation job polling
+const GENERATION_POLL_INTERVAL = 1500;
+const GENERATION_JOB_STORAGE_KEY = 'shopify-generation-job';
+
+// Projects are loaded from and saved to the selected workspace, which is sent
+// with every project request and remembered across visits (app-setup.js reads
+// it too). An empty ID means the user's personal workspace.
+const WORKSPACE_STORAGE_KEY = 'shopify-workspace';
+let currentWorkspaceId = localStorage.getItem(WORKSPACE_STORAGE_KEY) || '';
+let workspaceList = [];
 
 // Auto-resize textarea
 function autoResizeTextarea(textarea) {
@@ -62,43 +120,54 @@ promptInput.addEventListener('keydown', (e) => {
 
 // Send prompt handler
 async function handleSendPrompt() {
-    const prompt = promptInput.value.trim();
+    await generateFromInput(promptInput, sendButton, null);
+}
+
+// Follow-up prompt handler - continues the currently open project
+async function handleRefinePrompt() {
+    if (!currentProjectId) return;
+    await generateFromInput(refineInput, refineButton, currentProjectId);
+}
+
+// Generate (or refine) a project from the prompt typed into the given input
+async function generateFromInput(input, button, projectId) {
+    const prompt = input.value.trim();
     
     if (!prompt || isGenerating || !currentUser) return;
     
+    await followGenerationJob(input, button, async () => {
+        // Get Firebase ID token for authentication
+        const idToken = await getIdToken(currentUser);
+        return startGenerationJob(prompt, idToken, projectId);
+    });
+}
+
+// Show a generation job's progress until it finishes. getJobId starts a new
+// job or returns one being resumed after a page refresh.
+async function followGenerationJob(input, button, getJobId) {
     try {
         isGenerating = true;
         
-        // Show loading state
+        // Show streaming state
         showResultsSection();
-        showLoadingState();
+        showStreamingState();
         
         // Disable send button and show loading
-        sendButton.disabled = true;
-        sendButton.innerHTML = `
+        button.disabled = true;
+        button.innerHTML = `
             <div class="loading-spinner" style="width: 20px; height: 20px; border-width: 2px;"></div>
         `;
         
-        // Get Firebase ID token for authentication
-        const idToken = await getIdToken(currentUser);
-        
-        // Make API call to generate code
-        const response = await fetch(`${API_BASE_URL}/generate-code`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${idToken}`
-            },
-            body: JSON.stringify({ prompt })
-        });
-        
-        const result = await response.json();
+        // Remember the job so it can be resumed after a page refresh
+        const jobId = await getJobId();
+        localStorage.setItem(GENERATION_JOB_STORAGE_KEY, jobId);
+        currentGenerationJobId = jobId;
+        cancelGenerationButton.disabled = false;
+        cancelGenerationButton.style.display = 'flex';
         
-        if (!response.ok) {
-            throw new Error(result.message || 'Failed to generate code');
-        }
+        const result = await waitForGenerationJob(jobId);
         
-        // Display the generated code and handle sandbox response
+        // Display the final generated code
         displayGeneratedCode(result.response);
         
         // Handle preview URL if sandbox was created successfully
@@ -113,26 +182,61 @@ async function handleSendPrompt() {
             }
         }
         
+        // Report an app that still fails after the automatic fix rounds
+        if (result.build && result.build.status === 'failed') {
+            const failedStep = result.build.lastError.stage === 'install' ? 'npm install' : 'startup';
+            addGenerationStage(`App still fails during ${failedStep} after ${result.build.fixAttempts} fix attempt(s)`);
+        }
+
+        // List the validation problems that were deployed anyway
+        if (result.validation) {
+            result.validation.diagnostics.forEach(diagnostic => {
+                addGenerationStage(formatDiagnostic(diagnostic));
+            });
+        }
+
+        // Credentials found in the code, which the server may have redacted
+        if (result.secrets) {
+            result.secrets.findings.forEach(finding => {
+                const action = result.secrets.mode === 'redact' ? 'redacted' : 'left in place';
+                addGenerationStage(`${finding.message} (${action})`);
+            });
+        }
+        completeGenerationStages();
+        
         // Clear the input
-        promptInput.value = '';
-        autoResizeTextarea(promptInput);
+        input.value = '';
+        autoResizeTextarea(input);
         
         console.log('Code generation successful:', result);
         
-        // Refresh projects list if a new project was created
+        // Follow-up prompts continue this project; refresh the list to show it
         if (result.projectId) {
+            setCurrentProject(result.projectId);
             loadUserProjects();
         }
         
     } catch (error) {
-        console.error('Error generating code:', error);
-        showErrorState(error.message);
+        if (error.cancelled) {
+            // Keep whatever was generated so far on screen
+            addGenerationStage('Generation cancelled');
+            completeGenerationStages();
+        } else {
+            console.error('Error generating code:', error);
+            showErrorState(error.message);
+        }
     } finally {
         isGenerating = false;
+        localStorage.removeItem(GENERATION_JOB_STORAGE_KEY);
+        currentGenerationJobId = null;
+        cancelGenerationButton.style.display = 'none';
+        
+        // Failed generations can still use tokens and sandboxes
+        loadUsage();
         
         // Reset send button
-        sendButton.disabled = false;
-        sendButton.innerHTML = `
+        button.disabled = false;
+        button.innerHTML = `
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <line x1="22" y1="2" x2="11" y2="13"></line>
                 <polygon points="22,2 15,22 11,13 2,9"></polygon>
@@ -141,24 +245,209 @@ async function handleSendPrompt() {
     }
 }
 
-// Show results section
-function showResultsSection() {
-    dashboardContainer.classList.add('showing-results');
-    resultsSection.style.display = 'block';
+// Remember which project follow-up prompts should continue
+function setCurrentProject(projectId) {
+    currentProjectId = projectId;
+    refineContainer.style.display = projectId ? 'block' : 'none';
+    historyButton.style.display = projectId ? 'inline-flex' : 'none';
+    downloadButton.style.display = projectId ? 'inline-flex' : 'none';
+    shareButton.style.display = projectId ? 'inline-flex' : 'none';
+    uploadAssetButton.style.display = projectId ? 'inline-flex' : 'none';
+    historyPanel.style.display = 'none';
+    sharePanel.style.display = 'none';
+}
+
+// Start a background generation job and return its ID
+async function startGenerationJob(prompt, idToken, projectId = null) {
+    const response = await fetch(`${API_BASE_URL}/generate-code`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`,
+            'X-Workspace-Id': currentWorkspaceId
+        },
+        // Follow-up prompts keep the app type the project was created with
+        body: JSON.stringify({ prompt, projectId, archetype: projectId ? undefined : archetypeSelect.value })
+    });
+    
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || 'Failed to generate code');
+    }
+    
+    console.log('Code generation started with job ID:', result.jobId);
+    return result.jobId;
+}
+
+// Fetch the current state of a generation job
+async function fetchGenerationStatus(jobId) {
+    const idToken = await getIdToken(currentUser);
+    const response = await fetch(`${API_BASE_URL}/generation-status/${jobId}`, {
+        headers: {
+            'Authorization': `Bearer ${idToken}`
+        }
+    });
+    
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(result.message || 'Failed to get generation status');
+        error.status = response.status;
+        throw error;
+    }
+    
+    return result;
+}
+
+// Poll a generation job until it finishes, rendering its progress on the way.
+// Resolves with the generation result or rejects with the job's error.
+function waitForGenerationJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const poll = async () => {
+            try {
+                const job = await fetchGenerationStatus(jobId);
+                updateGenerationProgress(job);
+                
+                if (job.status === 'completed') {
+                    resolve(job.result);
+                    return;
+                }
+                if (job.status === 'failed') {
+                    reject(new Error(job.error || 'Failed to generate code'));
+                    return;
+                }
+                if (job.status === 'cancelled') {
+                    const error = new Error('Generation cancelled');
+                    error.cancelled = true;
+                    reject(error);
+                    return;
+                }
+            } catch (error) {
+                // A missing job won't come back; anything else may be a temporary network issue
+                if (error.status === 403 || error.status === 404) {
+                    reject(error);
+                    return;
+                }
+                console.error('Polling error:', error);
+            }
+            
+            setTimeout(poll, GENERATION_POLL_INTERVAL);
+        };
+        
+        poll();
+    });
+}
+
+// Render the stages and code a job has produced since the last poll
+function updateGenerationProgress(job) {
+    job.output.slice(renderedOutputLines).forEach(line => addGenerationStage(line));
+    renderedOutputLines = job.output.length;
+    
+    if (job.code !== streamedCode) {
+        streamedCode = job.code;
+        displayGeneratedCode(streamedCode);
+    }
+}
+
+// Cancel the running generation; polling picks up the cancelled status
+async function handleCancelGeneration() {
+    if (!currentGenerationJobId || !currentUser) return;
+    
+    try {
+        cancelGenerationButton.disabled = true;
+        
+        const idToken = await getIdToken(currentUser);
+        const response = await fetch(`${API_BASE_URL}/jobs/${currentGenerationJobId}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${idToken}`
+            }
+        });
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to cancel generation');
+        }
+        
+        addGenerationStage('Cancelling...');
+    } catch (error) {
+        console.error('Error cancelling generation:', error);
+        cancelGenerationButton.disabled = false;
+    }
+}
+
+// Resume a generation that was still running when the page was refreshed
+async function checkForResumeGeneration() {
+    const resumeJobId = localStorage.getItem(GENERATION_JOB_STORAGE_KEY);
+    if (!resumeJobId || !currentUser || isGenerating) return;
+    
+    try {
+        const job = await fetchGenerationStatus(resumeJobId);
+        if (job.status !== 'running') {
+            localStorage.removeItem(GENERATION_JOB_STORAGE_KEY);
+            return;
+        }
+        
+        console.log('Resuming generation job:', resumeJobId);
+        if (job.projectId) {
+            setCurrentProject(job.projectId);
+            await followGenerationJob(refineInput, refineButton, async () => resumeJobId);
+        } else {
+            await followGenerationJob(promptInput, sendButton, async () => resumeJobId);
+        }
+    } catch (error) {
+        console.error('Error resuming generation job:', error);
+        localStorage.removeItem(GENERATION_JOB_STORAGE_KEY);
+    }
 }
 
-// Show loading state
-function showLoadingState() {
+// Show an empty streaming view with a stage list above the code
+function showStreamingState() {
+    streamedCode = '';
+    renderedOutputLines = 0;
     codeOutput.innerHTML = `
-        <div class="loading-state" id="loadingState">
-            <div class="loading-spinner"></div>
-            <p>AI is generating your Shopify app...</p>
-        </div>
+        <ul class="generation-stages"></ul>
+        <div class="code-content"></div>
     `;
 }
 
+// Add a progress line to the streaming stage list
+function addGenerationStage(label) {
+    const stages = codeOutput.querySelector('.generation-stages');
+    if (!stages) return;
+    
+    const previous = stages.querySelector('.generation-stage.active');
+    if (previous) {
+        previous.classList.remove('active');
+    }
+    
+    const stage = document.createElement('li');
+    stage.className = 'generation-stage active';
+    stage.textContent = label;
+    stages.appendChild(stage);
+}
+
+// "file:line:column: message" for a validation diagnostic
+function formatDiagnostic({ file, line, column, severity, message }) {
+    const location = file ? `${file}${line ? `:${line}` : ''}${column ? `:${column}` : ''}: ` : '';
+    return `${severity === 'error' ? 'Error' : 'Warning'}: ${location}${message}`;
+}
+
+// Mark every streamed stage as finished
+function completeGenerationStages() {
+    codeOutput.querySelectorAll('.generation-stage.active').forEach(stage => {
+        stage.classList.remove('active');
+    });
+}
+
+
 // Display generated code
 function displayGeneratedCode(code) {
+    const codeContent = codeOutput.querySelector('.code-content');
+    if (codeContent) {
+        codeContent.innerHTML = formatCodeForDisplay(code);
+        return;
+    }
+    
     codeOutput.innerHTML = `
         <div class="code-content">
             ${formatCodeForDisplay(code)}
@@ -176,10 +465,12 @@ function showErrorState(errorMessage) {
                 <line x1="9" y1="9" x2="15" y2="15"></line>
             </svg>
             <h3>Generation Failed</h3>
-            <p>${errorMessage}</p>
+            <p></p>
             <button class="retry-button" onclick="handleRetry()">Try Again</button>
         </div>
     `;
+    // Errors can quote model output (e.g. file paths), so they are never parsed as HTML
+    codeOutput.querySelector('.error-state p').textContent = errorMessage;
 }
 
 // Format code for display (basic formatting)
@@ -208,6 +499,7 @@ function handleRetry() {
     dashboardContainer.classList.remove('showing-results');
     resultsSection.style.display = 'none';
     hidePreviewButton();
+    setCurrentProject(null);
     promptInput.focus();
 }
 
@@ -256,6 +548,19 @@ copyCodeButton.addEventListener('click', async () => {
 // Send button click handler
 sendButton.addEventListener('click', handleSendPrompt);
 
+// Cancel button stops the running generation job
+cancelGenerationButton.addEventListener('click', handleCancelGeneration);
+
+// Follow-up prompt handlers (send on Enter, new line on Shift+Enter)
+refineButton.addEventListener('click', handleRefinePrompt);
+refineInput.addEventListener('input', () => autoResizeTextarea(refineInput));
+refineInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        handleRefinePrompt();
+    }
+});
+
 // Logout functionality
 const handleLogout = async () => {
     try {
@@ -274,6 +579,52 @@ createNewAppBtn.addEventListener('click', () => {
     window.location.href = 'app-setup.html';
 });
 
+// Import a project from a zip or tarball and open it
+async function importProject(file) {
+    importProjectBtn.disabled = true;
+    try {
+        const idToken = await getIdToken(currentUser);
+        const response = await fetch(`${API_BASE_URL}/projects/import`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Authorization': `Bearer ${idToken}`,
+                'X-Workspace-Id': currentWorkspaceId
+            },
+            body: file
+        });
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to import project');
+        }
+        
+        if (result.skipped.length > 0) {
+            console.log('Skipped while importing:', result.skipped);
+        }
+        const problems = result.validation.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        if (problems.length > 0) {
+            alert(`Imported "${result.project.name}" with ${problems.length} problem(s):\n\n${problems.slice(0, 5).map(formatDiagnostic).join('\n')}`);
+        }
+        
+        await loadUserProjects();
+        await loadProject(result.projectId);
+    } catch (error) {
+        console.error('Error importing project:', error);
+        alert(`Failed to import project: ${error.message}`);
+    } finally {
+        importProjectBtn.disabled = false;
+        importProjectInput.value = '';
+    }
+}
+
+importProjectBtn.addEventListener('click', () => importProjectInput.click());
+importProjectInput.addEventListener('change', () => {
+    if (importProjectInput.files.length > 0) {
+        importProject(importProjectInput.files[0]);
+    }
+});
+
 // Side Navigation hover functionality
 let sideNavTimer = null;
 let sideNavVisible = false;
@@ -357,30 +708,46 @@ setInterval(() => {
 }, 50); // Check every 50ms for smooth responsiveness
 
 // Project Management Functions
-async function loadUserProjects() {
+
+// Load the first page of projects matching the search box, or with
+// append the next page after the ones already shown
+async function loadUserProjects({ append = false } = {}) {
+    if (!currentUser) {
+        console.log('No current user, cannot load projects');
+        return;
+    }
+    if (append && (isLoadingProjects || !projectsCursor)) {
+        return;
+    }
+    
+    isLoadingProjects = true;
     try {
-        if (!currentUser) {
-            console.log('No current user, cannot load projects');
-            return;
-        }
-        
-        console.log('Loading projects for user:', currentUser.email);
         const idToken = await getIdToken(currentUser);
-        console.log('Got Firebase ID token, length:', idToken.length);
+        const params = new URLSearchParams({ limit: PROJECTS_PAGE_SIZE });
+        const query = projectSearchInput.value.trim();
+        if (query) params.set('q', query);
+        if (append) params.set('cursor', projectsCursor);
         
-        const response = await fetch(`${API_BASE_URL}/projects`, {
+        const response = await fetch(`${API_BASE_URL}/projects?${params}`, {
             headers: {
-                'Authorization': `Bearer ${idToken}`
+                'Authorization': `Bearer ${idToken}`,
+                'X-Workspace-Id': currentWorkspaceId
             }
         });
         
         const result = await response.json();
-        console.log('Projects API response:', result);
+        
+        // A newer search replaced this one while it was loading
+        if (query !== projectSearchInput.value.trim()) {
+            return;
+        }
         
         if (response.ok) {
-            userProjects = result.projects || [];
-            console.log('Loaded', userProjects.length, 'projects');
-            displayProjects();
+            const projects = result.projects || [];
+            userProjects = append ? [...userProjects, ...projects] : projects;
+            projectsCursor = result.nextCursor;
+            console.log('Loaded', userProjects.length, 'of', result.total, 'projects');
+            displayProjects(append ? projects : userProjects, { append });
         } else {
             console.error('Failed to load projects:', result.message);
             showProjectsError('Failed to load projects');
@@ -389,43 +756,87 @@ async function loadUserProjects() {
     } catch (error) {
         console.error('Error loading projects:', error);
         showProjectsError('Error loading projects');
+    } finally {
+        isLoadingProjects = false;
     }
 }
 
-function displayProjects() {
+function displayProjects(projects, { append = false } = {}) {
+    if (!append) {
+        // Clear existing projects
+        const existingProjects = projectsList.querySelectorAll('.project-item');
+        existingProjects.forEach(item => item.remove());
+    }
+    
     if (userProjects.length === 0) {
-        projectsPlaceholder.innerHTML = `
+        projectsPlaceholder.innerHTML = projectSearchInput.value.trim()
+            ? '<span>No matching projects</span>'
+            : `
             <span>No projects yet</span>
             <small>Create your first Shopify app!</small>
         `;
+        projectsPlaceholder.style.display = 'flex';
         return;
     }
     
     // Hide placeholder
     projectsPlaceholder.style.display = 'none';
     
-    // Clear existing projects
-    const existingProjects = projectsList.querySelectorAll('.project-item');
-    existingProjects.forEach(item => item.remove());
-    
     // Add each project
-    userProjects.forEach(project => {
+    projects.forEach(project => {
         const projectElement = createProjectElement(project);
         projectsList.appendChild(projectElement);
     });
 }
 
+// Search as the user types
+let projectSearchTimer = null;
+projectSearchInput.addEventListener('input', () => {
+    clearTimeout(projectSearchTimer);
+    projectSearchTimer = setTimeout(() => {
+        projectsCursor = null;
+        loadUserProjects();
+    }, PROJECT_SEARCH_DELAY);
+});
+
+// Load the next page when the end of the list scrolls into view
+new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) {
+        loadUserProjects({ append: true });
+    }
+}, { root: document.querySelector('.nav-body') }).observe(projectsSentinel);
+
+// Names, descriptions and tags are user input
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 function createProjectElement(project) {
     const projectDiv = document.createElement('div');
     projectDiv.className = 'project-item';
     projectDiv.dataset.projectId = project.id;
     
     const createdDate = new Date(project.createdAt).toLocaleDateString();
+    const tags = (project.tags || [])
+        .map(tag => `<span class="project-tag">${escapeHtml(tag)}</span>`)
+        .join('');
     
     projectDiv.innerHTML = `
-        <div class="project-name">${project.name}</div>
-        <div class="project-description">${project.description}</div>
+        <div class="project-name">${escapeHtml(project.name)}</div>
+        <div class="project-description">${escapeHtml(project.description || '')}</div>
+        ${tags ? `<div class="project-tags">${tags}</div>` : ''}
         <div class="project-date">${createdDate}</div>
+        <button class="project-menu-button editor-only" title="Project actions">⋯</button>
+        <div class="project-menu">
+            <button data-action="rename">Rename</button>
+            <button data-action="tags">Edit tags</button>
+            <button data-action="duplicate">Duplicate</button>
+            <button data-action="delete" class="danger">Delete</button>
+        </div>
         <div class="project-loading-overlay">
             <div class="loading-spinner small"></div>
         </div>
@@ -434,12 +845,90 @@ function createProjectElement(project) {
     // Add click handler
     projectDiv.addEventListener('click', () => loadProject(project.id));
     
+    // Actions open from the ⋯ button or a right click
+    const toggleMenu = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const isOpen = projectDiv.classList.contains('menu-open');
+        closeProjectMenus();
+        projectDiv.classList.toggle('menu-open', !isOpen);
+    };
+    projectDiv.querySelector('.project-menu-button').addEventListener('click', toggleMenu);
+    projectDiv.addEventListener('contextmenu', toggleMenu);
+    
+    projectDiv.querySelectorAll('.project-menu button').forEach(button => {
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            closeProjectMenus();
+            handleProjectAction(button.dataset.action, project);
+        });
+    });
+    
     return projectDiv;
 }
 
+function closeProjectMenus() {
+    projectsList.querySelectorAll('.project-item.menu-open').forEach(item => item.classList.remove('menu-open'));
+}
+
+document.addEventListener('click', closeProjectMenus);
+
+// Send a change for one project; resolves with the response body
+async function requestProjectChange(projectId, path, method, body) {
+    const idToken = await getIdToken(currentUser);
+    const response = await fetch(`${API_BASE_URL}/projects/${projectId}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`,
+            'X-Workspace-Id': currentWorkspaceId
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || 'Failed to update project');
+    }
+    return result;
+}
+
+// Rename, tag, duplicate or delete a project from its side-nav menu
+async function handleProjectAction(action, project) {
+    if (!currentUser) return;
+    
+    try {
+        if (action === 'rename') {
+            const name = prompt('Project name', project.name);
+            if (name === null || name.trim() === project.name) return;
+            await requestProjectChange(project.id, '', 'PATCH', { name });
+        } else if (action === 'tags') {
+            const input = prompt('Tags (comma separated)', (project.tags || []).join(', '));
+            if (input === null) return;
+            const tags = input.split(',').map(tag => tag.trim()).filter(Boolean);
+            await requestProjectChange(project.id, '', 'PATCH', { tags });
+        } else if (action === 'duplicate') {
+            await requestProjectChange(project.id, '/duplicate', 'POST');
+        } else if (action === 'delete') {
+            if (!confirm(`Delete "${project.name}"? Its files, history and preview are removed permanently.`)) return;
+            await requestProjectChange(project.id, '', 'DELETE');
+            
+            // Leave the results view if it showed the deleted project
+            if (currentProjectId === project.id) {
+                handleRetry();
+            }
+        }
+        
+        loadUserProjects();
+    } catch (error) {
+        console.error(`Error running project action "${action}":`, error);
+        alert(error.message);
+    }
+}
+
 function showProjectsError(message) {
     projectsPlaceholder.innerHTML = `
-        <span>⚠️ ${message}</span>
+        <span>⚠️ ${escapeHtml(message)}</span>
         <button id="retryProjectsBtn" style="margin-top: 8px; padding: 4px 8px; background: var(--shopify-green); color: white; border: none; border-radius: 4px; font-size: 12px; cursor: pointer;">
             Retry
         </button>
@@ -448,7 +937,7 @@ function showProjectsError(message) {
     // Add event listener to retry button
     const retryBtn = document.getElementById('retryProjectsBtn');
     if (retryBtn) {
-        retryBtn.addEventListener('click', loadUserProjects);
+        retryBtn.addEventListener('click', () => loadUserProjects());
     }
 }
 
@@ -471,7 +960,8 @@ async function loadProject(projectId) {
         const idToken = await getIdToken(currentUser);
         const response = await fetch(`${API_BASE_URL}/projects/${projectId}`, {
             headers: {
-                'Authorization': `Bearer ${idToken}`
+                'Authorization': `Bearer ${idToken}`,
+                'X-Workspace-Id': currentWorkspaceId
             }
         });
         
@@ -483,9 +973,11 @@ async function loadProject(projectId) {
         
         const project = result.project;
         
-        // Display the project code
+        // Display the project code; binary assets arrive base64-encoded and are only listed
         const codeContent = Object.entries(project.files || {})
-            .map(([filename, content]) => `// ${filename}\n${content}`)
+            .map(([filename, content]) => typeof content === 'string'
+                ? `// ${filename}\n${content}`
+                : `// ${filename}\n[${content.contentType}, ${formatBytes(content.size)}]`)
             .join('\n\n');
         
         displayGeneratedCode(codeContent);
@@ -499,6 +991,9 @@ async function loadProject(projectId) {
             hidePreviewButton();
         }
         
+        // Follow-up prompts now refine this project
+        setCurrentProject(project.id);
+        
         console.log('Project loaded successfully:', project.name);
         
     } catch (error) {
@@ -515,6 +1010,594 @@ async function loadProject(projectId) {
     }
 }
 
+// Version history
+
+const VERSION_SOURCES = {
+    generate: 'Generated',
+    refine: 'Refined',
+    restore: 'Restored',
+    duplicate: 'Duplicated',
+    import: 'Imported',
+    upload: 'Uploaded',
+    baseline: 'Before history'
+};
+
+async function fetchProjectApi(path, options = {}) {
+    const idToken = await getIdToken(currentUser);
+    const response = await fetch(`${API_BASE_URL}/projects/${currentProjectId}${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${idToken}`,
+            'X-Workspace-Id': currentWorkspaceId
+        }
+    });
+    
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || 'Request failed');
+    }
+    return result;
+}
+
+async function toggleHistory() {
+    if (historyPanel.style.display !== 'none') {
+        historyPanel.style.display = 'none';
+        return;
+    }
+    
+    historyPanel.style.display = 'block';
+    await loadVersionHistory();
+}
+
+async function loadVersionHistory() {
+    historyStatus.textContent = 'Loading...';
+    historyList.innerHTML = '';
+    historyDiff.style.display = 'none';
+    
+    try {
+        const result = await fetchProjectApi('/versions');
+        displayVersionHistory(result.versions, result.currentVersion);
+    } catch (error) {
+        console.error('Error loading version history:', error);
+        historyStatus.textContent = `⚠️ ${error.message}`;
+    }
+}
+
+function displayVersionHistory(versions, currentVersion) {
+    historyStatus.textContent = versions.length === 0
+        ? 'No versions yet. A version is saved with every change.'
+        : `${versions.length} version(s)`;
+    
+    // Newest first
+    [...versions].reverse().forEach(version => {
+        const isCurrent = version.id === currentVersion;
+        const item = document.createElement('li');
+        item.className = `history-item${isCurrent ? ' current' : ''}`;
+        
+        const label = document.createElement('span');
+        label.className = 'history-version';
+        label.textContent = version.id;
+        
+        const source = version.restoredFrom
+            ? `Restored from ${version.restoredFrom}`
+            : version.asset
+                ? `Uploaded ${version.asset}`
+                : VERSION_SOURCES[version.source] || version.source;
+        const details = document.createElement('span');
+        details.className = 'history-details';
+        details.textContent = `${source} · ${new Date(version.createdAt).toLocaleString()}${version.prompt ? ` · ${version.prompt}` : ''}`;
+        details.title = version.prompt || '';
+        
+        item.append(label, details);
+        
+        if (!isCurrent) {
+            const diffButton = document.createElement('button');
+            diffButton.className = 'action-button secondary';
+            diffButton.textContent = 'Changes';
+            diffButton.addEventListener('click', () => showVersionDiff(version.id, currentVersion));
+            
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'action-button editor-only';
+            restoreButton.textContent = 'Restore';
+            restoreButton.addEventListener('click', () => restoreVersion(version.id));
+            
+            item.append(diffButton, restoreButton);
+        } else {
+            const currentLabel = document.createElement('span');
+            currentLabel.textContent = 'Current';
+            item.append(currentLabel);
+        }
+        
+        historyList.appendChild(item);
+    });
+}
+
+// Show what changed between an older version and the current one
+async function showVersionDiff(from, to) {
+    historyDiff.style.display = 'block';
+    historyDiff.textContent = 'Loading changes...';
+    
+    try {
+        const result = await fetchProjectApi(`/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+        historyDiff.innerHTML = '';
+        
+        const changedFiles = result.files.filter(file => file.status !== 'unchanged');
+        const heading = document.createElement('div');
+        heading.textContent = changedFiles.length === 0
+            ? `No changes between ${from} and ${to}`
+            : `Changes from ${from} to ${to}`;
+        historyDiff.appendChild(heading);
+        
+        changedFiles.forEach(file => {
+            const fileHeading = document.createElement('div');
+            fileHeading.className = 'history-diff-file';
+            if (file.binary) {
+                fileHeading.textContent = `${file.path} (${file.status}, binary file)`;
+                historyDiff.appendChild(fileHeading);
+                return;
+            }
+            fileHeading.textContent = `${file.path} (${file.status}, +${file.additions} -${file.deletions})`;
+            
+            const pre = document.createElement('pre');
+            file.diff.split('\n').forEach(line => {
+                const lineElement = document.createElement('div');
+                lineElement.textContent = line;
+                if (line.startsWith('@@')) lineElement.className = 'diff-hunk';
+                else if (line.startsWith('+')) lineElement.className = 'diff-added';
+                else if (line.startsWith('-')) lineElement.className = 'diff-removed';
+                pre.appendChild(lineElement);
+            });
+            
+            historyDiff.append(fileHeading, pre);
+        });
+    } catch (error) {
+        console.error('Error loading version diff:', error);
+        historyDiff.textContent = `⚠️ ${error.message}`;
+    }
+}
+
+async function restoreVersion(versionId) {
+    if (!confirm(`Restore ${versionId}? The current files are kept in the history and can be restored again.`)) {
+        return;
+    }
+    
+    try {
+        historyStatus.textContent = `Restoring ${versionId}...`;
+        await fetchProjectApi(`/versions/${encodeURIComponent(versionId)}/restore`, { method: 'POST' });
+        
+        // Reload the project to show the restored files and start a new preview
+        await loadProject(currentProjectId);
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        historyStatus.textContent = `⚠️ ${error.message}`;
+    }
+}
+
+// Download the current project as a zip archive. The request needs the auth
+// header, so the archive is fetched and saved through an object URL.
+async function downloadProject() {
+    downloadButton.disabled = true;
+    try {
+        const idToken = await getIdToken(currentUser);
+        const response = await fetch(`${API_BASE_URL}/projects/${currentProjectId}/export.zip`, {
+            headers: {
+                'Authorization': `Bearer ${idToken}`,
+                'X-Workspace-Id': currentWorkspaceId
+            }
+        });
+        
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || 'Failed to export project');
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : 'project.zip';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error downloading project:', error);
+        alert(`Failed to download project: ${error.message}`);
+    } finally {
+        downloadButton.disabled = false;
+    }
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Upload an image, font or icon into the current project, then reload it so
+// the new preview includes the asset
+async function uploadAsset(file) {
+    const assetPath = prompt('Path of the file in the project', `public/${file.name}`);
+    if (!assetPath) {
+        uploadAssetInput.value = '';
+        return;
+    }
+    
+    uploadAssetButton.disabled = true;
+    try {
+        await fetchProjectApi(`/assets?path=${encodeURIComponent(assetPath.trim())}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        await loadProject(currentProjectId);
+    } catch (error) {
+        console.error('Error uploading asset:', error);
+        alert(`Failed to upload ${file.name}: ${error.message}`);
+    } finally {
+        uploadAssetButton.disabled = false;
+        uploadAssetInput.value = '';
+    }
+}
+
+async function toggleSharePanel() {
+    if (sharePanel.style.display !== 'none') {
+        sharePanel.style.display = 'none';
+        return;
+    }
+    
+    sharePanel.style.display = 'block';
+    shareCreated.style.display = 'none';
+    await loadShareLinks();
+}
+
+async function loadShareLinks() {
+    shareStatus.textContent = 'Loading...';
+    shareList.innerHTML = '';
+    
+    try {
+        const result = await fetchProjectApi('/shares');
+        displayShareLinks(result.shares);
+    } catch (error) {
+        console.error('Error loading share links:', error);
+        shareStatus.textContent = `⚠️ ${error.message}`;
+    }
+}
+
+function displayShareLinks(shares) {
+    shareStatus.textContent = shares.length === 0
+        ? 'Anyone with a link can view the files, the prompt and a live preview'
+        : `${shares.length} link(s)`;
+    shareList.innerHTML = '';
+    
+    // Newest first
+    [...shares].reverse().forEach(share => {
+        const item = document.createElement('li');
+        item.className = `history-item${share.expired ? ' expired' : ''}`;
+        
+        const expiry = share.expired
+            ? 'Expired'
+            : share.expiresAt ? `Expires ${new Date(share.expiresAt).toLocaleString()}` : 'Never expires';
+        const details = document.createElement('span');
+        details.className = 'history-details';
+        details.textContent = `${share.label || 'Untitled link'} · Created ${new Date(share.createdAt).toLocaleString()} · ${expiry}`;
+        
+        const revokeButton = document.createElement('button');
+        revokeButton.className = 'action-button secondary';
+        revokeButton.textContent = 'Revoke';
+        revokeButton.addEventListener('click', () => revokeShareLink(share));
+        
+        item.append(details, revokeButton);
+        shareList.appendChild(item);
+    });
+}
+
+// The link is only shown once: the server keeps a hash of the token
+async function createShareLink() {
+    createShareButton.disabled = true;
+    try {
+        shareStatus.textContent = 'Creating link...';
+        const result = await fetchProjectApi('/share', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                label: shareLabelInput.value,
+                expiresInDays: shareExpirySelect.value ? Number(shareExpirySelect.value) : null
+            })
+        });
+        
+        shareCreatedUrl.value = `${window.location.origin}/share.html?token=${encodeURIComponent(result.token)}`;
+        shareCreated.style.display = 'flex';
+        shareLabelInput.value = '';
+        await loadShareLinks();
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        shareStatus.textContent = `⚠️ ${error.message}`;
+    } finally {
+        createShareButton.disabled = false;
+    }
+}
+
+async function copyShareLink() {
+    try {
+        await navigator.clipboard.writeText(shareCreatedUrl.value);
+        copyShareButton.textContent = 'Copied!';
+        setTimeout(() => {
+            copyShareButton.textContent = 'Copy';
+        }, 2000);
+    } catch (error) {
+        console.error('Failed to copy share link:', error);
+        shareCreatedUrl.select();
+    }
+}
+
+async function revokeShareLink(share) {
+    if (!confirm(`Revoke "${share.label || 'Untitled link'}"? Anyone using it will lose access.`)) {
+        return;
+    }
+    
+    try {
+        await fetchProjectApi(`/shares/${encodeURIComponent(share.id)}`, { method: 'DELETE' });
+        shareCreated.style.display = 'none';
+        await loadShareLinks();
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        shareStatus.textContent = `⚠️ ${error.message}`;
+    }
+}
+
+// Load the user's workspaces into the switcher, keeping the one used last
+async function loadWorkspaces() {
+    try {
+        const idToken = await getIdToken(currentUser);
+        const response = await fetch(`${API_BASE_URL}/workspaces`, {
+            headers: {
+                'Authorization': `Bearer ${idToken}`
+            }
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to load workspaces');
+        }
+        workspaceList = result.workspaces;
+    } catch (error) {
+        console.error('Error loading workspaces:', error);
+        workspaceList = [];
+    }
+    
+    // The remembered workspace may have been left or deleted since
+    selectWorkspace(workspaceList.find(workspace => workspace.id === currentWorkspaceId) || workspaceList[0] || null);
+}
+
+// Use a workspace for project requests and show what its role allows
+function selectWorkspace(workspace) {
+    currentWorkspaceId = workspace ? workspace.id : '';
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, currentWorkspaceId);
+    
+    dashboardContainer.classList.toggle('read-only', Boolean(workspace) && workspace.role === 'viewer');
+    workspaceMembersBtn.style.display = workspace && !workspace.personal ? 'inline-flex' : 'none';
+    workspaceMembers.style.display = 'none';
+    
+    workspaceSelect.innerHTML = '';
+    workspaceList.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.id;
+        option.textContent = item.personal ? 'Personal' : `${item.name} (${item.role})`;
+        workspaceSelect.appendChild(option);
+    });
+    workspaceSelect.value = currentWorkspaceId;
+}
+
+function switchWorkspace(workspaceId) {
+    selectWorkspace(workspaceList.find(workspace => workspace.id === workspaceId) || null);
+    
+    // The open project belongs to the previous workspace
+    if (currentProjectId) {
+        handleRetry();
+    }
+    loadUserProjects();
+}
+
+async function createWorkspace() {
+    const name = prompt('Name of the new team workspace');
+    if (name === null || !name.trim()) return;
+    
+    try {
+        const idToken = await getIdToken(currentUser);
+        const response = await fetch(`${API_BASE_URL}/workspaces`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${idToken}`
+            },
+            body: JSON.stringify({ name })
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to create workspace');
+        }
+        
+        currentWorkspaceId = result.workspace.id;
+        await loadWorkspaces();
+        switchWorkspace(result.workspace.id);
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        alert(error.message);
+    }
+}
+
+async function fetchWorkspaceApi(path, options = {}) {
+    const idToken = await getIdToken(currentUser);
+    const response = await fetch(`${API_BASE_URL}/workspaces/${currentWorkspaceId}${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${idToken}`
+        }
+    });
+    
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || 'Request failed');
+    }
+    return result;
+}
+
+async function toggleWorkspaceMembers() {
+    if (workspaceMembers.style.display !== 'none') {
+        workspaceMembers.style.display = 'none';
+        return;
+    }
+    
+    workspaceMembers.style.display = 'block';
+    await loadWorkspaceMembers();
+}
+
+async function loadWorkspaceMembers() {
+    workspaceMemberList.innerHTML = '<li class="workspace-member">Loading members...</li>';
+    
+    try {
+        const result = await fetchWorkspaceApi('/members');
+        displayWorkspaceMembers(result.members, result.role);
+    } catch (error) {
+        console.error('Error loading workspace members:', error);
+        workspaceMemberList.innerHTML = '';
+        const item = document.createElement('li');
+        item.className = 'workspace-member';
+        item.textContent = `⚠️ ${error.message}`;
+        workspaceMemberList.appendChild(item);
+    }
+}
+
+// Owners change roles and remove members; everyone else can only leave
+function displayWorkspaceMembers(members, role) {
+    const isOwner = role === 'owner';
+    workspaceMemberList.innerHTML = '';
+    addMemberForm.style.display = isOwner ? 'flex' : 'none';
+    
+    members.forEach(member => {
+        const isSelf = member.userId === currentUser.uid;
+        const item = document.createElement('li');
+        item.className = 'workspace-member';
+        
+        const name = document.createElement('span');
+        name.className = 'workspace-member-name';
+        name.textContent = `${member.email || member.userId}${isSelf ? ' (you)' : ''}`;
+        name.title = member.email || member.userId;
+        item.appendChild(name);
+        
+        if (isOwner) {
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'workspace-select';
+            ['owner', 'editor', 'viewer'].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = member.role;
+            roleSelect.addEventListener('change', () => changeMemberRole(member, roleSelect.value));
+            item.appendChild(roleSelect);
+        } else {
+            const roleLabel = document.createElement('span');
+            roleLabel.textContent = member.role;
+            item.appendChild(roleLabel);
+        }
+        
+        if (isOwner || isSelf) {
+            const removeButton = document.createElement('button');
+            removeButton.textContent = isSelf ? 'Leave' : 'Remove';
+            removeButton.addEventListener('click', () => removeMember(member, isSelf));
+            item.appendChild(removeButton);
+        }
+        
+        workspaceMemberList.appendChild(item);
+    });
+}
+
+async function addMember(event) {
+    event.preventDefault();
+    
+    try {
+        const result = await fetchWorkspaceApi('/members', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email: addMemberEmail.value, role: addMemberRole.value })
+        });
+        addMemberEmail.value = '';
+        displayWorkspaceMembers(result.members, 'owner');
+    } catch (error) {
+        console.error('Error adding workspace member:', error);
+        alert(error.message);
+    }
+}
+
+async function changeMemberRole(member, role) {
+    try {
+        await fetchWorkspaceApi(`/members/${encodeURIComponent(member.userId)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ role })
+        });
+        
+        // Owners who change their own role lose or keep access to settings
+        if (member.userId === currentUser.uid) {
+            await loadWorkspaces();
+            loadUserProjects();
+        }
+    } catch (error) {
+        console.error('Error changing member role:', error);
+        alert(error.message);
+    }
+    await loadWorkspaceMembers();
+}
+
+async function removeMember(member, isSelf) {
+    const question = isSelf
+        ? 'Leave this workspace? You will lose access to its projects.'
+        : `Remove ${member.email || member.userId} from this workspace?`;
+    if (!confirm(question)) return;
+    
+    try {
+        await fetchWorkspaceApi(`/members/${encodeURIComponent(member.userId)}`, { method: 'DELETE' });
+        if (isSelf) {
+            currentWorkspaceId = '';
+            await loadWorkspaces();
+            switchWorkspace(currentWorkspaceId);
+            return;
+        }
+        await loadWorkspaceMembers();
+    } catch (error) {
+        console.error('Error removing workspace member:', error);
+        alert(error.message);
+    }
+}
+
+workspaceSelect.addEventListener('change', () => switchWorkspace(workspaceSelect.value));
+newWorkspaceBtn.addEventListener('click', createWorkspace);
+workspaceMembersBtn.addEventListener('click', toggleWorkspaceMembers);
+addMemberForm.addEventListener('submit', addMember);
+
+historyButton.addEventListener('click', toggleHistory);
+downloadButton.addEventListener('click', downloadProject);
+shareButton.addEventListener('click', toggleSharePanel);
+uploadAssetButton.addEventListener('click', () => uploadAssetInput.click());
+uploadAssetInput.addEventListener('change', () => {
+    if (uploadAssetInput.files.length > 0) {
+        uploadAsset(uploadAssetInput.files[0]);
+    }
+});
+createShareButton.addEventListener('click', createShareLink);
+copyShareButton.addEventListener('click', copyShareLink);
+
 // Auth state observer - redirect if not authenticated
 onAuthStateChanged(auth, (user) => {
     if (!user) {
@@ -524,11 +1607,73 @@ onAuthStateChanged(auth, (user) => {
         currentUser = user;
         console.log('User authenticated:', user.email);
         
-        // Load user projects
-        loadUserProjects();
+        // Load the workspace's projects, and the user's usage
+        loadWorkspaces().then(() => loadUserProjects());
+        loadUsage();
+        
+        // Pick up a generation that was running before a page refresh
+        checkForResumeGeneration();
     }
 });
 
+// Usage rows shown in the side nav: [period, metric, label]
+const USAGE_ROWS = [
+    ['daily', 'generations', 'Generations today'],
+    ['daily', 'tokens', 'Tokens today'],
+    ['daily', 'sandboxes', 'Sandboxes today'],
+    ['monthly', 'tokens', 'Tokens this month'],
+    ['monthly', 'sandboxMinutes', 'Sandbox minutes this month']
+];
+
+// Load the user's usage and quotas
+async function loadUsage() {
+    try {
+        if (!currentUser) return;
+        
+        const idToken = await getIdToken(currentUser);
+        const response = await fetch(`${API_BASE_URL}/usage`, {
+            headers: {
+                'Authorization': `Bearer ${idToken}`
+            }
+        });
+        
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to load usage');
+        }
+        
+        displayUsage(result);
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        usageSummary.innerHTML = '<div class="nav-placeholder"><span>Usage unavailable</span></div>';
+    }
+}
+
+// Render usage against the plan's limits
+function displayUsage(usage) {
+    usageSummary.innerHTML = '';
+    
+    USAGE_ROWS.forEach(([period, metric, label]) => {
+        const used = usage[period].usage[metric];
+        const limit = usage[period].limits[metric];
+        if (limit === null || limit === undefined) return;
+        
+        const percent = Math.min(100, Math.round((used / limit) * 100));
+        const row = document.createElement('div');
+        row.className = 'usage-row';
+        row.innerHTML = `
+            <div class="usage-row-label">
+                <span>${label}</span>
+                <span>${used.toLocaleString()} / ${limit.toLocaleString()}</span>
+            </div>
+            <div class="usage-bar">
+                <div class="usage-bar-fill ${percent >= 100 ? 'full' : ''}" style="width: ${percent}%"></div>
+            </div>
+        `;
+        usageSummary.appendChild(row);
+    });
+}
+
 // Initial setup
 document.addEventListener('DOMContentLoaded', () => {
     // Set initial button state
@@ -540,8 +1685,34 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Check if server is running
     checkServerHealth();
+    
+    // Fill the app type picker
+    loadArchetypes();
 });
 
+// Load the app types the server can generate
+async function loadArchetypes() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/archetypes`);
+        if (!response.ok) {
+            throw new Error('Failed to load app types');
+        }
+        
+        const result = await response.json();
+        archetypeSelect.innerHTML = '';
+        result.archetypes.forEach(archetype => {
+            const option = document.createElement('option');
+            option.value = archetype.id;
+            option.textContent = archetype.name;
+            option.title = archetype.description;
+            option.selected = archetype.id === result.defaultArchetype;
+            archetypeSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading app types:', error);
+    }
+}
+
 // Check server health
 async function checkServerHealth() {
     try {
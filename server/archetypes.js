@@ -0,0 +1,220 @@
+// Catalogue of Shopify app archetypes the generator can build. Each archetype
+// has its own instructions for the system prompt, the file layout the model is
+// asked to follow and validation rules that generated files must pass.
+//
+// Every archetype still runs in the sandbox with "npm install" and
+// "node server.js", so each one includes a server.js that listens on port 3000
+// and gives the live preview something to show.
+
+const ARCHETYPES = [
+    {
+        id: 'express-app',
+        name: 'Standalone Express app',
+        description: 'A self-contained Node.js/Express web app with its own pages and API.',
+        instructions: `When generating code:
+1. Create a Node.js/Express web application with server.js at the app root
+2. Organise files the way a real Shopify app would, using subdirectories where they make sense (e.g. public/app.js, prisma/schema.prisma)
+3. Include HTML content served directly from the server or as static files
+4. Focus on practical, working functionality
+
+Example server.js:
+\`\`\`javascript
+const express = require('express');
+const path = require('path');
+const app = express();
+const port = 3000;
+
+// Serve static files from the public directory
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Default route
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+app.listen(port, () => {
+    console.log(\`App running at http://localhost:\${port}\`);
+});
+\`\`\``,
+        layout: [
+            { path: 'server.js', description: 'Express server listening on port 3000' },
+            { path: 'package.json', description: 'Dependencies and start script' },
+            { path: 'public/', description: 'Static HTML, CSS and browser JavaScript' }
+        ],
+        rules: {
+            requiredFiles: ['server.js', 'package.json']
+        }
+    },
+    {
+        id: 'embedded-admin',
+        name: 'Embedded admin app',
+        description: 'An app that runs inside the Shopify admin using App Bridge and Polaris.',
+        instructions: `Build an embedded Shopify admin app:
+1. public/index.html loads App Bridge from https://cdn.shopify.com/shopifycloud/app-bridge.js with a <meta name="shopify-api-key"> tag
+2. Style the UI with Polaris (the Polaris web components from https://cdn.shopify.com/shopifycloud/polaris.js, or Polaris CSS) so it looks native in the admin
+3. server.js serves the UI for any path under / and exposes the app's JSON API under /api
+4. Read SHOPIFY_API_KEY from process.env and inject it into the page; never hard-code credentials
+5. Describe the app in shopify.app.toml (client_id, name, application_url, embedded = true, access_scopes)`,
+        layout: [
+            { path: 'server.js', description: 'Express server for the embedded UI and /api routes' },
+            { path: 'package.json', description: 'Dependencies and start script' },
+            { path: 'shopify.app.toml', description: 'App configuration with embedded = true' },
+            { path: 'public/index.html', description: 'Admin UI using App Bridge and Polaris' }
+        ],
+        rules: {
+            requiredFiles: ['server.js', 'package.json', 'shopify.app.toml', 'public/index.html'],
+            contentChecks: [
+                { file: 'public/index.html', pattern: /app-bridge/i, description: 'public/index.html must load App Bridge' },
+                { file: 'shopify.app.toml', pattern: /embedded\s*=\s*true/, description: 'shopify.app.toml must set embedded = true' }
+            ]
+        }
+    },
+    {
+        id: 'theme-app-extension',
+        name: 'Theme app extension',
+        description: 'App blocks and embeds that merchants add to their Online Store theme.',
+        instructions: `Build a theme app extension:
+1. Put the extension under extensions/<extension-name>/ with a shopify.extension.toml (type = "theme")
+2. Each app block is a Liquid file in extensions/<extension-name>/blocks/ ending with a {% schema %} block that declares its settings
+3. Put CSS and JavaScript the blocks use in extensions/<extension-name>/assets/
+4. server.js is a preview server: it serves a page at / that shows how each block renders with its default settings`,
+        layout: [
+            { path: 'server.js', description: 'Preview server for the blocks' },
+            { path: 'package.json', description: 'Dependencies and start script' },
+            { path: 'extensions/<name>/shopify.extension.toml', description: 'Extension configuration with type = "theme"' },
+            { path: 'extensions/<name>/blocks/<block>.liquid', description: 'App blocks with a {% schema %}' },
+            { path: 'extensions/<name>/assets/', description: 'CSS and JavaScript used by the blocks' }
+        ],
+        rules: {
+            requiredFiles: ['server.js', 'package.json'],
+            requiredPatterns: [
+                { pattern: /^extensions\/[^/]+\/shopify\.extension\.toml$/, description: 'an extensions/<name>/shopify.extension.toml file' },
+                { pattern: /^extensions\/[^/]+\/blocks\/[^/]+\.liquid$/, description: 'at least one block at extensions/<name>/blocks/<block>.liquid' }
+            ],
+            contentChecks: [
+                { filePattern: /^extensions\/[^/]+\/blocks\/[^/]+\.liquid$/, pattern: /\{%-?\s*schema\s*-?%\}/, description: 'every block must contain a {% schema %} section' }
+            ]
+        }
+    },
+    {
+        id: 'app-proxy',
+        name: 'App proxy storefront page',
+        description: 'A storefront page served by the app through a Shopify app proxy.',
+        instructions: `Build an app proxy storefront page:
+1. Configure the proxy in shopify.app.toml with an [app_proxy] section (url, subpath, prefix)
+2. server.js handles the proxied requests under /proxy, verifying the "signature" query parameter with HMAC-SHA256 and SHOPIFY_API_SECRET from process.env
+3. Proxied responses are Liquid with Content-Type application/liquid so they render inside the shop's theme
+4. Also serve a plain preview of the page at / so it can be viewed in the sandbox`,
+        layout: [
+            { path: 'server.js', description: 'Express server handling /proxy requests and a / preview' },
+            { path: 'package.json', description: 'Dependencies and start script' },
+            { path: 'shopify.app.toml', description: 'App configuration with an [app_proxy] section' },
+            { path: 'views/', description: 'Liquid or HTML templates for the page' }
+        ],
+        rules: {
+            requiredFiles: ['server.js', 'package.json', 'shopify.app.toml'],
+            contentChecks: [
+                { file: 'shopify.app.toml', pattern: /\[app_proxy\]/, description: 'shopify.app.toml must contain an [app_proxy] section' },
+                { file: 'server.js', pattern: /signature/, description: 'server.js must verify the app proxy signature' }
+            ]
+        }
+    },
+    {
+        id: 'webhook-processor',
+        name: 'Webhook processor',
+        description: 'A service that receives and processes Shopify webhooks.',
+        instructions: `Build a Shopify webhook processor:
+1. Subscribe to the relevant topics in shopify.app.toml under [webhooks] / [[webhooks.subscriptions]]
+2. server.js receives webhooks with express.raw({ type: 'application/json' }) and verifies the X-Shopify-Hmac-Sha256 header against SHOPIFY_API_SECRET from process.env using a timing-safe comparison
+3. Respond 200 quickly and do the processing afterwards; reject invalid signatures with 401
+4. Serve a small status page at / that lists recently processed webhooks`,
+        layout: [
+            { path: 'server.js', description: 'Express server with webhook routes and a / status page' },
+            { path: 'package.json', description: 'Dependencies and start script' },
+            { path: 'shopify.app.toml', description: 'App configuration with webhook subscriptions' },
+            { path: 'handlers/', description: 'One module per webhook topic' }
+        ],
+        rules: {
+            requiredFiles: ['server.js', 'package.json', 'shopify.app.toml'],
+            contentChecks: [
+                { file: 'server.js', pattern: /x-shopify-hmac-sha256/i, description: 'server.js must verify the X-Shopify-Hmac-Sha256 header' },
+                { file: 'shopify.app.toml', pattern: /\[webhooks/, description: 'shopify.app.toml must declare webhook subscriptions' }
+            ]
+        }
+    },
+    {
+        id: 'shopify-function',
+        name: 'Discount function',
+        description: 'A Shopify Function that calculates discounts at checkout.',
+        instructions: `Build a discount Shopify Function in JavaScript:
+1. Put the function under extensions/<function-name>/ with a shopify.extension.toml (type = "function", api_version and the discount target)
+2. extensions/<function-name>/src/run.graphql is the input query and extensions/<function-name>/src/run.js exports run(input) returning the discount operations
+3. Keep run.js free of Node-only APIs; it must run in the Shopify Functions runtime
+4. server.js is a test harness: POST /run accepts an input JSON, calls run(input) and returns the result; / shows a form with sample cart input`,
+        layout: [
+            { path: 'server.js', description: 'Test harness that calls run() with sample input' },
+            { path: 'package.json', description: 'Dependencies and start script' },
+            { path: 'extensions/<name>/shopify.extension.toml', description: 'Function configuration' },
+            { path: 'extensions/<name>/src/run.graphql', description: 'Input query' },
+            { path: 'extensions/<name>/src/run.js', description: 'Function logic exporting run(input)' }
+        ],
+        rules: {
+            requiredFiles: ['server.js', 'package.json'],
+            requiredPatterns: [
+                { pattern: /^extensions\/[^/]+\/shopify\.extension\.toml$/, description: 'an extensions/<name>/shopify.extension.toml file' },
+                { pattern: /^extensions\/[^/]+\/src\/run\.graphql$/, description: 'an input query at extensions/<name>/src/run.graphql' },
+                { pattern: /^extensions\/[^/]+\/src\/run\.(js|ts)$/, description: 'function logic at extensions/<name>/src/run.js' }
+            ]
+        }
+    }
+];
+
+const DEFAULT_ARCHETYPE_ID = 'express-app';
+
+function getArchetype(archetypeId) {
+    return ARCHETYPES.find(archetype => archetype.id === archetypeId) || null;
+}
+
+// Public description of the catalogue for the dashboard
+function listArchetypes() {
+    return ARCHETYPES.map(({ id, name, description, layout }) => ({ id, name, description, layout }));
+}
+
+// Check a complete set of project files against an archetype's rules.
+// Returns a list of human-readable problems (empty when the files pass).
+function validateArchetypeFiles(archetype, files) {
+    const errors = [];
+    const rules = archetype.rules || {};
+    const paths = Object.keys(files);
+
+    for (const requiredFile of rules.requiredFiles || []) {
+        if (files[requiredFile] === undefined) {
+            errors.push(`Missing required file ${requiredFile}`);
+        }
+    }
+
+    for (const { pattern, description } of rules.requiredPatterns || []) {
+        if (!paths.some(filePath => pattern.test(filePath))) {
+            errors.push(`Missing ${description}`);
+        }
+    }
+
+    for (const check of rules.contentChecks || []) {
+        const checkedPaths = check.file ? [check.file] : paths.filter(filePath => check.filePattern.test(filePath));
+        for (const filePath of checkedPaths) {
+            if (files[filePath] !== undefined && !check.pattern.test(files[filePath])) {
+                errors.push(check.file ? check.description : `${filePath}: ${check.description}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    ARCHETYPES,
+    DEFAULT_ARCHETYPE_ID,
+    getArchetype,
+    listArchetypes,
+    validateArchetypeFiles
+};
@@ -0,0 +1,114 @@
+// Content types of project files and handling of binary assets (images, fonts,
+// icons). Text files are strings everywhere; binary assets are Buffers in
+// storage, in the sandbox and in memory. They are never sent to the model, and
+// JSON (version snapshots and API responses) carries them base64-encoded as
+// { encoding: 'base64', contentType, size, data }.
+
+const TEXT_CONTENT_TYPES = {
+    'js': 'application/javascript',
+    'mjs': 'application/javascript',
+    'cjs': 'application/javascript',
+    'jsx': 'text/jsx',
+    'ts': 'application/typescript',
+    'tsx': 'text/tsx',
+    'json': 'application/json',
+    'html': 'text/html',
+    'css': 'text/css',
+    'txt': 'text/plain',
+    'md': 'text/markdown',
+    'liquid': 'text/x-liquid',
+    'graphql': 'application/graphql',
+    'gql': 'application/graphql',
+    'toml': 'application/toml',
+    'yml': 'application/yaml',
+    'yaml': 'application/yaml',
+    'prisma': 'text/plain',
+    'sh': 'application/x-sh',
+    // SVG is XML, so it is stored and edited as text
+    'svg': 'image/svg+xml'
+};
+
+const BINARY_CONTENT_TYPES = {
+    'png': 'image/png',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'gif': 'image/gif',
+    'webp': 'image/webp',
+    'ico': 'image/x-icon',
+    'woff': 'font/woff',
+    'woff2': 'font/woff2'
+};
+
+// Files that can be uploaded with POST /api/projects/:projectId/assets
+const ASSET_EXTENSIONS = ['svg', ...Object.keys(BINARY_CONTENT_TYPES)];
+const MAX_ASSET_SIZE = 2 * 1024 * 1024;
+// Binary assets of one project together
+const MAX_PROJECT_ASSETS_SIZE = 10 * 1024 * 1024;
+
+function extensionOf(filePath) {
+    const name = String(filePath).split('/').pop();
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+function getContentType(filePath) {
+    const extension = extensionOf(filePath);
+    return BINARY_CONTENT_TYPES[extension] || TEXT_CONTENT_TYPES[extension] || 'text/plain';
+}
+
+// Binary assets are kept as Buffers; everything else is text
+function isBinaryAsset(filePath) {
+    return BINARY_CONTENT_TYPES[extensionOf(filePath)] !== undefined;
+}
+
+function isAssetPath(filePath) {
+    return ASSET_EXTENSIONS.includes(extensionOf(filePath));
+}
+
+// Total size of the binary assets in a set of files
+function binaryAssetsSize(files) {
+    return Object.values(files)
+        .filter(content => Buffer.isBuffer(content))
+        .reduce((total, content) => total + content.length, 0);
+}
+
+// Copy of files that is safe to serialize as JSON
+function encodeFiles(files) {
+    const encoded = {};
+    for (const [filePath, content] of Object.entries(files)) {
+        encoded[filePath] = Buffer.isBuffer(content)
+            ? { encoding: 'base64', contentType: getContentType(filePath), size: content.length, data: content.toString('base64') }
+            : content;
+    }
+    return encoded;
+}
+
+// Reverse of encodeFiles
+function decodeFiles(files) {
+    const decoded = {};
+    for (const [filePath, content] of Object.entries(files)) {
+        decoded[filePath] = content && typeof content === 'object' && content.encoding === 'base64'
+            ? Buffer.from(content.data, 'base64')
+            : content;
+    }
+    return decoded;
+}
+
+// E2B's files.write takes strings or ArrayBuffers, not Buffers
+function toSandboxContent(content) {
+    return Buffer.isBuffer(content)
+        ? content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength)
+        : content;
+}
+
+module.exports = {
+    ASSET_EXTENSIONS,
+    MAX_ASSET_SIZE,
+    MAX_PROJECT_ASSETS_SIZE,
+    getContentType,
+    isBinaryAsset,
+    isAssetPath,
+    binaryAssetsSize,
+    encodeFiles,
+    decodeFiles,
+    toSandboxContent
+};
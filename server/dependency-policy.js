@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+// Policy for the dependencies generated package.json files may declare. It is
+// checked before npm install runs in a sandbox, because install scripts of any
+// listed package run there with the app's network access.
+//
+// The defaults below can be overridden with a JSON file of the same shape named
+// by DEPENDENCY_POLICY_FILE; its keys replace the default ones.
+//
+//   allowedPackages  when non-empty, the only packages that may be used
+//   deniedPackages   packages that are never allowed (mostly heavy install scripts)
+//   allowedScopes    scopes a scoped package may come from; null allows any scope
+//   allowGitUrls     git, GitHub shorthand, tarball URL and local path specifiers
+//   allowDistTags    dist-tags such as "latest" or "next" instead of a version range
+//   allowUnboundedRanges  "*", "x", "" and ">=" ranges without an upper bound
+//   deniedScripts    lifecycle scripts the package.json itself may not define
+const DEFAULT_POLICY = {
+    allowedPackages: [],
+    deniedPackages: [
+        'puppeteer',
+        'playwright',
+        'electron',
+        'node-sass',
+        'sharp',
+        'canvas',
+        'bcrypt',
+        'sqlite3',
+        'better-sqlite3',
+        'node-gyp',
+        'husky'
+    ],
+    allowedScopes: ['@shopify', '@types', '@prisma'],
+    allowGitUrls: false,
+    allowDistTags: false,
+    allowUnboundedRanges: false,
+    deniedScripts: ['preinstall', 'install', 'postinstall', 'prepare']
+};
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+function loadPolicy() {
+    const policyFile = process.env.DEPENDENCY_POLICY_FILE;
+    if (!policyFile) {
+        return DEFAULT_POLICY;
+    }
+
+    try {
+        const overrides = JSON.parse(fs.readFileSync(path.resolve(policyFile), 'utf8'));
+        console.log(`✅ Dependency policy loaded from ${policyFile}`);
+        return { ...DEFAULT_POLICY, ...overrides };
+    } catch (error) {
+        console.error(`❌ Failed to load dependency policy from ${policyFile}, using the default policy:`, error.message);
+        return DEFAULT_POLICY;
+    }
+}
+
+const POLICY = loadPolicy();
+
+function diagnostic(file, message, location = {}) {
+    return {
+        file,
+        line: location.line || null,
+        column: location.column || null,
+        severity: 'error',
+        rule: 'dependency-policy',
+        message
+    };
+}
+
+// Line and column of the first "key" in a JSON document
+function locationOfKey(content, key) {
+    const index = content.indexOf(`"${key}"`);
+    if (index === -1) return {};
+    const lines = content.slice(0, index).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Why a version specifier breaks the policy, or null when it is allowed
+function checkSpecifier(specifier, policy) {
+    if (typeof specifier !== 'string') {
+        return 'has a version that is not a string';
+    }
+
+    const spec = specifier.trim();
+
+    if (spec.startsWith('npm:')) {
+        return `is an alias ("${spec}"), which hides the package that is installed`;
+    }
+
+    const isUrl = /^(git\+|git:|github:|gitlab:|bitbucket:|https?:|file:|link:|workspace:)/.test(spec) || /^[\w.-]+\/[\w.-]+(#.*)?$/.test(spec);
+    if (isUrl) {
+        return policy.allowGitUrls ? null : `uses "${spec}"; install packages from the npm registry with a version range instead`;
+    }
+
+    if (/^[a-z][\w.-]*$/i.test(spec) && !/^[xX]$/.test(spec)) {
+        return policy.allowDistTags ? null : `uses the dist-tag "${spec}"; pin a version range such as "^1.2.3" instead`;
+    }
+
+    // "^4.18.2 || *" allows anything, so every alternative must be bounded
+    for (const range of spec.split('||').map(part => part.trim())) {
+        const unbounded = range === '' || /^[xX*](\.[xX*]){0,2}$/.test(range) || (/^>=?/.test(range) && !/</.test(range));
+        if (unbounded) {
+            return policy.allowUnboundedRanges ? null : `uses the unbounded range "${spec}"; pin a version range such as "^1.2.3" instead`;
+        }
+    }
+
+    return null;
+}
+
+// Why a package name breaks the policy, or null when it is allowed
+function checkPackageName(packageName, policy) {
+    if (policy.deniedPackages.includes(packageName)) {
+        return 'is not allowed';
+    }
+
+    if (policy.allowedPackages.length > 0) {
+        const scope = packageName.startsWith('@') ? packageName.split('/')[0] : null;
+        const allowed = policy.allowedPackages.includes(packageName) || (scope && (policy.allowedScopes || []).includes(scope));
+        return allowed ? null : 'is not on the list of allowed packages';
+    }
+
+    if (packageName.startsWith('@') && policy.allowedScopes) {
+        const scope = packageName.split('/')[0];
+        return policy.allowedScopes.includes(scope) ? null : `comes from the scope ${scope}, which is not allowed`;
+    }
+
+    return null;
+}
+
+// Check every package.json in a set of project files. Returns diagnostics in the
+// same shape as validation.js; package.json files that are not valid JSON are
+// left to the validator.
+function checkDependencyPolicy(files, policy = POLICY) {
+    const diagnostics = [];
+
+    for (const [filePath, content] of Object.entries(files)) {
+        if (path.posix.basename(filePath) !== 'package.json') continue;
+
+        let manifest;
+        try {
+            manifest = JSON.parse(content);
+        } catch (error) {
+            continue;
+        }
+        if (!manifest || typeof manifest !== 'object') continue;
+
+        for (const script of policy.deniedScripts) {
+            if (manifest.scripts && manifest.scripts[script] !== undefined) {
+                diagnostics.push(diagnostic(filePath, `The "${script}" script is not allowed; it would run during npm install`, locationOfKey(content, script)));
+            }
+        }
+
+        for (const field of DEPENDENCY_FIELDS) {
+            for (const [packageName, specifier] of Object.entries(manifest[field] || {})) {
+                const location = locationOfKey(content, packageName);
+                const nameProblem = checkPackageName(packageName, policy);
+                if (nameProblem) {
+                    diagnostics.push(diagnostic(filePath, `"${packageName}" ${nameProblem}`, location));
+                    continue;
+                }
+                const specifierProblem = checkSpecifier(specifier, policy);
+                if (specifierProblem) {
+                    diagnostics.push(diagnostic(filePath, `"${packageName}" ${specifierProblem}`, location));
+                }
+            }
+        }
+    }
+
+    return diagnostics;
+}
+
+// Throw a 422 listing the violations if any package.json breaks the policy
+function enforceDependencyPolicy(files, policy = POLICY) {
+    const violations = checkDependencyPolicy(files, policy);
+    if (violations.length === 0) return;
+
+    const error = new Error(`The project's dependencies break the dependency policy (${violations.map(violation => violation.message).join('; ')}).`);
+    error.status = 422;
+    error.diagnostics = violations;
+    error.policyViolations = violations;
+    throw error;
+}
+
+// Short description of the policy for the system prompt
+function describeDependencyPolicy(policy = POLICY) {
+    const rules = [];
+    if (policy.allowedPackages.length > 0) {
+        rules.push(`Only these packages may be used: ${policy.allowedPackages.join(', ')}`);
+    }
+    if (policy.deniedPackages.length > 0) {
+        rules.push(`Never use these packages: ${policy.deniedPackages.join(', ')}`);
+    }
+    if (policy.allowedScopes) {
+        rules.push(`Scoped packages may only come from ${policy.allowedScopes.join(', ')}`);
+    }
+    if (!policy.allowGitUrls) {
+        rules.push('Install packages from the npm registry only (no git URLs, tarballs or local paths)');
+    }
+    if (!policy.allowDistTags || !policy.allowUnboundedRanges) {
+        rules.push('Give every dependency a bounded version range such as "^4.18.2" (no "latest" or "*")');
+    }
+    if (policy.deniedScripts.length > 0) {
+        rules.push(`Do not define these package.json scripts: ${policy.deniedScripts.join(', ')}`);
+    }
+    return rules.map(rule => `- ${rule}`).join('\n');
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    checkDependencyPolicy,
+    enforceDependencyPolicy,
+    describeDependencyPolicy
+};
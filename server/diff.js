@@ -0,0 +1,156 @@
+// Line-based diffs between two sets of project files, used to compare project
+// versions. Each file gets a status and, when its content changed, a unified
+// diff with CONTEXT_LINES of context around every change.
+
+const CONTEXT_LINES = 3;
+// Above this many line pairs the LCS table gets too big; the whole file is
+// shown as replaced instead
+const MAX_DIFF_CELLS = 4000000;
+
+function splitLines(text) {
+    if (text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Edit script between two line arrays: [{ type: ' ' | '-' | '+', line }]
+function diffLineArrays(oldLines, newLines) {
+    // Common prefix and suffix don't need the LCS table
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const prefix = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+    const suffix = oldLines.slice(oldEnd).map(line => ({ type: ' ', line }));
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+
+    if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+        return [
+            ...prefix,
+            ...oldMiddle.map(line => ({ type: '-', line })),
+            ...newMiddle.map(line => ({ type: '+', line })),
+            ...suffix
+        ];
+    }
+
+    // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const rows = oldMiddle.length;
+    const columns = newMiddle.length;
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[i][j] = oldMiddle[i] === newMiddle[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < columns) {
+        if (oldMiddle[i] === newMiddle[j]) {
+            middle.push({ type: ' ', line: oldMiddle[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            middle.push({ type: '-', line: oldMiddle[i++] });
+        } else {
+            middle.push({ type: '+', line: newMiddle[j++] });
+        }
+    }
+    while (i < rows) middle.push({ type: '-', line: oldMiddle[i++] });
+    while (j < columns) middle.push({ type: '+', line: newMiddle[j++] });
+
+    return [...prefix, ...middle, ...suffix];
+}
+
+// Unified diff hunks ("@@ -a,b +c,d @@") for an edit script
+function formatHunks(edits) {
+    // Line numbers in the old and new file at each edit
+    const positions = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const edit of edits) {
+        positions.push({ oldLine, newLine });
+        if (edit.type !== '+') oldLine++;
+        if (edit.type !== '-') newLine++;
+    }
+
+    // Group changes whose context would overlap into one hunk
+    const ranges = [];
+    edits.forEach((edit, index) => {
+        if (edit.type === ' ') return;
+        const last = ranges[ranges.length - 1];
+        if (last && index - last.end <= CONTEXT_LINES * 2) {
+            last.end = index + 1;
+        } else {
+            ranges.push({ start: index, end: index + 1 });
+        }
+    });
+
+    return ranges.map(range => {
+        const start = Math.max(0, range.start - CONTEXT_LINES);
+        const end = Math.min(edits.length, range.end + CONTEXT_LINES);
+        const hunkEdits = edits.slice(start, end);
+        const oldCount = hunkEdits.filter(edit => edit.type !== '+').length;
+        const newCount = hunkEdits.filter(edit => edit.type !== '-').length;
+        const { oldLine: oldStart, newLine: newStart } = positions[start];
+
+        return [
+            `@@ -${oldCount === 0 ? oldStart - 1 : oldStart},${oldCount} +${newCount === 0 ? newStart - 1 : newStart},${newCount} @@`,
+            ...hunkEdits.map(edit => `${edit.type}${edit.line}`)
+        ].join('\n');
+    }).join('\n');
+}
+
+function sameContent(before, after) {
+    if (Buffer.isBuffer(before) && Buffer.isBuffer(after)) return before.equals(after);
+    return before === after;
+}
+
+// Compare two sets of files keyed by path. Returns one entry per path in either
+// set: { path, status: 'added' | 'removed' | 'modified' | 'unchanged', additions, deletions, diff }.
+// Binary assets (Buffers) get binary: true and no line diff.
+function diffFiles(oldFiles, newFiles) {
+    const paths = [...new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)])].sort();
+
+    return paths.map(filePath => {
+        const before = oldFiles[filePath];
+        const after = newFiles[filePath];
+        const status = before === undefined ? 'added'
+            : after === undefined ? 'removed'
+            : sameContent(before, after) ? 'unchanged'
+            : 'modified';
+
+        if (Buffer.isBuffer(before) || Buffer.isBuffer(after)) {
+            return { path: filePath, status, additions: 0, deletions: 0, diff: '', binary: true };
+        }
+
+        if (status === 'unchanged') {
+            return { path: filePath, status, additions: 0, deletions: 0, diff: '' };
+        }
+
+        const edits = diffLineArrays(splitLines(before || ''), splitLines(after || ''));
+        return {
+            path: filePath,
+            status,
+            additions: edits.filter(edit => edit.type === '+').length,
+            deletions: edits.filter(edit => edit.type === '-').length,
+            diff: formatHunks(edits)
+        };
+    });
+}
+
+module.exports = {
+    diffFiles
+};
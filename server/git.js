@@ -0,0 +1,156 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Git history for projects. The repository is rebuilt from the project's stored
+// versions whenever it is needed: one commit per version on "main", with the
+// version's author, its prompt as the message and its creation time as the
+// commit date, and a "v<n>" tag on each. Everything comes from the versions,
+// so the same versions always produce the same commit IDs, whoever downloads
+// them, and a clone of an older bundle can fetch a newer one.
+
+const GIT_TIMEOUT_MS = 60000;
+const COMMITTER = 'Shopify AI App Builder <app-builder@localhost>';
+const SUBJECT_LENGTH = 72;
+
+function runGit(args, { input } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('git', args, {
+            timeout: GIT_TIMEOUT_MS,
+            // Keep the user's and system git config out of the generated history
+            env: { ...process.env, GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_GLOBAL: os.devNull }
+        });
+        let stderr = '';
+        child.stderr.on('data', chunk => {
+            stderr += chunk;
+        });
+        child.on('error', error => {
+            if (error.code === 'ENOENT') {
+                const unavailable = new Error('git is not installed on the server');
+                unavailable.status = 503;
+                reject(unavailable);
+                return;
+            }
+            reject(error);
+        });
+        child.on('close', code => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`git failed: ${stderr.trim() || `exit code ${code}`}`));
+            }
+        });
+        if (input !== undefined) {
+            child.stdin.on('error', () => {
+                // The exit code reports why git stopped reading
+            });
+            child.stdin.end(input);
+        }
+    });
+}
+
+// fast-import quotes paths with special characters C-style
+function quotePath(filePath) {
+    if (!/[\x00-\x1f"\\]/.test(filePath)) return filePath;
+    const escaped = filePath
+        .replace(/[\\"]/g, '\\$&')
+        .replace(/[\x00-\x1f]/g, character => `\\${character.charCodeAt(0).toString(8).padStart(3, '0')}`);
+    return `"${escaped}"`;
+}
+
+// "name <email>" of the member who made a version. Versions saved before
+// authors were recorded are committed by the builder itself.
+function commitAuthor(author) {
+    if (!author || !author.uid) return COMMITTER;
+    // Angle brackets and newlines would break the author line
+    const email = String(author.email || `${author.uid}@users.localhost`).replace(/[<>\s]/g, '');
+    return `${email.split('@')[0]} <${email}>`;
+}
+
+function dataBlock(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    return Buffer.concat([Buffer.from(`data ${buffer.length}\n`), buffer, Buffer.from('\n')]);
+}
+
+// Commit message for a version: the prompt, or what happened for versions that
+// didn't come from a prompt
+function commitMessage(version) {
+    const prompt = (version.prompt || '').trim();
+    let message;
+    if (version.source === 'restore') {
+        message = `Restore ${version.restoredFrom}`;
+    } else if (version.source === 'upload') {
+        message = `Upload ${version.asset}`;
+    } else if (prompt) {
+        const firstLine = prompt.split('\n')[0];
+        const subject = firstLine.length > SUBJECT_LENGTH ? `${firstLine.slice(0, SUBJECT_LENGTH - 3)}...` : firstLine;
+        message = subject === prompt ? prompt : `${subject}\n\n${prompt}`;
+    } else if (version.source === 'import') {
+        message = 'Import project';
+    } else if (version.source === 'duplicate') {
+        message = 'Copy project';
+    } else if (version.source === 'baseline') {
+        message = 'Project files before version history';
+    } else {
+        message = 'Generate project';
+    }
+
+    const trailers = [`Version: ${version.id}`];
+    if (version.model) trailers.push(`Model: ${version.model}`);
+    return `${message}\n\n${trailers.join('\n')}\n`;
+}
+
+// fast-import stream with one commit per version, oldest first
+function buildFastImportStream(versions) {
+    const chunks = [];
+    versions.forEach((version, index) => {
+        const timestamp = `${Math.floor(new Date(version.createdAt).getTime() / 1000)} +0000`;
+        chunks.push(Buffer.from([
+            'commit refs/heads/main',
+            `mark :${index + 1}`,
+            `author ${commitAuthor(version.author)} ${timestamp}`,
+            `committer ${COMMITTER} ${timestamp}`,
+            ''
+        ].join('\n')));
+        chunks.push(dataBlock(commitMessage(version)));
+        if (index > 0) {
+            chunks.push(Buffer.from(`from :${index}\n`));
+        }
+        // Every version holds all of the project's files
+        chunks.push(Buffer.from('deleteall\n'));
+        for (const filePath of Object.keys(version.files).sort()) {
+            chunks.push(Buffer.from(`M 100644 inline ${quotePath(filePath)}\n`));
+            chunks.push(dataBlock(version.files[filePath]));
+        }
+        chunks.push(Buffer.from('\n'));
+        if (version.id) {
+            chunks.push(Buffer.from(`reset refs/tags/${version.id}\nfrom :${index + 1}\n\n`));
+        }
+    });
+    chunks.push(Buffer.from('done\n'));
+    return Buffer.concat(chunks);
+}
+
+// Build a git bundle of a project's history. versions are full versions (with
+// files and their author), oldest first. Returns the bundle as a Buffer.
+async function createProjectBundle(versions) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'project-bundle-'));
+    const gitDirectory = path.join(directory, 'repo.git');
+    const bundlePath = path.join(directory, 'project.bundle');
+
+    try {
+        await runGit(['-c', 'init.defaultBranch=main', 'init', '--quiet', '--bare', gitDirectory]);
+        await runGit(['--git-dir', gitDirectory, 'fast-import', '--quiet', '--done', '--date-format=raw'], {
+            input: buildFastImportStream(versions)
+        });
+        await runGit(['--git-dir', gitDirectory, 'bundle', 'create', '--quiet', bundlePath, '--all']);
+        return await fs.readFile(bundlePath);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    createProjectBundle
+};
@@ -0,0 +1,210 @@
+const zlib = require('zlib');
+const path = require('path');
+const { readZipEntries } = require('./zip');
+const { readTarEntries } = require('./tar');
+const { MAX_ASSET_SIZE, MAX_PROJECT_ASSETS_SIZE, isBinaryAsset } = require('./assets');
+
+// Extraction of uploaded project archives (zip, tar or tar.gz) for
+// POST /api/projects/import. Refining a project sends every text file to the
+// model, so the limits keep an imported project small enough to fit its
+// context. Images, fonts and icons are kept as binary assets within the limits
+// of assets.js; other binary files are skipped.
+
+const MAX_IMPORT_UPLOAD_SIZE = 20 * 1024 * 1024;
+// A tarball with node_modules left in can be much bigger once decompressed
+const MAX_IMPORT_ARCHIVE_SIZE = 100 * 1024 * 1024;
+const MAX_IMPORT_FILES = 300;
+const MAX_IMPORT_FILE_SIZE = 256 * 1024;
+const MAX_IMPORT_TOTAL_SIZE = 1024 * 1024;
+
+// Directories that are skipped wherever they appear
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', '__MACOSX'];
+// Files that are skipped with the reason given
+const SKIPPED_FILES = {
+    '.DS_Store': 'system file',
+    'Thumbs.db': 'system file',
+    '.env': 'environment file',
+    'package-lock.json': 'lock file',
+    'yarn.lock': 'lock file',
+    'pnpm-lock.yaml': 'lock file'
+};
+// Only the first skipped paths are reported
+const MAX_REPORTED_SKIPS = 100;
+
+function importError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function detectArchiveFormat(buffer) {
+    if (buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4b && (buffer[2] === 3 || buffer[2] === 5)) return 'zip';
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'gzip';
+    if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') return 'tar';
+    return null;
+}
+
+function readArchiveEntries(buffer) {
+    const format = detectArchiveFormat(buffer);
+
+    if (format === 'zip') {
+        return readZipEntries(buffer);
+    }
+
+    if (format === 'gzip') {
+        let tar;
+        try {
+            tar = zlib.gunzipSync(buffer, { maxOutputLength: MAX_IMPORT_ARCHIVE_SIZE });
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                throw importError(413, `The archive is larger than ${formatSize(MAX_IMPORT_ARCHIVE_SIZE)} when decompressed. Leave node_modules out of the tarball.`);
+            }
+            throw importError(400, `The archive could not be decompressed (${error.message})`);
+        }
+        return readTarEntries(tar);
+    }
+
+    if (format === 'tar') {
+        return readTarEntries(buffer);
+    }
+
+    throw importError(400, 'Upload a .zip, .tar or .tar.gz archive of the project');
+}
+
+// Text content of a file, or null for binary files
+function decodeText(content) {
+    if (content.includes(0)) return null;
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(content);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Why a path is skipped, or null when it is imported
+function skipReason(segments) {
+    const directory = segments.slice(0, -1).find(segment => SKIPPED_DIRECTORIES.includes(segment));
+    if (directory) return `${directory} directory`;
+    return SKIPPED_FILES[segments[segments.length - 1]] || null;
+}
+
+// Extract the project files from an uploaded archive. Returns
+// { files, skipped, root }: files keyed by path, the paths that were left out
+// with the reason, and the top-level directory that was stripped (if every file
+// was inside one). Throws an error with status 400 for an unreadable archive and
+// 413 when the project is over the file count or size limits.
+function extractProjectArchive(buffer) {
+    const entries = readArchiveEntries(buffer);
+    const candidates = [];
+    const skipped = [];
+    const skippedDirectories = new Set();
+
+    function skip(entryPath, reason) {
+        if (skipped.length < MAX_REPORTED_SKIPS) {
+            skipped.push({ path: entryPath, reason });
+        }
+    }
+
+    for (const entry of entries) {
+        if (entry.isDirectory) continue;
+
+        const segments = entry.path.replace(/\\/g, '/').replace(/^\.\//, '').split('/');
+        if (segments.some(segment => segment === '' || segment === '.' || segment === '..') || path.isAbsolute(entry.path)) {
+            skip(entry.path, 'unsafe path');
+            continue;
+        }
+
+        const reason = skipReason(segments);
+        if (reason) {
+            // A skipped directory is reported once rather than for every file in it
+            const directoryIndex = segments.findIndex(segment => SKIPPED_DIRECTORIES.includes(segment));
+            if (directoryIndex !== -1 && directoryIndex < segments.length - 1) {
+                const directory = segments.slice(0, directoryIndex + 1).join('/');
+                if (!skippedDirectories.has(directory)) {
+                    skippedDirectories.add(directory);
+                    skip(`${directory}/`, reason);
+                }
+            } else {
+                skip(entry.path, reason);
+            }
+            continue;
+        }
+
+        if (!entry.isFile) {
+            skip(entry.path, 'not a regular file');
+            continue;
+        }
+
+        candidates.push({ entry, segments });
+    }
+
+    if (candidates.length > MAX_IMPORT_FILES) {
+        throw importError(413, `The project has ${candidates.length} files; at most ${MAX_IMPORT_FILES} can be imported`);
+    }
+
+    const files = {};
+    let totalSize = 0;
+    let assetsSize = 0;
+    for (const { entry, segments } of candidates) {
+        if (isBinaryAsset(entry.path)) {
+            if (entry.size > MAX_ASSET_SIZE) {
+                throw importError(413, `${entry.path} is ${formatSize(entry.size)}; images, fonts and icons can be at most ${formatSize(MAX_ASSET_SIZE)}`);
+            }
+            assetsSize += entry.size;
+            if (assetsSize > MAX_PROJECT_ASSETS_SIZE) {
+                throw importError(413, `The project's images, fonts and icons add up to more than ${formatSize(MAX_PROJECT_ASSETS_SIZE)}`);
+            }
+            files[segments.join('/')] = entry.read();
+            continue;
+        }
+
+        if (entry.size > MAX_IMPORT_FILE_SIZE) {
+            throw importError(413, `${entry.path} is ${formatSize(entry.size)}; files can be at most ${formatSize(MAX_IMPORT_FILE_SIZE)}`);
+        }
+
+        const text = decodeText(entry.read());
+        if (text === null) {
+            skip(entry.path, 'binary file');
+            continue;
+        }
+
+        totalSize += entry.size;
+        if (totalSize > MAX_IMPORT_TOTAL_SIZE) {
+            throw importError(413, `The project's files add up to more than ${formatSize(MAX_IMPORT_TOTAL_SIZE)}`);
+        }
+        files[segments.join('/')] = text;
+    }
+
+    // Archives of a directory usually put every file under its name
+    const paths = Object.keys(files);
+    if (paths.length === 0) {
+        throw importError(400, 'The archive does not contain any files that can be imported');
+    }
+    const firstSegment = paths[0].split('/')[0];
+    const root = paths.every(filePath => filePath.startsWith(`${firstSegment}/`)) ? firstSegment : null;
+    if (!root) {
+        return { files, skipped, root: null };
+    }
+
+    const stripped = {};
+    for (const [filePath, content] of Object.entries(files)) {
+        stripped[filePath.slice(root.length + 1)] = content;
+    }
+    return {
+        files: stripped,
+        skipped: skipped.map(item => ({ ...item, path: item.path.startsWith(`${root}/`) ? item.path.slice(root.length + 1) : item.path })),
+        root
+    };
+}
+
+module.exports = {
+    MAX_IMPORT_UPLOAD_SIZE,
+    MAX_IMPORT_FILES,
+    MAX_IMPORT_FILE_SIZE,
+    MAX_IMPORT_TOTAL_SIZE,
+    extractProjectArchive
+};
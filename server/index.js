@@ -1,9 +1,26 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
-const { Sandbox } = require('@e2b/code-interpreter');
+const { Sandbox, CommandExitError } = require('@e2b/code-interpreter');
 const admin = require('firebase-admin');
+const path = require('path');
+const crypto = require('crypto');
+const { createProvider } = require('./providers');
+const { resolveModelSettings } = require('./plans');
+const { DEFAULT_ARCHETYPE_ID, getArchetype, listArchetypes, validateArchetypeFiles } = require('./archetypes');
+const { SANDBOX_TIMEOUT_MS, SANDBOX_MINUTES, recordUsage, enforceQuota, reserveUsage, getUsageSummary } = require('./usage');
+const { validateProjectSource, formatDiagnostic, APP_PORT } = require('./validation');
+const { SECRET_SCAN_MODE, screenFiles, screenPrompt, redactStreamedCode } = require('./secrets');
+const { checkDependencyPolicy, enforceDependencyPolicy, describeDependencyPolicy } = require('./dependency-policy');
+const { diffFiles } = require('./diff');
+const { createStorage } = require('./storage');
+const { createZipWriter } = require('./zip');
+const { createProjectBundle } = require('./git');
+const { parseProjectQuery } = require('./project-query');
+const { createProjectIndex } = require('./project-index');
+const { MAX_IMPORT_UPLOAD_SIZE, extractProjectArchive } = require('./import');
+const { WORKSPACE_ROLES, workspaceRoot, hasPermission, parseWorkspaceName, createWorkspaceStore, createWorkspaceGuard } = require('./workspaces');
+const { MAX_ASSET_SIZE, MAX_PROJECT_ASSETS_SIZE, ASSET_EXTENSIONS, getContentType, isBinaryAsset, isAssetPath, binaryAssetsSize, encodeFiles, decodeFiles, toSandboxContent } = require('./assets');
 
 const app = express();
 const port = process.env.SERVER_PORT || 3001;
@@ -48,7 +65,6 @@ function initializeFirebaseAdmin() {
 
         if (!projectId || !privateKey || !clientEmail || !storageBucket) {
             console.warn('⚠️  Firebase Admin SDK not configured - missing service account file or environment variables');
-            console.warn('   Projects will not be saved to Firebase Storage');
             return;
         }
 
@@ -66,27 +82,216 @@ function initializeFirebaseAdmin() {
         
     } catch (error) {
         console.error('❌ Failed to initialize Firebase Admin SDK:', error);
-        console.warn('   Projects will not be saved to Firebase Storage');
     }
 }
 
+// Project storage (see server/storage) and the project index (see
+// server/project-index.js). Set up after Firebase so the Firebase backend can be
+// chosen when a bucket is available.
+let storage;
+let projectIndex;
+let workspaces;
+function initializeStorage() {
+    storage = createStorage({ bucket });
+    projectIndex = createProjectIndex({ storage, scanProjects: getWorkspaceProjects, readProject: getProjectMetadata });
+    workspaces = createWorkspaceStore({ storage });
+    console.log(`✅ Project storage: ${storage.name}, project index: ${admin.apps.length > 0 ? 'Firestore' : 'storage scan'}`);
+}
+
+function projectPrefix(workspaceId, projectId) {
+    return `${workspaceRoot(workspaceId)}/projects/${projectId}/`;
+}
+
+async function readJson(key) {
+    const content = await storage.readFile(key);
+    return content === null ? null : JSON.parse(content.toString());
+}
+
+async function writeJson(key, value, options = {}) {
+    await storage.writeFile(key, JSON.stringify(value, null, 2), { contentType: 'application/json', ...options });
+}
+
+// Write a project's project.json and its entry in the project index
+async function writeProjectMetadata(workspaceId, metadata) {
+    await projectIndex.markPending(workspaceId, metadata.id);
+    await writeJson(`${projectPrefix(workspaceId, metadata.id)}project.json`, metadata);
+    await projectIndex.upsert(workspaceId, metadata);
+}
+
+// Number of project files read or written at the same time
+const STORAGE_CONCURRENCY = 8;
+
+// Run fn over items with at most `limit` calls in flight; results keep the order of items
+async function mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Each project has a manifest of its files, { files: { [path]: { hash, size, contentType } } },
+// kept next to (not inside) the project's files. Loading reads the files it
+// lists instead of scanning the prefix, and saving skips files whose hash
+// hasn't changed.
+function projectManifestPath(workspaceId, projectId) {
+    return `${workspaceRoot(workspaceId)}/project-manifests/${projectId}.json`;
+}
+
+function manifestEntry(filePath, content) {
+    return {
+        hash: crypto.createHash('sha256').update(content).digest('hex'),
+        size: Buffer.byteLength(content),
+        contentType: getContentType(filePath)
+    };
+}
+
+// Per-project queue so manifest updates don't overwrite each other (the
+// manifest is read, changed and written back)
+const manifestLocks = new Map();
+
+async function withManifestLock(workspaceId, projectId, fn) {
+    const key = projectManifestPath(workspaceId, projectId);
+    const previous = manifestLocks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    manifestLocks.set(key, next);
+    try {
+        return await next;
+    } finally {
+        if (manifestLocks.get(key) === next) manifestLocks.delete(key);
+    }
+}
+
+// Get a project's manifest. Projects saved before manifests existed get one
+// built from their stored files.
+async function getProjectManifest(workspaceId, projectId) {
+    const manifest = await readJson(projectManifestPath(workspaceId, projectId));
+    if (manifest) {
+        return manifest;
+    }
+    return withManifestLock(workspaceId, projectId, () => loadOrBuildManifest(workspaceId, projectId));
+}
+
+// getProjectManifest for callers that hold the project's manifest lock
+async function loadOrBuildManifest(workspaceId, projectId) {
+    const manifest = await readJson(projectManifestPath(workspaceId, projectId));
+    if (manifest) {
+        return manifest;
+    }
+    
+    const prefix = projectPrefix(workspaceId, projectId);
+    const keys = (await storage.listFiles(prefix)).filter(key => key !== `${prefix}project.json`);
+    const files = {};
+    await mapConcurrent(keys, STORAGE_CONCURRENCY, async key => {
+        const content = await storage.readFile(key);
+        if (content !== null) {
+            files[key.slice(prefix.length)] = manifestEntry(key.slice(prefix.length), content);
+        }
+    });
+    
+    const built = { files, updatedAt: new Date().toISOString() };
+    await writeJson(projectManifestPath(workspaceId, projectId), built);
+    console.log(`✅ Built file manifest for project ${projectId} (${keys.length} files)`);
+    return built;
+}
+
+// Write project files under a project's prefix and record them in the manifest.
+// Files whose content matches the manifest are not written again; with
+// replace, stored files missing from `files` are deleted. Writes to the same
+// project run one at a time. Returns the new manifest.
+async function writeProjectFiles(workspaceId, projectId, files, { newProject = false, replace = false } = {}) {
+    return withManifestLock(workspaceId, projectId, async () => {
+        const manifest = newProject ? { files: {} } : await loadOrBuildManifest(workspaceId, projectId);
+        return writeFilesWithManifest(workspaceId, projectId, files, manifest, replace);
+    });
+}
+
+async function writeFilesWithManifest(workspaceId, projectId, files, manifest, replace) {
+    const prefix = projectPrefix(workspaceId, projectId);
+    const entries = { ...manifest.files };
+    const changed = [];
+    const written = new Set();
+    
+    for (const [filename, content] of Object.entries(files)) {
+        const safePath = normalizeProjectPath(filename);
+        if (!safePath) {
+            console.warn(`⚠️  Skipping file with unsafe path: ${filename}`);
+            continue;
+        }
+        written.add(safePath);
+        const entry = manifestEntry(safePath, content);
+        if (!entries[safePath] || entries[safePath].hash !== entry.hash) {
+            changed.push({ safePath, content, entry });
+        }
+    }
+    
+    const removed = replace ? Object.keys(entries).filter(filePath => !written.has(filePath)) : [];
+    
+    await mapConcurrent(changed, STORAGE_CONCURRENCY, async ({ safePath, content, entry }) => {
+        await storage.writeFile(`${prefix}${safePath}`, content, { contentType: entry.contentType });
+        entries[safePath] = entry;
+    });
+    await mapConcurrent(removed, STORAGE_CONCURRENCY, async filePath => {
+        await storage.deleteFile(`${prefix}${filePath}`);
+        delete entries[filePath];
+    });
+    
+    const updated = { files: entries, updatedAt: new Date().toISOString() };
+    await writeJson(projectManifestPath(workspaceId, projectId), updated);
+    console.log(`💾 Project ${projectId}: ${changed.length} file(s) written, ${written.size - changed.length} unchanged, ${removed.length} removed`);
+    return updated;
+}
+
+// Read the files listed in a project's manifest. Binary assets stay Buffers.
+async function readProjectFiles(workspaceId, projectId, manifest) {
+    const prefix = projectPrefix(workspaceId, projectId);
+    const filenames = Object.keys(manifest.files).sort();
+    const contents = await mapConcurrent(filenames, STORAGE_CONCURRENCY, async filename => {
+        try {
+            const content = await storage.readFile(`${prefix}${filename}`);
+            if (content === null) {
+                console.warn(`File ${filename} is in the manifest of project ${projectId} but not stored`);
+                return null;
+            }
+            return isBinaryAsset(filename) ? content : content.toString();
+        } catch (error) {
+            console.warn(`Failed to load file ${filename}:`, error);
+            return null;
+        }
+    });
+    
+    const files = {};
+    filenames.forEach((filename, index) => {
+        if (contents[index] !== null) files[filename] = contents[index];
+    });
+    return files;
+}
+
 // Generate unique project ID
 function generateProjectId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
 }
 
-// Save project to Firebase Storage
-async function saveProject(userId, projectData) {
+// Save a new project to storage
+async function saveProject(workspaceId, projectData) {
     try {
-        // Check if Firebase is available
-        if (!bucket) {
-            console.warn('⚠️  Firebase Storage not available - skipping project save');
-            const projectId = generateProjectId();
-            return { projectId, metadata: { id: projectId } };
-        }
-
         const projectId = generateProjectId();
-        const projectPath = `users/${userId}/projects/${projectId}`;
+        
+        // The first version holds the project as generated
+        const version = await saveProjectVersion(workspaceId, projectId, [], {
+            source: projectData.versionSource || 'generate',
+            author: projectData.author,
+            prompt: projectData.prompt,
+            model: projectData.model,
+            usage: projectData.usage,
+            turns: projectData.turns,
+            files: projectData.files
+        });
         
         // Create project metadata
         const metadata = {
@@ -96,285 +301,954 @@ async function saveProject(userId, projectData) {
             prompt: projectData.prompt || '',
             createdAt: new Date().toISOString(),
             previewUrl: projectData.previewUrl || null,
-            sandboxId: projectData.sandboxId || null
+            sandboxId: projectData.sandboxId || null,
+            archetype: projectData.archetype || DEFAULT_ARCHETYPE_ID,
+            turns: projectData.turns || [],
+            tags: projectData.tags || [],
+            currentVersion: version.id,
+            versions: [version]
         };
         
-        // Save metadata file
-        const metadataFile = bucket.file(`${projectPath}/project.json`);
-        await metadataFile.save(JSON.stringify(metadata, null, 2), {
-            metadata: {
-                contentType: 'application/json',
-            }
-        });
-        
-        // Save all code files
-        for (const [filename, content] of Object.entries(projectData.files)) {
-            const file = bucket.file(`${projectPath}/${filename}`);
-            const contentType = getContentType(filename);
-            
-            await file.save(content, {
-                metadata: {
-                    contentType: contentType,
-                }
-            });
-            console.log(`✅ Saved file: ${filename} to Firebase Storage`);
-        }
+        // Files first, so a listed project always has its files
+        await writeProjectFiles(workspaceId, projectId, projectData.files, { newProject: true });
+        await writeProjectMetadata(workspaceId, metadata);
         
-        console.log(`✅ Project saved: ${projectId} for user ${userId}`);
+        console.log(`✅ Project saved: ${projectId} in workspace ${workspaceId} (${Object.keys(projectData.files).length} files)`);
         return { projectId, metadata };
         
     } catch (error) {
-        console.error('❌ Failed to save project to Firebase Storage:', error);
-        // Return a project ID even if saving fails
-        const projectId = generateProjectId();
-        return { projectId, metadata: { id: projectId } };
+        console.error('❌ Failed to save project:', error);
+        error.projectSaveFailed = true;
+        throw error;
     }
 }
 
-// Get a specific project from Firebase Storage
-async function getProject(userId, projectId) {
+// Write refined files and updated metadata back to an existing project
+async function updateProject(workspaceId, projectId, projectData) {
     try {
-        // Check if Firebase is available
-        if (!bucket) {
-            console.warn('⚠️  Firebase Storage not available');
-            return null;
-        }
-
-        const projectPath = `users/${userId}/projects/${projectId}/project.json`;
-        const projectFile = bucket.file(projectPath);
+        const previous = await readJson(`${projectPrefix(workspaceId, projectId)}project.json`);
+        const versions = [...(previous.versions || [])];
         
-        // Check if project exists
-        const [exists] = await projectFile.exists();
-        if (!exists) {
-            return null;
+        // Projects saved before version history start it with their state before this refinement
+        if (versions.length === 0 && projectData.baseFiles) {
+            versions.push(await saveProjectVersion(workspaceId, projectId, versions, {
+                source: 'baseline',
+                prompt: previous.prompt,
+                turns: previous.turns,
+                files: projectData.baseFiles
+            }));
         }
         
-        // Get project metadata
-        const [content] = await projectFile.download();
-        const metadata = JSON.parse(content.toString());
-        
-        // Get all project files
-        const projectFilesPath = `users/${userId}/projects/${projectId}/`;
-        const [files] = await bucket.getFiles({
-            prefix: projectFilesPath
-        });
+        versions.push(await saveProjectVersion(workspaceId, projectId, versions, {
+            source: 'refine',
+            author: projectData.author,
+            prompt: projectData.prompt,
+            model: projectData.model,
+            usage: projectData.usage,
+            turns: projectData.turns,
+            files: projectData.versionFiles || projectData.files
+        }));
         
-        const projectFiles = {};
-        for (const file of files) {
-            const filename = file.name.replace(projectFilesPath, '');
-            if (filename && filename !== 'project.json') {
-                try {
-                    const [fileContent] = await file.download();
-                    projectFiles[filename] = fileContent.toString();
-                } catch (error) {
-                    console.warn(`Failed to load file ${filename}:`, error);
-                }
-            }
-        }
+        const metadata = {
+            ...previous,
+            previewUrl: projectData.previewUrl || null,
+            sandboxId: projectData.sandboxId || null,
+            turns: projectData.turns || [],
+            currentVersion: versions[versions.length - 1].id,
+            versions,
+            updatedAt: new Date().toISOString()
+        };
         
-        // Add files to metadata
-        metadata.files = projectFiles;
+        // Only the files the model changed need to be written
+        await writeProjectFiles(workspaceId, projectId, projectData.files);
+        await writeProjectMetadata(workspaceId, metadata);
         
-        return metadata;
+        console.log(`✅ Project updated: ${projectId} in workspace ${workspaceId} (${Object.keys(projectData.files).length} files changed)`);
+        return { projectId, metadata };
         
     } catch (error) {
-        console.error('Failed to get project from Firebase Storage:', error);
-        return null;
+        console.error('❌ Failed to update project:', error);
+        error.projectSaveFailed = true;
+        throw error;
     }
 }
 
-// Deploy project files to E2B sandbox
-async function deployProjectToSandbox(sandbox, projectFiles) {
-    console.log('Deploying project files to sandbox...');
+// Project versions are immutable snapshots of the whole project: files, the
+// prompt that produced them, who made the change, model, token usage and the
+// conversation turns.
+// Snapshots are stored outside the project's own folder so they can never
+// collide with a generated file; project.json lists their summaries.
+function projectVersionPath(workspaceId, projectId, versionId) {
+    return `${workspaceRoot(workspaceId)}/project-versions/${projectId}/${versionId}.json`;
+}
+
+function summarizeVersion({ files, turns, ...summary }) {
+    return { ...summary, fileCount: Object.keys(files).length };
+}
+
+// The author recorded on a version the user made
+function versionAuthor(user) {
+    return { uid: user.uid, email: user.email || null };
+}
+
+// Store the next version after previousVersions and return its summary
+async function saveProjectVersion(workspaceId, projectId, previousVersions, versionData) {
+    const number = previousVersions.length > 0 ? previousVersions[previousVersions.length - 1].number + 1 : 1;
+    const version = {
+        id: `v${number}`,
+        number,
+        source: versionData.source,
+        author: versionData.author || null,
+        prompt: versionData.prompt || '',
+        model: versionData.model || null,
+        usage: versionData.usage || null,
+        restoredFrom: versionData.restoredFrom || null,
+        asset: versionData.asset || null,
+        createdAt: new Date().toISOString(),
+        turns: versionData.turns || [],
+        files: versionData.files
+    };
     
-    // Create app directory
-    await sandbox.commands.run('mkdir -p /tmp/app');
+    // ifNotExists makes the write fail instead of replacing an existing version
+    await storage.writeFile(projectVersionPath(workspaceId, projectId, version.id), JSON.stringify({ ...version, files: encodeFiles(version.files) }), {
+        contentType: 'application/json',
+        ifNotExists: true
+    });
     
-    // Deploy each file to the sandbox
-    for (const [filename, content] of Object.entries(projectFiles)) {
-        console.log(`Writing file: ${filename} (${content.length} chars)`);
-        await sandbox.files.write(`/tmp/app/${filename}`, content);
+    console.log(`✅ Saved version ${version.id} of project ${projectId}`);
+    return summarizeVersion(version);
+}
+
+// Get one stored version (with its files), or null if it doesn't exist
+async function getProjectVersion(workspaceId, projectId, versionId) {
+    if (!/^v\d+$/.test(versionId)) {
+        return null;
     }
     
-    // Ensure we have a basic package.json if not provided
-    if (!projectFiles['package.json']) {
-        const basicPackageJson = {
-            "name": "shopify-app",
-            "version": "1.0.0",
-            "main": "server.js",
-            "dependencies": {
-                "express": "^4.18.2"
-            }
-        };
-        const packageJsonContent = JSON.stringify(basicPackageJson, null, 2);
-        await sandbox.files.write('/tmp/app/package.json', packageJsonContent);
-    }
+    const version = await readJson(projectVersionPath(workspaceId, projectId, versionId));
+    return version && { ...version, files: decodeFiles(version.files) };
 }
 
-// Get user's projects from Firebase Storage
-async function getUserProjects(userId) {
-    try {
-        console.log(`🔍 Looking for projects for user: ${userId}`);
-        
-        // Check if Firebase is available
-        if (!bucket) {
-            console.warn('⚠️  Firebase Storage not available - returning empty projects list');
-            return [];
-        }
+// Make an older version the project's current state. The restore is recorded as
+// a new version so the history stays linear and nothing is lost.
+async function restoreProjectVersion(workspaceId, projectId, version, author) {
+    const prefix = projectPrefix(workspaceId, projectId);
+    const previous = await readJson(`${prefix}project.json`);
+    
+    // Files that didn't exist in the restored version are removed
+    await writeProjectFiles(workspaceId, projectId, version.files, { replace: true });
+    
+    const versions = [...(previous.versions || [])];
+    versions.push(await saveProjectVersion(workspaceId, projectId, versions, {
+        source: 'restore',
+        author,
+        prompt: version.prompt,
+        restoredFrom: version.id,
+        turns: version.turns,
+        files: version.files
+    }));
+    
+    // The running preview shows the replaced code; it is recreated when the project is opened
+    const metadata = {
+        ...previous,
+        previewUrl: null,
+        turns: version.turns,
+        currentVersion: versions[versions.length - 1].id,
+        versions,
+        updatedAt: new Date().toISOString()
+    };
+    await writeProjectMetadata(workspaceId, metadata);
+    
+    console.log(`✅ Project ${projectId} restored to ${version.id}`);
+    return metadata;
+}
 
-        const userProjectsPath = `users/${userId}/projects/`;
-        console.log(`🔍 Searching path: ${userProjectsPath}`);
-        
-        const [files] = await bucket.getFiles({
-            prefix: userProjectsPath
-        });
-        
-        console.log(`🔍 Found ${files.length} files in user directory`);
-        files.forEach(file => console.log(`  - ${file.name}`));
-        
-        // Get project directories by finding project.json files
-        const projectFiles = files.filter(file => file.name.endsWith('/project.json'));
-        console.log(`🔍 Found ${projectFiles.length} project.json files`);
-        
-        const projects = [];
-        
-        for (const projectFile of projectFiles) {
-            try {
-                console.log(`📖 Loading project from: ${projectFile.name}`);
-                const [content] = await projectFile.download();
-                const metadata = JSON.parse(content.toString());
-                projects.push(metadata);
-                console.log(`✅ Loaded project: ${metadata.name} (${metadata.id})`);
-            } catch (error) {
-                console.warn(`Skipping invalid project file: ${projectFile.name}`, error.message);
-            }
-        }
-        
-        console.log(`📁 Returning ${projects.length} projects for user ${userId}`);
-        return projects.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        
-    } catch (error) {
-        console.error('Failed to get user projects from Firebase Storage:', error);
-        return [];
+// Add or replace one asset (an image, font or icon) in a project. The upload is
+// recorded as a new version. Returns the updated metadata.
+async function addProjectAsset(workspaceId, project, assetPath, content, author) {
+    const versions = [...(project.versions || [])];
+    
+    // Projects saved before version history start it with their state before the upload
+    if (versions.length === 0) {
+        versions.push(await saveProjectVersion(workspaceId, project.id, versions, {
+            source: 'baseline',
+            prompt: project.prompt,
+            turns: project.turns,
+            files: project.files
+        }));
     }
+    
+    await writeProjectFiles(workspaceId, project.id, { [assetPath]: content });
+    
+    versions.push(await saveProjectVersion(workspaceId, project.id, versions, {
+        source: 'upload',
+        author,
+        asset: assetPath,
+        turns: project.turns,
+        files: { ...project.files, [assetPath]: content }
+    }));
+    
+    // The running preview doesn't have the asset; it is recreated when the project is opened
+    const { files, ...previous } = project;
+    const metadata = {
+        ...previous,
+        previewUrl: null,
+        currentVersion: versions[versions.length - 1].id,
+        versions,
+        updatedAt: new Date().toISOString()
+    };
+    await writeProjectMetadata(workspaceId, metadata);
+    
+    console.log(`🖼️  Asset ${assetPath} (${Buffer.byteLength(content)} bytes) added to project ${project.id}`);
+    return metadata;
 }
 
-// Helper function to determine content type
-function getContentType(filename) {
-    const ext = filename.split('.').pop().toLowerCase();
-    const contentTypes = {
-        'js': 'application/javascript',
-        'json': 'application/json',
-        'html': 'text/html',
-        'css': 'text/css',
-        'txt': 'text/plain',
-        'md': 'text/markdown'
-    };
-    return contentTypes[ext] || 'text/plain';
+function isProjectId(projectId) {
+    return typeof projectId === 'string' && /^[a-z0-9]+$/i.test(projectId);
 }
 
-// Firestore database access
-let db;
-function getFirestore() {
-    if (!db && admin.apps.length > 0) {
-        db = admin.firestore();
+// Get a project's metadata (project.json) without its files, or null
+async function getProjectMetadata(workspaceId, projectId) {
+    if (!isProjectId(projectId)) {
+        return null;
     }
-    return db;
+    
+    return readJson(`${projectPrefix(workspaceId, projectId)}project.json`);
 }
 
-// Generate unique job ID for Shopify app creation
-function generateJobId() {
-    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Get a project's summary from the project index (name, tags, preview and
+// the like, but no versions or turns), or null
+async function getProjectSummary(workspaceId, projectId) {
+    if (!isProjectId(projectId)) {
+        return null;
+    }
+    
+    return projectIndex.get(workspaceId, projectId);
 }
 
-// In-memory job storage as fallback
-const inMemoryJobs = new Map();
+// Delete a project's files, metadata and version snapshots
+async function deleteProject(workspaceId, projectId) {
+    await projectIndex.markPending(workspaceId, projectId);
+    await storage.deletePrefix(projectPrefix(workspaceId, projectId));
+    await storage.deletePrefix(`${workspaceRoot(workspaceId)}/project-versions/${projectId}/`);
+    await storage.deleteFile(projectManifestPath(workspaceId, projectId));
+    await deleteProjectShares(workspaceId, projectId);
+    await projectIndex.remove(workspaceId, projectId);
+    console.log(`✅ Project deleted: ${projectId} in workspace ${workspaceId}`);
+}
 
-// Shopify App Creation Job Management Functions
-async function createAppCreationJob(userId, appName) {
-    try {
-        const firestore = getFirestore();
-        const jobId = generateJobId();
-        const jobData = {
-            jobId,
-            userId,
-            appName,
-            status: 'running',
-            stage: 'initializing',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            output: [],
-            authUrl: null,
-            error: null,
-            sandboxId: null,
-            appData: null
-        };
+// Change a project's name, description or tags. Returns the updated metadata.
+async function updateProjectDetails(workspaceId, projectId, details) {
+    const metadata = {
+        ...await readJson(`${projectPrefix(workspaceId, projectId)}project.json`),
+        ...details,
+        updatedAt: new Date().toISOString()
+    };
+    
+    await writeProjectMetadata(workspaceId, metadata);
+    
+    console.log(`✅ Project details updated: ${projectId} in workspace ${workspaceId}`);
+    return metadata;
+}
 
-        if (!firestore) {
-            console.warn('⚠️  Firestore not available - using in-memory job tracking');
-            inMemoryJobs.set(jobId, jobData);
-            console.log(`✅ Created in-memory job: ${jobId} for user ${userId}`);
-            return { jobId, status: 'running' };
-        }
+// Copy a project (with its current files) to a new project. The copy starts its
+// own version history and has no preview until it is opened.
+async function duplicateProject(workspaceId, project, name, author) {
+    const { id, files, versions, currentVersion, previewUrl, sandboxId, updatedAt, ...details } = project;
+    const copy = await saveProject(workspaceId, {
+        ...details,
+        name,
+        files,
+        author,
+        versionSource: 'duplicate'
+    });
+    console.log(`✅ Project ${id} duplicated as ${copy.projectId}`);
+    return copy;
+}
 
-        try {
-            // Try to use Firestore first
-            const firestoreJobData = {
-                ...jobData,
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            };
-            
-            await firestore.collection('app_creation_jobs').doc(jobId).set(firestoreJobData);
-            console.log(`✅ Created Firestore job: ${jobId} for user ${userId}`);
-            return { jobId, status: 'running' };
-            
-        } catch (firestoreError) {
-            console.error('❌ Firestore write failed, falling back to in-memory:', firestoreError.message);
-            // Fallback to in-memory storage
-            inMemoryJobs.set(jobId, jobData);
-            console.log(`✅ Created in-memory job (fallback): ${jobId} for user ${userId}`);
-            return { jobId, status: 'running' };
-        }
-        
-    } catch (error) {
-        console.error('❌ Failed to create app creation job:', error);
-        throw new Error('Failed to create app creation job');
+// README added to exported archives: the prompts the project was built from and
+// how to run it
+function buildExportReadme(metadata, filenames) {
+    const refinements = (metadata.versions || []).filter(version => version.source === 'refine' && version.prompt);
+    const hasPackageJson = filenames.includes('package.json');
+    
+    const lines = [
+        `# ${metadata.name}`,
+        '',
+        `Generated with the Shopify AI App Builder on ${new Date(metadata.createdAt).toUTCString()}.`,
+        '',
+        '## Prompt',
+        '',
+        ...(metadata.prompt || '(no prompt recorded)').split('\n').map(line => `> ${line}`),
+        ''
+    ];
+    
+    if (refinements.length > 0) {
+        lines.push('## Follow-up prompts', '');
+        refinements.forEach(version => lines.push(`- ${version.id}: ${version.prompt.replace(/\s+/g, ' ')}`));
+        lines.push('');
+    }
+    
+    lines.push(
+        '## Running the app',
+        '',
+        '```bash',
+        ...(hasPackageJson ? ['npm install', 'npm start'] : ['node server.js']),
+        '```',
+        '',
+        `The app listens on http://localhost:${APP_PORT}.`,
+        ''
+    );
+    
+    if (metadata.currentVersion) {
+        lines.push(`Exported from version ${metadata.currentVersion}.`, '');
     }
+    
+    return lines.join('\n');
 }
 
-async function updateAppCreationJob(jobId, updates) {
-    try {
-        const firestore = getFirestore();
-        
-        // Try in-memory first if Firestore is not available
-        if (!firestore || inMemoryJobs.has(jobId)) {
-            if (inMemoryJobs.has(jobId)) {
-                const existingJob = inMemoryJobs.get(jobId);
-                const updatedJob = {
-                    ...existingJob,
-                    ...updates,
-                    updatedAt: new Date().toISOString()
-                };
-                inMemoryJobs.set(jobId, updatedJob);
-                console.log(`✅ Updated in-memory job ${jobId} with stage: ${updates.stage || 'unknown'}`);
-                return;
-            }
+// Stream a project's stored files as a zip archive. The generated README is
+// README.md, or PROMPT.md when the project has its own README.md.
+async function exportProjectZip(workspaceId, metadata, output) {
+    const prefix = projectPrefix(workspaceId, metadata.id);
+    const filenames = Object.keys((await getProjectManifest(workspaceId, metadata.id)).files).sort();
+    const zip = createZipWriter(output);
+    
+    for (const filename of filenames) {
+        const content = await storage.readFile(`${prefix}${filename}`);
+        if (content !== null) {
+            await zip.addFile(filename, content);
         }
+    }
+    
+    const readmeName = filenames.includes('README.md') ? 'PROMPT.md' : 'README.md';
+    await zip.addFile(readmeName, buildExportReadme(metadata, filenames));
+    await zip.finish();
+    
+    console.log(`📦 Exported project ${metadata.id} (${filenames.length} files)`);
+}
 
-        try {
-            const updateData = {
-                ...updates,
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            };
+// File name for a downloaded archive, e.g. "my-app.zip"
+function exportFilename(name, extension = 'zip') {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'project'}.${extension}`;
+}
 
-            await firestore.collection('app_creation_jobs').doc(jobId).update(updateData);
-            console.log(`✅ Updated Firestore job ${jobId} with stage: ${updates.stage || 'unknown'}`);
-            
-        } catch (firestoreError) {
-            console.error(`❌ Firestore update failed for job ${jobId}, trying in-memory fallback:`, firestoreError.message);
-            
-            // Fallback: try to find and update in-memory
+// Git bundle of a project's history, one commit per version, each authored by
+// whoever made that version. Projects saved before versions were recorded get
+// a single commit of their current files.
+async function bundleProject(workspaceId, metadata) {
+    const versions = [];
+    for (const summary of metadata.versions || []) {
+        const version = await getProjectVersion(workspaceId, metadata.id, summary.id);
+        if (version) versions.push(version);
+    }
+    if (versions.length === 0) {
+        const project = await getProject(workspaceId, metadata.id);
+        versions.push({ id: null, source: 'generate', prompt: project.prompt, createdAt: project.createdAt, files: project.files });
+    }
+    
+    return createProjectBundle(versions);
+}
+
+// Share links give read-only access to a project without signing in. The
+// workspace's record of each link is stored at
+// <workspace root>/project-shares/<projectId>/<shareId>.json and the token is
+// looked up through shares/<token hash>.json; tokens themselves are never stored.
+const MAX_SHARE_LABEL_LENGTH = 100;
+const MAX_SHARE_DAYS = 365;
+
+function projectSharesPrefix(workspaceId, projectId) {
+    return `${workspaceRoot(workspaceId)}/project-shares/${projectId}/`;
+}
+
+function shareLookupPath(tokenHash) {
+    return `shares/${tokenHash}.json`;
+}
+
+function hashShareToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isShareExpired(share) {
+    return Boolean(share.expiresAt) && new Date(share.expiresAt) <= new Date();
+}
+
+// A share as the owner sees it
+function summarizeShare(share) {
+    return {
+        id: share.id,
+        label: share.label,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        expired: isShareExpired(share)
+    };
+}
+
+// Create a share link. The token is only returned here. Previews started from
+// the link are charged to the member who created it (createdBy).
+async function createProjectShare(workspaceId, projectId, { label, expiresAt, createdBy }) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const share = {
+        id: crypto.randomBytes(6).toString('hex'),
+        tokenHash: hashShareToken(token),
+        workspaceId,
+        projectId,
+        createdBy,
+        label: label || '',
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt || null,
+        preview: null
+    };
+    
+    await writeJson(`${projectSharesPrefix(workspaceId, projectId)}${share.id}.json`, share);
+    await writeJson(shareLookupPath(share.tokenHash), { workspaceId, projectId, shareId: share.id }, { ifNotExists: true });
+    
+    console.log(`🔗 Share link ${share.id} created for project ${projectId}`);
+    return { share, token };
+}
+
+async function listProjectShares(workspaceId, projectId) {
+    const keys = await storage.listFiles(projectSharesPrefix(workspaceId, projectId));
+    const shares = await mapConcurrent(keys, STORAGE_CONCURRENCY, readJson);
+    return shares.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Revoke a share link; returns false if it doesn't exist
+async function revokeProjectShare(workspaceId, projectId, shareId) {
+    if (!/^[0-9a-f]{12}$/.test(shareId)) {
+        return false;
+    }
+    
+    const key = `${projectSharesPrefix(workspaceId, projectId)}${shareId}.json`;
+    const share = await readJson(key);
+    if (!share) {
+        return false;
+    }
+    
+    // Without the lookup the token stops working
+    await storage.deleteFile(shareLookupPath(share.tokenHash));
+    await storage.deleteFile(key);
+    console.log(`🔗 Share link ${shareId} of project ${projectId} revoked`);
+    return true;
+}
+
+async function deleteProjectShares(workspaceId, projectId) {
+    for (const share of await listProjectShares(workspaceId, projectId)) {
+        await storage.deleteFile(shareLookupPath(share.tokenHash));
+    }
+    await storage.deletePrefix(projectSharesPrefix(workspaceId, projectId));
+}
+
+// The share record for a token, or null if the token is unknown, revoked or expired
+async function resolveShareToken(token) {
+    if (typeof token !== 'string' || !/^[A-Za-z0-9_-]{32}$/.test(token)) {
+        return null;
+    }
+    
+    const lookup = await readJson(shareLookupPath(hashShareToken(token)));
+    if (!lookup) {
+        return null;
+    }
+    
+    // Links created before workspaces name the user who owns the project
+    const workspaceId = lookup.workspaceId || lookup.userId;
+    const share = await readJson(`${projectSharesPrefix(workspaceId, lookup.projectId)}${lookup.shareId}.json`);
+    if (!share || isShareExpired(share)) {
+        return null;
+    }
+    return { workspaceId, createdBy: share.userId, ...share };
+}
+
+// Previews started from one share link at the same time share one sandbox
+const sharedPreviewStarts = new Map();
+
+// Whether a shared preview is recent enough to reuse: its sandbox has at least
+// a minute left or, if the app failed to start, it failed within the same time.
+// Visitors of a link whose app doesn't start get the failure instead of a new
+// sandbox charged to the link's creator on every visit.
+function isSharedPreviewCurrent(preview) {
+    return Boolean(preview)
+        && new Date(preview.startedAt).getTime() > Date.now() - SANDBOX_TIMEOUT_MS + 60000;
+}
+
+// A shared preview as viewers see it
+function summarizeSharedPreview(preview) {
+    return { previewUrl: preview.previewUrl, startedAt: preview.startedAt, error: preview.error || null };
+}
+
+// A user's current plan, from the "plan" custom claim of their Firebase account
+async function getUserPlan(uid) {
+    if (admin.apps.length === 0) {
+        return 'free';
+    }
+    const account = await admin.auth().getUser(uid);
+    return (account.customClaims && account.customClaims.plan) || 'free';
+}
+
+// The user a new shared preview is charged to: the link's creator on their
+// current plan, as long as they can still edit the project's workspace
+async function getShareCreator(share) {
+    const membership = await workspaces.getMembership({ uid: share.createdBy }, share.workspaceId);
+    if (!membership || !hasPermission(membership.role, 'edit')) {
+        const error = new Error(`Share link ${share.id} was created by ${share.createdBy}, who can no longer edit the project`);
+        error.status = 403;
+        throw error;
+    }
+    
+    try {
+        return { uid: share.createdBy, plan: await getUserPlan(share.createdBy) };
+    } catch (authError) {
+        if (authError.code !== 'auth/user-not-found') throw authError;
+        const error = new Error(`Share link ${share.id} was created by ${share.createdBy}, whose account no longer exists`);
+        error.status = 403;
+        throw error;
+    }
+}
+
+// Start (or reuse) the preview sandbox of a shared project. The sandbox is
+// charged to the link's creator; a current preview (see isSharedPreviewCurrent)
+// is reused. Access, quota and policy errors are thrown; any other failure is
+// recorded as a failed preview.
+async function startSharedPreview(share, files) {
+    if (isSharedPreviewCurrent(share.preview)) {
+        return share.preview;
+    }
+    
+    if (!sharedPreviewStarts.has(share.id)) {
+        const start = (async () => {
+            const creator = await getShareCreator(share);
+            
+            // The sandbox of the previous preview may not have timed out yet
+            if (share.preview && share.preview.sandboxId) {
+                Sandbox.kill(share.preview.sandboxId).catch(error => {
+                    console.warn(`Could not stop previous shared preview sandbox ${share.preview.sandboxId}:`, error.message);
+                });
+            }
+            
+            const startedAt = new Date().toISOString();
+            let preview;
+            try {
+                const { sandbox, previewUrl, startResult } = await startProjectPreview(creator, files);
+                if (startResult.ok) {
+                    preview = { sandboxId: sandbox.id, previewUrl, startedAt, error: null };
+                } else {
+                    // Nobody can use a sandbox whose app didn't start
+                    await sandbox.kill().catch(error => console.warn(`Could not stop shared preview sandbox ${sandbox.id}:`, error.message));
+                    preview = { sandboxId: null, previewUrl: null, startedAt, error: `The app failed during ${startResult.stage}` };
+                }
+            } catch (error) {
+                if (error.status) throw error;
+                console.error(`Shared preview of link ${share.id} could not be started:`, error);
+                preview = { sandboxId: null, previewUrl: null, startedAt, error: 'The preview could not be started' };
+            }
+            
+            await writeJson(`${projectSharesPrefix(share.workspaceId, share.projectId)}${share.id}.json`, { ...share, preview });
+            return preview;
+        })();
+        sharedPreviewStarts.set(share.id, start);
+        start.catch(() => {}).finally(() => sharedPreviewStarts.delete(share.id));
+    }
+    return sharedPreviewStarts.get(share.id);
+}
+
+// Validate a share request body; returns { label, expiresAt } or { error }
+function parseShareRequest(body) {
+    const label = body.label === undefined ? '' : body.label;
+    if (typeof label !== 'string' || label.trim().length > MAX_SHARE_LABEL_LENGTH) {
+        return { error: `label must be a string of at most ${MAX_SHARE_LABEL_LENGTH} characters` };
+    }
+    
+    let expiresAt = null;
+    if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+        const days = Number(body.expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+            return { error: `expiresInDays must be a number of days from 1 to ${MAX_SHARE_DAYS}` };
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+    
+    return { label: label.trim(), expiresAt };
+}
+
+const MAX_PROJECT_NAME_LENGTH = 100;
+const MAX_PROJECT_DESCRIPTION_LENGTH = 500;
+const MAX_PROJECT_TAGS = 20;
+const MAX_PROJECT_TAG_LENGTH = 30;
+
+// Validate a PATCH body; returns { details } with the fields to change or { error }
+function parseProjectDetails(body) {
+    const details = {};
+    
+    if (body.name !== undefined) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > MAX_PROJECT_NAME_LENGTH) {
+            return { error: `name must be 1-${MAX_PROJECT_NAME_LENGTH} characters` };
+        }
+        details.name = name;
+    }
+    
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string' || body.description.length > MAX_PROJECT_DESCRIPTION_LENGTH) {
+            return { error: `description must be a string of at most ${MAX_PROJECT_DESCRIPTION_LENGTH} characters` };
+        }
+        details.description = body.description.trim();
+    }
+    
+    if (body.tags !== undefined) {
+        const validTags = Array.isArray(body.tags) && body.tags.length <= MAX_PROJECT_TAGS && body.tags.every(tag =>
+            typeof tag === 'string' && tag.trim() && tag.trim().length <= MAX_PROJECT_TAG_LENGTH
+        );
+        if (!validTags) {
+            return { error: `tags must be a list of at most ${MAX_PROJECT_TAGS} tags of 1-${MAX_PROJECT_TAG_LENGTH} characters` };
+        }
+        details.tags = [...new Set(body.tags.map(tag => tag.trim()))];
+    }
+    
+    if (Object.keys(details).length === 0) {
+        return { error: 'Provide at least one of name, description or tags' };
+    }
+    
+    return { details };
+}
+
+// Get a specific project with its files from storage
+async function getProject(workspaceId, projectId) {
+    try {
+        // Get project metadata
+        const metadata = await getProjectMetadata(workspaceId, projectId);
+        if (!metadata) {
+            return null;
+        }
+        
+        // Add files to metadata
+        const manifest = await getProjectManifest(workspaceId, projectId);
+        metadata.files = await readProjectFiles(workspaceId, projectId, manifest);
+        
+        return metadata;
+        
+    } catch (error) {
+        console.error('Failed to get project from storage:', error);
+        return null;
+    }
+}
+
+// Create a sandbox for a user, enforcing and charging their sandbox quota. The
+// charge is reserved first and refunded if the sandbox can't be created.
+async function createUserSandbox(user) {
+    const refund = await reserveUsage(user.uid, user.plan, { sandboxes: 1, sandboxMinutes: SANDBOX_MINUTES });
+    try {
+        return await Sandbox.create('47xhltp24c20rrk3ntgv', { timeoutMs: SANDBOX_TIMEOUT_MS });
+    } catch (error) {
+        await refund();
+        throw error;
+    }
+}
+
+// Start a project's saved files in a new preview sandbox charged to user.
+// Returns { sandbox, startResult, previewUrl }; previewUrl is null if the app
+// didn't start.
+async function startProjectPreview(user, files) {
+    // The policy may have changed since the project was generated
+    enforceDependencyPolicy(files);
+
+    const sandbox = await createUserSandbox(user);
+    let startResult;
+    try {
+        await deployProjectToSandbox(sandbox, files);
+        
+        // Start the server and wait until it is listening
+        startResult = await startAppInSandbox(sandbox);
+    } catch (error) {
+        // Nothing else holds the sandbox, so it would run until it times out
+        await sandbox.kill().catch(killError => console.warn(`Could not stop sandbox ${sandbox.id}:`, killError.message));
+        throw error;
+    }
+    const previewUrl = startResult.ok ? `https://${sandbox.getHost(3000)}` : null;
+    if (!startResult.ok) {
+        console.warn(`⚠️  Project app failed during ${startResult.stage}:`, startResult.output);
+    }
+    return { sandbox, startResult, previewUrl };
+}
+
+// Deploy project files to E2B sandbox
+async function deployProjectToSandbox(sandbox, projectFiles) {
+    console.log('Deploying project files to sandbox...');
+    
+    // Deploy each file to the sandbox
+    await writeFilesToSandbox(sandbox, projectFiles);
+    
+    // Ensure we have a basic package.json if not provided
+    if (!projectFiles['package.json']) {
+        const basicPackageJson = {
+            "name": "shopify-app",
+            "version": "1.0.0",
+            "main": "server.js",
+            "dependencies": {
+                "express": "^4.18.2"
+            }
+        };
+        const packageJsonContent = JSON.stringify(basicPackageJson, null, 2);
+        await sandbox.files.write('/tmp/app/package.json', packageJsonContent);
+    }
+}
+
+// Write files into /tmp/app, creating any subdirectories they live in
+async function writeFilesToSandbox(sandbox, files) {
+    // Create app directory
+    await sandbox.commands.run('mkdir -p /tmp/app');
+    
+    // Paths are checked before anything, directories included, is created
+    const safeFiles = [];
+    for (const [filename, content] of Object.entries(files)) {
+        const safePath = normalizeProjectPath(filename);
+        if (!safePath) {
+            console.warn(`⚠️  Skipping file with unsafe path: ${filename}`);
+            continue;
+        }
+        safeFiles.push([safePath, content]);
+    }
+    
+    const directories = new Set(
+        safeFiles
+            .map(([safePath]) => path.posix.dirname(safePath))
+            .filter(directory => directory !== '.')
+    );
+    for (const directory of directories) {
+        await sandbox.files.makeDir(`/tmp/app/${directory}`);
+    }
+    
+    for (const [safePath, content] of safeFiles) {
+        console.log(`Writing file: ${safePath} (${content.length} ${Buffer.isBuffer(content) ? 'bytes' : 'chars'})`);
+        await sandbox.files.write(`/tmp/app/${safePath}`, toSandboxContent(content));
+    }
+}
+
+// Run a foreground sandbox command and return its result instead of throwing on a non-zero exit
+async function runSandboxCommand(sandbox, command, options = {}) {
+    try {
+        const result = await sandbox.commands.run(command, options);
+        return { exitCode: result.exitCode, stdout: result.stdout || '', stderr: result.stderr || '' };
+    } catch (error) {
+        if (error instanceof CommandExitError) {
+            return { exitCode: error.exitCode, stdout: error.stdout || '', stderr: error.stderr || error.message || '' };
+        }
+        throw error;
+    }
+}
+
+// Keep the end of long command output, where the actual error usually is
+function tailOutput(output, maxLength = 4000) {
+    const trimmed = (output || '').trim();
+    return trimmed.length > maxLength ? `...${trimmed.slice(-maxLength)}` : trimmed;
+}
+
+// Install dependencies, start server.js and wait until it answers on port 3000.
+// Resolves to { ok: true, handle } or { ok: false, stage, output } describing what failed;
+// a server that never came up is killed so the next attempt can reuse the port.
+async function startAppInSandbox(sandbox, onEvent = () => {}) {
+    console.log('Installing dependencies in sandbox...');
+    onEvent('install', { stage: 'started' });
+    const install = await runSandboxCommand(sandbox, 'cd /tmp/app && npm install', { timeoutMs: 300000 });
+    if (install.exitCode !== 0) {
+        onEvent('install', { stage: 'failed' });
+        return { ok: false, stage: 'install', output: tailOutput(install.stderr || install.stdout) };
+    }
+    onEvent('install', { stage: 'completed' });
+
+    // Start the web server in the sandbox; a server has no natural timeout
+    console.log('Starting web server in sandbox...');
+    const handle = await sandbox.commands.run('cd /tmp/app && node server.js > /tmp/app-server.log 2>&1', {
+        background: true,
+        timeoutMs: 0
+    });
+
+    // Wait for the app to listen, giving up early if the process exits
+    for (let second = 0; second < 20; second++) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        if (handle.exitCode !== undefined) break;
+
+        const probe = await runSandboxCommand(sandbox, 'curl -s -o /dev/null -w "%{http_code}" http://localhost:3000/');
+        if (probe.exitCode === 0 && probe.stdout.trim() !== '000') {
+            return { ok: true, handle };
+        }
+    }
+
+    const log = await runSandboxCommand(sandbox, 'cat /tmp/app-server.log');
+    await handle.kill().catch(() => {});
+    return {
+        ok: false,
+        stage: 'start',
+        output: tailOutput(log.stdout) || 'The server did not start listening on port 3000 within 20 seconds.'
+    };
+}
+
+// Read every project.json of a user from storage. Listing goes through the
+// project index, which only falls back to this scan without Firestore.
+async function getWorkspaceProjects(workspaceId) {
+    try {
+        const projectsPath = `${workspaceRoot(workspaceId)}/projects/`;
+        const keys = await storage.listFiles(projectsPath);
+        
+        // Each project has <workspace root>/projects/<id>/project.json; a
+        // generated file called project.json deeper in a project doesn't count
+        const projectFiles = keys.filter(key => /^[^/]+\/project\.json$/.test(key.slice(projectsPath.length)));
+        
+        const projects = await mapConcurrent(projectFiles, STORAGE_CONCURRENCY, async projectFile => {
+            try {
+                return await readJson(projectFile);
+            } catch (error) {
+                console.warn(`Skipping invalid project file: ${projectFile}`, error.message);
+                return null;
+            }
+        });
+        
+        return projects.filter(Boolean);
+        
+    } catch (error) {
+        console.error('Failed to get workspace projects from storage:', error);
+        return [];
+    }
+}
+
+// Normalize a generated file path to one relative to the project root.
+// Returns null for paths that would escape the project directory.
+function normalizeProjectPath(filePath) {
+    if (typeof filePath !== 'string') return null;
+    
+    const normalized = filePath.trim().replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+    const segments = normalized.split('/');
+    if (!normalized || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+        return null;
+    }
+    
+    return normalized;
+}
+
+// Firestore database access
+let db;
+function getFirestore() {
+    if (!db && admin.apps.length > 0) {
+        db = admin.firestore();
+    }
+    return db;
+}
+
+// Generate unique job ID for Shopify app creation
+function generateJobId() {
+    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// In-memory job storage as fallback
+const inMemoryJobs = new Map();
+
+// Background job management. Shopify app creation and code generation jobs
+// share the app_creation_jobs store and are told apart by their type.
+async function createAppCreationJob(userId, workspaceId, appName) {
+    return createJob(userId, {
+        type: 'app-creation',
+        workspaceId,
+        appName,
+        stage: 'initializing',
+        authUrl: null,
+        sandboxId: null,
+        appData: null
+    });
+}
+
+async function createGenerationJob(userId, { workspaceId, prompt, projectId }) {
+    return createJob(userId, {
+        type: 'generation',
+        workspaceId,
+        prompt,
+        projectId: projectId || null,
+        stage: 'queued',
+        code: '',
+        result: null
+    });
+}
+
+async function createJob(userId, fields) {
+    try {
+        const firestore = getFirestore();
+        const jobId = generateJobId();
+        const jobData = {
+            jobId,
+            userId,
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            output: [],
+            error: null,
+            ...fields
+        };
+
+        if (!firestore) {
+            console.warn('⚠️  Firestore not available - using in-memory job tracking');
+            inMemoryJobs.set(jobId, jobData);
+            console.log(`✅ Created in-memory job: ${jobId} for user ${userId}`);
+            return { jobId, status: 'running' };
+        }
+
+        try {
+            // Try to use Firestore first
+            const firestoreJobData = {
+                ...jobData,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+            
+            await firestore.collection('app_creation_jobs').doc(jobId).set(firestoreJobData);
+            console.log(`✅ Created Firestore job: ${jobId} for user ${userId}`);
+            return { jobId, status: 'running' };
+            
+        } catch (firestoreError) {
+            console.error('❌ Firestore write failed, falling back to in-memory:', firestoreError.message);
+            // Fallback to in-memory storage
+            inMemoryJobs.set(jobId, jobData);
+            console.log(`✅ Created in-memory job (fallback): ${jobId} for user ${userId}`);
+            return { jobId, status: 'running' };
+        }
+        
+    } catch (error) {
+        console.error(`❌ Failed to create ${fields.type} job:`, error);
+        throw new Error(`Failed to create ${fields.type} job`);
+    }
+}
+
+async function updateJob(jobId, updates) {
+    try {
+        const firestore = getFirestore();
+        
+        // Try in-memory first if Firestore is not available
+        if (!firestore || inMemoryJobs.has(jobId)) {
+            if (inMemoryJobs.has(jobId)) {
+                const existingJob = inMemoryJobs.get(jobId);
+                const updatedJob = {
+                    ...existingJob,
+                    ...updates,
+                    updatedAt: new Date().toISOString()
+                };
+                inMemoryJobs.set(jobId, updatedJob);
+                console.log(`✅ Updated in-memory job ${jobId} with stage: ${updates.stage || 'unknown'}`);
+                return;
+            }
+        }
+
+        try {
+            const updateData = {
+                ...updates,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            await firestore.collection('app_creation_jobs').doc(jobId).update(updateData);
+            console.log(`✅ Updated Firestore job ${jobId} with stage: ${updates.stage || 'unknown'}`);
+            
+        } catch (firestoreError) {
+            console.error(`❌ Firestore update failed for job ${jobId}, trying in-memory fallback:`, firestoreError.message);
+            
+            // Fallback: try to find and update in-memory
             if (inMemoryJobs.has(jobId)) {
                 const existingJob = inMemoryJobs.get(jobId);
                 const updatedJob = {
@@ -387,323 +1261,2243 @@ async function updateAppCreationJob(jobId, updates) {
             } else {
                 console.warn(`⚠️  Job ${jobId} not found in Firestore or in-memory`);
             }
-        }
-        
-    } catch (error) {
-        console.error(`❌ Failed to update job ${jobId}:`, error);
-    }
+        }
+        
+    } catch (error) {
+        console.error(`❌ Failed to update job ${jobId}:`, error);
+    }
+}
+
+async function getJob(jobId) {
+    try {
+        // Check in-memory first
+        if (inMemoryJobs.has(jobId)) {
+            console.log(`✅ Found in-memory job ${jobId}`);
+            return inMemoryJobs.get(jobId);
+        }
+
+        const firestore = getFirestore();
+        if (!firestore) {
+            console.warn('⚠️  Firestore not available and job not in memory');
+            return null;
+        }
+
+        try {
+            const jobDoc = await firestore.collection('app_creation_jobs').doc(jobId).get();
+            
+            if (!jobDoc.exists) {
+                console.warn(`⚠️  Job ${jobId} not found in Firestore`);
+                return null;
+            }
+
+            const jobData = jobDoc.data();
+            // Convert Firestore timestamps to ISO strings
+            if (jobData.createdAt && jobData.createdAt.toDate) {
+                jobData.createdAt = jobData.createdAt.toDate().toISOString();
+            }
+            if (jobData.updatedAt && jobData.updatedAt.toDate) {
+                jobData.updatedAt = jobData.updatedAt.toDate().toISOString();
+            }
+            
+            console.log(`✅ Found Firestore job ${jobId}`);
+            return jobData;
+            
+        } catch (firestoreError) {
+            console.error(`❌ Firestore read failed for job ${jobId}:`, firestoreError.message);
+            return null;
+        }
+        
+    } catch (error) {
+        console.error(`❌ Failed to get job ${jobId}:`, error);
+        return null;
+    }
+}
+
+async function saveShopifyAppMetadata(userId, workspaceId, appData) {
+    try {
+        const firestore = getFirestore();
+        if (!firestore) {
+            console.warn('⚠️  Firestore not available - cannot save app metadata');
+            return;
+        }
+
+        const appId = generateProjectId();
+        const appMetadata = {
+            appId,
+            userId,
+            workspaceId,
+            name: appData.name,
+            description: `Shopify app created with CLI: ${appData.name}`,
+            type: 'shopify-cli-app',
+            template: 'typescript-react',
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            status: 'active',
+            cliPath: appData.cliPath || null,
+            projectPath: appData.projectPath || null,
+            authCompleted: appData.authCompleted || false
+        };
+
+        await firestore.collection('user_shopify_apps').doc(appId).set(appMetadata);
+        console.log(`✅ Saved Shopify app metadata: ${appId} for user ${userId}`);
+        
+        return { appId, ...appMetadata };
+        
+    } catch (error) {
+        console.error('❌ Failed to save Shopify app metadata:', error);
+        throw new Error('Failed to save app metadata');
+    }
+}
+
+// Apps created before workspaces have no workspaceId and belong to the
+// personal workspace of the user who created them
+async function getWorkspaceShopifyApps(workspace) {
+    try {
+        const firestore = getFirestore();
+        if (!firestore) {
+            console.warn('⚠️  Firestore not available');
+            return [];
+        }
+
+        const appsSnapshot = await firestore
+            .collection('user_shopify_apps')
+            .where(workspace.personal ? 'userId' : 'workspaceId', '==', workspace.id)
+            .orderBy('createdAt', 'desc')
+            .get();
+
+        const apps = [];
+        appsSnapshot.forEach(doc => {
+            const appData = doc.data();
+            if (workspace.personal && appData.workspaceId && appData.workspaceId !== workspace.id) {
+                return;
+            }
+            // Convert Firestore timestamps to ISO strings
+            if (appData.createdAt && appData.createdAt.toDate) {
+                appData.createdAt = appData.createdAt.toDate().toISOString();
+            }
+            if (appData.updatedAt && appData.updatedAt.toDate) {
+                appData.updatedAt = appData.updatedAt.toDate().toISOString();
+            }
+            apps.push(appData);
+        });
+
+        console.log(`📱 Found ${apps.length} Shopify apps in workspace ${workspace.id}`);
+        return apps;
+        
+    } catch (error) {
+        console.error('❌ Failed to get workspace Shopify apps:', error);
+        return [];
+    }
+}
+
+// Cleanup old jobs (run periodically)
+async function cleanupOldJobs() {
+    try {
+        const firestore = getFirestore();
+        if (!firestore) return;
+
+        const cutoffTime = new Date();
+        cutoffTime.setHours(cutoffTime.getHours() - 24); // 24 hours ago
+
+        const oldJobsQuery = await firestore
+            .collection('app_creation_jobs')
+            .where('createdAt', '<', cutoffTime)
+            .get();
+
+        const batch = firestore.batch();
+        let deleteCount = 0;
+
+        oldJobsQuery.forEach(doc => {
+            batch.delete(doc.ref);
+            deleteCount++;
+        });
+
+        if (deleteCount > 0) {
+            await batch.commit();
+            console.log(`🧹 Cleaned up ${deleteCount} old app creation jobs`);
+        }
+        
+    } catch (error) {
+        console.error('❌ Failed to cleanup old jobs:', error);
+    }
+}
+
+// Run cleanup every hour
+setInterval(cleanupOldJobs, 60 * 60 * 1000);
+
+// Initialize the LLM provider (LLM_PROVIDER=anthropic|mock)
+const llm = createProvider();
+
+// Middleware
+// The dashboard reads the archive name of project exports from Content-Disposition
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+app.use(express.json());
+
+// Enhanced authentication middleware with Firebase token verification
+const authenticateUser = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            message: 'Please provide a valid authentication token'
+        });
+    }
+    
+    // Extract token
+    const token = authHeader.substring(7);
+    
+    try {
+        // Check if Firebase is initialized properly
+        if (admin.apps.length === 0) {
+            console.warn('🔓 Firebase not initialized, using basic token validation');
+            // Fallback to basic token validation
+            req.user = {
+                uid: `user_${token.substring(0, 10)}`,
+                email: 'demo@example.com', // You'll need to get this from frontend
+                plan: 'free',
+                token: token
+            };
+            next();
+            return;
+        }
+        
+        // Verify Firebase ID token
+        console.log('🔐 Verifying Firebase ID token...');
+        const decodedToken = await admin.auth().verifyIdToken(token);
+        console.log(`✅ Token verified for user: ${decodedToken.email} (${decodedToken.uid})`);
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            plan: decodedToken.plan || 'free',
+            token: token
+        };
+        next();
+    } catch (error) {
+        // Quotas are kept per user, so an unverified token must not get a user of its own
+        console.error('Token verification failed:', error.message);
+        return res.status(401).json({
+            error: 'Invalid authentication token',
+            message: 'Your session could not be verified; please sign in again'
+        });
+    }
+};
+
+// Resolve the workspace a request acts in and check the user's role in it (see
+// workspaces.js); the store is read when a request comes in since it is only
+// created once storage is initialized
+const requireWorkspace = createWorkspaceGuard(() => workspaces);
+
+// Whether a user may act on a job with permission. Jobs belong to the
+// workspace they were started in; older jobs to the user who started them.
+async function canAccessJob(user, jobData, permission) {
+    const membership = await workspaces.getMembership(user, jobData.workspaceId || jobData.userId);
+    return Boolean(membership) && hasPermission(membership.role, permission);
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// List the app archetypes the generator can build
+app.get('/api/archetypes', (req, res) => {
+    res.json({
+        success: true,
+        archetypes: listArchetypes(),
+        defaultArchetype: DEFAULT_ARCHETYPE_ID
+    });
+});
+
+
+// Get the user's usage and quotas for today and this month
+app.get('/api/usage', authenticateUser, async (req, res) => {
+    try {
+        const usage = await getUsageSummary(req.user.uid, req.user.plan);
+        res.json({ success: true, ...usage });
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to load usage'
+        });
+    }
+});
+
+// User ID of a new workspace member, looked up by email when Firebase Auth is
+// available. Throws an error with a status when they can't be found.
+async function resolveMemberId({ email, userId }) {
+    if (typeof userId === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(userId)) {
+        return userId;
+    }
+    
+    if (typeof email !== 'string' || !email.includes('@')) {
+        const error = new Error('Provide the email address of the person to add');
+        error.status = 400;
+        throw error;
+    }
+    
+    if (admin.apps.length === 0) {
+        const error = new Error('Members can only be added by email when Firebase Auth is configured; pass their userId instead');
+        error.status = 503;
+        throw error;
+    }
+    
+    try {
+        return (await admin.auth().getUserByEmail(email.trim())).uid;
+    } catch (authError) {
+        if (authError.code === 'auth/user-not-found') {
+            const error = new Error(`No account uses ${email.trim()}; they need to sign up before they can be added`);
+            error.status = 404;
+            throw error;
+        }
+        throw authError;
+    }
+}
+
+function parseWorkspaceRole(role) {
+    return WORKSPACE_ROLES.includes(role) ? null : `role must be one of: ${WORKSPACE_ROLES.join(', ')}`;
+}
+
+// Members as the workspace's members see them
+function listWorkspaceMembers(workspace) {
+    return Object.entries(workspace.members)
+        .map(([userId, member]) => ({ userId, ...member }))
+        .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+// Team workspaces need their own members and settings; personal ones have neither
+function rejectPersonalWorkspace(req, res) {
+    if (!req.workspace.personal) {
+        return false;
+    }
+    res.status(400).json({
+        error: 'Bad request',
+        message: 'Personal workspaces have no members or settings; create a team workspace instead'
+    });
+    return true;
+}
+
+// List the user's workspaces, personal first
+app.get('/api/workspaces', authenticateUser, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            workspaces: await workspaces.listForUser(req.user)
+        });
+    } catch (error) {
+        console.error('Error listing workspaces:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to list workspaces'
+        });
+    }
+});
+
+// Create a team workspace with the user as its owner
+app.post('/api/workspaces', authenticateUser, async (req, res) => {
+    try {
+        const { name, error } = parseWorkspaceName((req.body || {}).name);
+        if (error) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error
+            });
+        }
+        
+        const workspace = await workspaces.create(req.user, name);
+        res.status(201).json({
+            success: true,
+            workspace: await workspaces.getMembership(req.user, workspace.id)
+        });
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to create workspace'
+        });
+    }
+});
+
+// Rename a team workspace
+app.patch('/api/workspaces/:workspaceId', authenticateUser, requireWorkspace('manage'), async (req, res) => {
+    try {
+        if (rejectPersonalWorkspace(req, res)) return;
+        
+        const { name, error } = parseWorkspaceName((req.body || {}).name);
+        if (error) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error
+            });
+        }
+        
+        await workspaces.rename(req.workspace.id, name);
+        res.json({
+            success: true,
+            workspace: { ...req.workspace, name }
+        });
+    } catch (error) {
+        console.error('Error renaming workspace:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'Request failed' : 'Internal server error',
+            message: error.status ? error.message : 'Failed to rename workspace'
+        });
+    }
+});
+
+// Delete a team workspace. Its projects have to be deleted (or downloaded) first.
+app.delete('/api/workspaces/:workspaceId', authenticateUser, requireWorkspace('manage'), async (req, res) => {
+    try {
+        if (rejectPersonalWorkspace(req, res)) return;
+        
+        const projectCount = await projectIndex.count(req.workspace.id);
+        if (projectCount > 0) {
+            return res.status(409).json({
+                error: 'Workspace not empty',
+                message: `${req.workspace.name} still has ${projectCount} project(s); delete them first`
+            });
+        }
+        
+        await workspaces.remove(await workspaces.get(req.workspace.id));
+        res.json({
+            success: true,
+            workspaceId: req.workspace.id
+        });
+    } catch (error) {
+        console.error('Error deleting workspace:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to delete workspace'
+        });
+    }
+});
+
+// List a workspace's members and their roles
+app.get('/api/workspaces/:workspaceId/members', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        if (rejectPersonalWorkspace(req, res)) return;
+        
+        const workspace = await workspaces.get(req.workspace.id);
+        res.json({
+            success: true,
+            role: req.workspace.role,
+            members: listWorkspaceMembers(workspace)
+        });
+    } catch (error) {
+        console.error('Error listing workspace members:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to list workspace members'
+        });
+    }
+});
+
+// Add a member ({ email, role }) or change the role of an existing one
+app.post('/api/workspaces/:workspaceId/members', authenticateUser, requireWorkspace('manage'), async (req, res) => {
+    try {
+        if (rejectPersonalWorkspace(req, res)) return;
+        
+        const { email, userId, role = 'editor' } = req.body || {};
+        const roleError = parseWorkspaceRole(role);
+        if (roleError) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: roleError
+            });
+        }
+        
+        const memberId = await resolveMemberId({ email, userId });
+        const workspace = await workspaces.setMember(req.workspace.id, memberId, { role, email: typeof email === 'string' ? email.trim() : null });
+        console.log(`👥 ${memberId} is now ${role} of workspace ${req.workspace.id}`);
+        
+        res.json({
+            success: true,
+            members: listWorkspaceMembers(workspace)
+        });
+    } catch (error) {
+        console.error('Error adding workspace member:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'Request failed' : 'Internal server error',
+            message: error.status ? error.message : 'Failed to add workspace member'
+        });
+    }
+});
+
+// Change a member's role
+app.patch('/api/workspaces/:workspaceId/members/:memberId', authenticateUser, requireWorkspace('manage'), async (req, res) => {
+    try {
+        if (rejectPersonalWorkspace(req, res)) return;
+        
+        const { role } = req.body || {};
+        const roleError = parseWorkspaceRole(role);
+        if (roleError) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: roleError
+            });
+        }
+        
+        const existing = await workspaces.get(req.workspace.id);
+        if (!existing.members[req.params.memberId]) {
+            return res.status(404).json({
+                error: 'Member not found',
+                message: 'That user is not a member of this workspace'
+            });
+        }
+        
+        const workspace = await workspaces.setMember(req.workspace.id, req.params.memberId, { role });
+        res.json({
+            success: true,
+            members: listWorkspaceMembers(workspace)
+        });
+    } catch (error) {
+        console.error('Error changing workspace member role:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'Request failed' : 'Internal server error',
+            message: error.status ? error.message : 'Failed to change member role'
+        });
+    }
+});
+
+// Remove a member. Every member can leave; only owners can remove others.
+app.delete('/api/workspaces/:workspaceId/members/:memberId', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        if (rejectPersonalWorkspace(req, res)) return;
+        
+        const leaving = req.params.memberId === req.user.uid;
+        if (!leaving && !hasPermission(req.workspace.role, 'manage')) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only owners can remove other members'
+            });
+        }
+        
+        const removed = await workspaces.removeMember(req.workspace.id, req.params.memberId);
+        if (!removed) {
+            return res.status(404).json({
+                error: 'Member not found',
+                message: 'That user is not a member of this workspace'
+            });
+        }
+        
+        console.log(`👥 ${req.params.memberId} ${leaving ? 'left' : 'was removed from'} workspace ${req.workspace.id}`);
+        res.json({
+            success: true,
+            memberId: req.params.memberId
+        });
+    } catch (error) {
+        console.error('Error removing workspace member:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? 'Request failed' : 'Internal server error',
+            message: error.status ? error.message : 'Failed to remove workspace member'
+        });
+    }
+});
+
+// Imports are uploaded as the raw request body
+const parseImportUpload = express.raw({ type: () => true, limit: MAX_IMPORT_UPLOAD_SIZE });
+
+// Name for an imported project: the package.json name, else the archive's
+// top-level directory
+function importedProjectName(files, root) {
+    try {
+        const manifest = JSON.parse(files['package.json']);
+        if (manifest && typeof manifest.name === 'string' && manifest.name.trim()) {
+            return manifest.name.trim().slice(0, MAX_PROJECT_NAME_LENGTH);
+        }
+    } catch (error) {
+        // No package.json, or one the validator will report
+    }
+    return (root || 'Imported project').slice(0, MAX_PROJECT_NAME_LENGTH);
+}
+
+// Create a project from an uploaded zip, tar or tar.gz archive. The project is
+// deployed when it is opened and can be refined like a generated one.
+app.post('/api/projects/import', authenticateUser, requireWorkspace('edit'), (req, res, next) => {
+    parseImportUpload(req, res, error => {
+        if (error) {
+            return res.status(error.status === 413 ? 413 : 400).json({
+                error: error.status === 413 ? 'Upload too large' : 'Bad request',
+                message: error.status === 413 ? `Archives can be at most ${MAX_IMPORT_UPLOAD_SIZE / (1024 * 1024)} MB` : error.message
+            });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { archetype = DEFAULT_ARCHETYPE_ID } = req.query;
+        
+        if (!getArchetype(archetype)) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: `Unknown archetype "${archetype}"`
+            });
+        }
+        
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: 'Upload a .zip, .tar or .tar.gz archive of the project as the request body'
+            });
+        }
+        
+        let extracted;
+        try {
+            extracted = extractProjectArchive(req.body);
+        } catch (error) {
+            if (!error.status) throw error;
+            return res.status(error.status).json({
+                error: error.status === 413 ? 'Project too large' : 'Invalid archive',
+                message: error.message
+            });
+        }
+        
+        let name = importedProjectName(extracted.files, extracted.root);
+        if (req.query.name !== undefined) {
+            const { details, error } = parseProjectDetails({ name: req.query.name });
+            if (error) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: error
+                });
+            }
+            name = details.name;
+        }
+        
+        // Imported code goes through the same secret scan as generated code
+        let secretScan;
+        try {
+            secretScan = screenFiles(extracted.files);
+        } catch (error) {
+            if (!error.secretFindings) throw error;
+            return res.status(422).json({
+                error: 'Secrets detected',
+                message: `The archive contains ${error.secretFindings.length} secret(s). Remove credentials from the code and use environment variables instead.`,
+                secrets: { mode: SECRET_SCAN_MODE, findings: error.secretFindings }
+            });
+        }
+        
+        // Problems are reported rather than blocking the import; the dependency
+        // policy is enforced again before the project is deployed
+        const diagnostics = [
+            ...validateProjectSource(secretScan.files),
+            ...checkDependencyPolicy(secretScan.files)
+        ];
+        
+        const { projectId, metadata } = await saveProject(workspaceId, {
+            name,
+            description: `Imported from ${extracted.root ? `${extracted.root}/` : 'an archive'}`,
+            files: secretScan.files,
+            archetype,
+            author: versionAuthor(req.user),
+            versionSource: 'import'
+        });
+        
+        console.log(`📥 Imported project ${projectId} in workspace ${workspaceId} (${Object.keys(secretScan.files).length} files, ${extracted.skipped.length} skipped)`);
+        
+        res.json({
+            success: true,
+            projectId,
+            project: metadata,
+            skipped: extracted.skipped,
+            validation: summarizeValidation('report', diagnostics),
+            secrets: { mode: SECRET_SCAN_MODE, findings: secretScan.findings }
+        });
+        
+    } catch (error) {
+        console.error('Error importing project:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to import project'
+        });
+    }
+});
+
+// Assets are uploaded as the raw request body
+const parseAssetUpload = express.raw({ type: () => true, limit: MAX_ASSET_SIZE });
+
+// Upload an image, font or icon into a project (?path=assets/logo.png). An
+// existing file at the path is replaced.
+app.post('/api/projects/:projectId/assets', authenticateUser, requireWorkspace('edit'), (req, res, next) => {
+    parseAssetUpload(req, res, error => {
+        if (error) {
+            return res.status(error.status === 413 ? 413 : 400).json({
+                error: error.status === 413 ? 'Upload too large' : 'Bad request',
+                message: error.status === 413 ? `Assets can be at most ${MAX_ASSET_SIZE / (1024 * 1024)} MB` : error.message
+            });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { projectId } = req.params;
+        
+        const assetPath = normalizeProjectPath(req.query.path);
+        if (!assetPath || !isAssetPath(assetPath)) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: `path must be a relative path inside the project ending in ${ASSET_EXTENSIONS.map(extension => `.${extension}`).join(', ')}`
+            });
+        }
+        
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: 'Upload the file as the request body'
+            });
+        }
+        
+        // SVG is stored as text like the project's code
+        let content = req.body;
+        if (!isBinaryAsset(assetPath)) {
+            try {
+                content = new TextDecoder('utf-8', { fatal: true }).decode(req.body);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: `${assetPath} is not a text SVG file`
+                });
+            }
+        }
+        
+        const project = await getProject(workspaceId, projectId);
+        if (!project) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        if (binaryAssetsSize({ ...project.files, [assetPath]: content }) > MAX_PROJECT_ASSETS_SIZE) {
+            return res.status(413).json({
+                error: 'Project too large',
+                message: `A project's images, fonts and icons can add up to at most ${MAX_PROJECT_ASSETS_SIZE / (1024 * 1024)} MB`
+            });
+        }
+        
+        // SVGs are sent to the model, so they go through the secret scan too
+        let secretScan;
+        try {
+            secretScan = screenFiles({ [assetPath]: content });
+        } catch (error) {
+            if (!error.secretFindings) throw error;
+            return res.status(422).json({
+                error: 'Secrets detected',
+                message: `The file contains ${error.secretFindings.length} secret(s). Remove credentials from it before uploading.`,
+                secrets: { mode: SECRET_SCAN_MODE, findings: error.secretFindings }
+            });
+        }
+        
+        const metadata = await addProjectAsset(workspaceId, project, assetPath, secretScan.files[assetPath], versionAuthor(req.user));
+        
+        // The old preview runs without the asset
+        if (project.sandboxId) {
+            Sandbox.kill(project.sandboxId).catch(error => {
+                console.warn(`Could not stop previous sandbox ${project.sandboxId}:`, error.message);
+            });
+        }
+        
+        res.json({
+            success: true,
+            path: assetPath,
+            contentType: getContentType(assetPath),
+            size: Buffer.byteLength(secretScan.files[assetPath]),
+            currentVersion: metadata.currentVersion,
+            versions: metadata.versions,
+            secrets: { mode: SECRET_SCAN_MODE, findings: secretScan.findings }
+        });
+        
+    } catch (error) {
+        console.error('Error uploading project asset:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to upload asset'
+        });
+    }
+});
+
+// List the workspace's projects. Query parameters: q (words that must all
+// match a word, or the start of one, in the name, description or prompt), tag and archetype filters, sort (createdAt,
+// updatedAt or name), order (asc or desc), limit and cursor (the nextCursor of
+// the previous page).
+app.get('/api/projects', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        
+        const { options, error } = parseProjectQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error
+            });
+        }
+        
+        const page = await projectIndex.query(workspaceId, options);
+        console.log(`📁 Listing ${page.projects.length} of ${page.total} matching projects in workspace ${workspaceId}`);
+        
+        res.json({
+            success: true,
+            projects: page.projects,
+            total: page.total,
+            nextCursor: page.nextCursor,
+            userEmail: req.user.email,
+            workspace: req.workspace
+        });
+        
+    } catch (error) {
+        console.error('Error getting user projects:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve projects'
+        });
+    }
+});
+
+// Load a specific project endpoint
+app.get('/api/projects/:projectId', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const projectId = req.params.projectId;
+        
+        console.log(`Loading project ${projectId} in workspace ${workspaceId}`);
+        
+        // Get project from storage
+        const project = await getProject(workspaceId, projectId);
+        
+        if (!project) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        // Start a new preview sandbox. Duplicated and imported projects get
+        // their first preview here.
+        if (project.files && Object.keys(project.files).length > 0) {
+            try {
+                console.log('Recreating sandbox for project...');
+                const { sandbox, startResult, previewUrl } = await startProjectPreview(req.user, project.files);
+                
+                // Update project with new sandbox info
+                project.previewUrl = previewUrl;
+                project.sandboxId = sandbox.id;
+                
+                if (startResult.ok) {
+                    console.log(`Project sandbox recreated at: ${previewUrl}`);
+                } else {
+                    project.build = { status: 'failed', fixAttempts: 0, lastError: { stage: startResult.stage, output: startResult.output } };
+                }
+                
+            } catch (sandboxError) {
+                console.error('Failed to recreate sandbox:', sandboxError);
+                // Still return the project even if sandbox recreation fails
+                if (sandboxError.quota || sandboxError.policyViolations) {
+                    project.previewUrl = null;
+                    project.previewError = sandboxError.message;
+                }
+            }
+        }
+        
+        // Binary assets are sent base64-encoded
+        res.json({
+            success: true,
+            project: { ...project, files: encodeFiles(project.files) }
+        });
+        
+    } catch (error) {
+        console.error('Error loading project:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to load project'
+        });
+    }
+});
+
+// Rename a project or change its description or tags
+app.patch('/api/projects/:projectId', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { projectId } = req.params;
+        
+        const { details, error } = parseProjectDetails(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error
+            });
+        }
+        
+        const metadata = await getProjectMetadata(workspaceId, projectId);
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        const project = await updateProjectDetails(workspaceId, projectId, details);
+        
+        res.json({
+            success: true,
+            project
+        });
+        
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to update project'
+        });
+    }
+});
+
+// Delete a project and stop its preview sandbox
+app.delete('/api/projects/:projectId', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { projectId } = req.params;
+        
+        const metadata = await getProjectSummary(workspaceId, projectId);
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        await deleteProject(workspaceId, projectId);
+        
+        if (metadata.sandboxId) {
+            Sandbox.kill(metadata.sandboxId).catch(error => {
+                console.warn(`Could not stop sandbox ${metadata.sandboxId}:`, error.message);
+            });
+        }
+        
+        res.json({
+            success: true,
+            projectId
+        });
+        
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to delete project'
+        });
+    }
+});
+
+// Copy a project into a new one
+app.post('/api/projects/:projectId/duplicate', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { projectId } = req.params;
+        
+        const project = await getProject(workspaceId, projectId);
+        if (!project) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        let name = `${project.name} (copy)`.slice(0, MAX_PROJECT_NAME_LENGTH);
+        if (req.body && req.body.name !== undefined) {
+            const { details, error } = parseProjectDetails({ name: req.body.name });
+            if (error) {
+                return res.status(400).json({
+                    error: 'Bad request',
+                    message: error
+                });
+            }
+            name = details.name;
+        }
+        
+        const copy = await duplicateProject(workspaceId, project, name, versionAuthor(req.user));
+        
+        res.json({
+            success: true,
+            projectId: copy.projectId,
+            project: copy.metadata
+        });
+        
+    } catch (error) {
+        console.error('Error duplicating project:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to duplicate project'
+        });
+    }
+});
+
+// Download a project's files as a zip archive
+app.get('/api/projects/:projectId/export.zip', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        const metadata = await getProjectMetadata(req.workspace.id, req.params.projectId);
+        
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(metadata.name)}"`);
+        await exportProjectZip(req.workspace.id, metadata, res);
+        
+    } catch (error) {
+        console.error('Error exporting project:', error);
+        // Once the archive has started there is no way to report the error
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to export project'
+        });
+    }
+});
+
+// Download a project's history as a git bundle ("git clone project.bundle")
+app.get('/api/projects/:projectId/bundle', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        const metadata = await getProjectMetadata(req.workspace.id, req.params.projectId);
+        
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        const bundle = await bundleProject(req.workspace.id, metadata);
+        console.log(`📦 Bundled project ${metadata.id} (${(metadata.versions || []).length} versions)`);
+        
+        res.setHeader('Content-Type', 'application/x-git-bundle');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(metadata.name, 'bundle')}"`);
+        res.send(bundle);
+        
+    } catch (error) {
+        console.error('Error bundling project:', error);
+        res.status(error.status || 500).json({
+            error: error.status === 503 ? 'Service unavailable' : 'Internal server error',
+            message: error.status === 503 ? error.message : 'Failed to create git bundle'
+        });
+    }
+});
+
+// Create a read-only share link for a project
+app.post('/api/projects/:projectId/share', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    try {
+        const { label, expiresAt, error } = parseShareRequest(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: error
+            });
+        }
+        
+        const metadata = await getProjectSummary(req.workspace.id, req.params.projectId);
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        const { share, token } = await createProjectShare(req.workspace.id, metadata.id, { label, expiresAt, createdBy: req.user.uid });
+        
+        res.status(201).json({
+            success: true,
+            share: summarizeShare(share),
+            // Shown once; only a hash of the token is stored
+            token
+        });
+        
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to create share link'
+        });
+    }
+});
+
+// List a project's share links, oldest first
+app.get('/api/projects/:projectId/shares', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    try {
+        const metadata = await getProjectSummary(req.workspace.id, req.params.projectId);
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        const shares = await listProjectShares(req.workspace.id, metadata.id);
+        res.json({
+            success: true,
+            shares: shares.map(summarizeShare)
+        });
+        
+    } catch (error) {
+        console.error('Error listing share links:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to list share links'
+        });
+    }
+});
+
+// Revoke a share link
+app.delete('/api/projects/:projectId/shares/:shareId', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    try {
+        const metadata = await getProjectSummary(req.workspace.id, req.params.projectId);
+        const revoked = metadata && await revokeProjectShare(req.workspace.id, metadata.id, req.params.shareId);
+        
+        if (!revoked) {
+            return res.status(404).json({
+                error: 'Share link not found',
+                message: 'The share link does not exist or has already been revoked'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Share link revoked'
+        });
+        
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to revoke share link'
+        });
+    }
+});
+
+// Read-only view of a shared project. Public: the token is the credential.
+app.get('/api/shared/:token', async (req, res) => {
+    try {
+        const share = await resolveShareToken(req.params.token);
+        const project = share && await getProject(share.workspaceId, share.projectId);
+        
+        if (!project) {
+            return res.status(404).json({
+                error: 'Share link not found',
+                message: 'This link is invalid, has expired or has been revoked'
+            });
+        }
+        
+        res.json({
+            success: true,
+            project: {
+                name: project.name,
+                description: project.description || '',
+                prompt: project.prompt,
+                archetype: project.archetype || null,
+                createdAt: project.createdAt,
+                updatedAt: project.updatedAt || null,
+                currentVersion: project.currentVersion || null,
+                files: encodeFiles(project.files)
+            },
+            preview: isSharedPreviewCurrent(share.preview) ? summarizeSharedPreview(share.preview) : null,
+            expiresAt: share.expiresAt
+        });
+        
+    } catch (error) {
+        console.error('Error loading shared project:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to load shared project'
+        });
+    }
+});
+
+// Start a live preview of a shared project, charged to its owner
+app.post('/api/shared/:token/preview', async (req, res) => {
+    try {
+        const share = await resolveShareToken(req.params.token);
+        const project = share && await getProject(share.workspaceId, share.projectId);
+        
+        if (!project) {
+            return res.status(404).json({
+                error: 'Share link not found',
+                message: 'This link is invalid, has expired or has been revoked'
+            });
+        }
+        
+        const preview = await startSharedPreview(share, project.files);
+        res.json({
+            success: true,
+            preview: summarizeSharedPreview(preview)
+        });
+        
+    } catch (error) {
+        console.error('Error starting shared preview:', error);
+        if (error.status === 403) {
+            return res.status(403).json({
+                error: 'Preview unavailable',
+                message: 'Live previews of this project are no longer available from this link'
+            });
+        }
+        if (error.quota) {
+            return res.status(429).json({
+                error: 'Preview unavailable',
+                message: 'The owner of this project has no sandbox time left. Try again later.'
+            });
+        }
+        if (error.policyViolations) {
+            return res.status(422).json({
+                error: 'Preview unavailable',
+                message: 'The project uses dependencies that are not allowed'
+            });
+        }
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to start preview'
+        });
+    }
+});
+
+// List a project's versions, oldest first
+app.get('/api/projects/:projectId/versions', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        const metadata = await getProjectMetadata(req.workspace.id, req.params.projectId);
+        
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        res.json({
+            success: true,
+            currentVersion: metadata.currentVersion || null,
+            versions: metadata.versions || []
+        });
+        
+    } catch (error) {
+        console.error('Error listing project versions:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to list project versions'
+        });
+    }
+});
+
+// Get one version with its files
+app.get('/api/projects/:projectId/versions/:versionId', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        const { projectId, versionId } = req.params;
+        const version = await getProjectVersion(req.workspace.id, projectId, versionId);
+        
+        if (!version) {
+            return res.status(404).json({
+                error: 'Version not found',
+                message: `Version ${versionId} of this project does not exist`
+            });
+        }
+        
+        res.json({
+            success: true,
+            version: { ...version, files: encodeFiles(version.files) }
+        });
+        
+    } catch (error) {
+        console.error('Error loading project version:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to load project version'
+        });
+    }
+});
+
+// Per-file diff between two versions (?from=v1&to=v3). "to" defaults to the current version.
+app.get('/api/projects/:projectId/diff', authenticateUser, requireWorkspace('view'), async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { projectId } = req.params;
+        const metadata = await getProjectMetadata(workspaceId, projectId);
+        
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        const from = req.query.from;
+        const to = req.query.to || metadata.currentVersion;
+        if (!from || !to) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: 'Provide the versions to compare as ?from=<versionId>&to=<versionId>'
+            });
+        }
+        
+        const [fromVersion, toVersion] = await Promise.all([
+            getProjectVersion(workspaceId, projectId, from),
+            getProjectVersion(workspaceId, projectId, to)
+        ]);
+        const missing = !fromVersion ? from : !toVersion ? to : null;
+        if (missing) {
+            return res.status(404).json({
+                error: 'Version not found',
+                message: `Version ${missing} of this project does not exist`
+            });
+        }
+        
+        const files = diffFiles(fromVersion.files, toVersion.files);
+        res.json({
+            success: true,
+            from,
+            to,
+            files,
+            summary: {
+                added: files.filter(file => file.status === 'added').length,
+                removed: files.filter(file => file.status === 'removed').length,
+                modified: files.filter(file => file.status === 'modified').length,
+                unchanged: files.filter(file => file.status === 'unchanged').length
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error comparing project versions:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to compare project versions'
+        });
+    }
+});
+
+// Restore an older version as the project's current state
+app.post('/api/projects/:projectId/versions/:versionId/restore', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { projectId, versionId } = req.params;
+        const metadata = await getProjectMetadata(workspaceId, projectId);
+        
+        if (!metadata) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'The requested project does not exist or you do not have access to it'
+            });
+        }
+        
+        const version = await getProjectVersion(workspaceId, projectId, versionId);
+        if (!version) {
+            return res.status(404).json({
+                error: 'Version not found',
+                message: `Version ${versionId} of this project does not exist`
+            });
+        }
+        
+        const restored = await restoreProjectVersion(workspaceId, projectId, version, versionAuthor(req.user));
+        
+        // The old preview runs the replaced code
+        if (metadata.sandboxId) {
+            Sandbox.kill(metadata.sandboxId).catch(error => {
+                console.warn(`Could not stop previous sandbox ${metadata.sandboxId}:`, error.message);
+            });
+        }
+        
+        res.json({
+            success: true,
+            restoredFrom: version.id,
+            currentVersion: restored.currentVersion,
+            versions: restored.versions
+        });
+        
+    } catch (error) {
+        console.error('Error restoring project version:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to restore project version'
+        });
+    }
+});
+
+// System prompt for Shopify app generation with E2B deployment. The archetype
+// supplies the app-specific instructions and layout; the sandbox requirements
+// and the write_project_files contract are shared by every archetype.
+function buildGenerationSystemPrompt(archetype) {
+    const layout = archetype.layout
+        .map(entry => `- ${entry.path}: ${entry.description}`)
+        .join('\n');
+
+    return `You are an expert Shopify app developer and code generator. Your task is to help users create Shopify apps that will be deployed in an E2B sandbox environment.
+
+You are building: ${archetype.name}. ${archetype.description}
+
+${archetype.instructions}
+
+Expected file layout:
+${layout}
+
+Sandbox requirements (these apply to every app):
+1. The app is started from the app root with "npm install" followed by "node server.js"
+2. server.js must listen on port 3000 so the live preview works
+3. Ensure all dependencies are common packages available on npm
+4. Resolve file paths relative to __dirname, e.g. express.static(path.join(__dirname, 'public'))
+
+Dependency policy (package.json files that break it are rejected):
+${describeDependencyPolicy()}
+
+For each request, call the write_project_files tool with:
+1. A brief explanation of what the app does
+2. Every file the app needs (JavaScript, TypeScript, HTML, CSS, Liquid, GraphQL, TOML, Prisma, shell scripts, .env.example, ...)
+3. A package.json with dependencies
+
+Every file must be its own { path, content } entry with the complete file contents. Paths are relative to the app root and use forward slashes. Do not put code in plain text.`;
+}
+
+// Extra instructions when the model is asked to change an existing project
+function buildRefinementSystemPrompt(archetype) {
+    return `${buildGenerationSystemPrompt(archetype)}
+
+You are now continuing work on an existing project. The user's message contains the current project files followed by the requested change.
+- Only return files you add or modify, always with their complete new contents
+- Files you do not return are kept unchanged
+- Binary assets (images, fonts, icons) are listed by path only; reference them but never return them
+- Use the explanation to describe what you changed`;
+}
+
+// Tool the model must call to return project files in a structured form
+const PROJECT_FILES_TOOL = {
+    name: 'write_project_files',
+    description: 'Write the files of the Shopify app. Every file is a separate entry with its relative path and complete contents.',
+    input_schema: {
+        type: 'object',
+        properties: {
+            explanation: {
+                type: 'string',
+                description: 'A brief explanation of what the app does or what was changed'
+            },
+            files: {
+                type: 'array',
+                description: 'The files to write',
+                items: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'File path relative to the app root, e.g. server.js or extensions/my-extension/blocks/banner.liquid'
+                        },
+                        content: {
+                            type: 'string',
+                            description: 'Complete file contents'
+                        }
+                    },
+                    required: ['path', 'content']
+                }
+            }
+        },
+        required: ['explanation', 'files']
+    }
+};
+
+// How many times the model is asked to fix output that fails the file schema
+const MAX_SCHEMA_REPAIR_ATTEMPTS = 2;
+
+// Build-and-fix rounds after a failed install or start. The default comes from
+// BUILD_FIX_MAX_ATTEMPTS; requests may ask for fewer or more, up to the hard limit.
+const BUILD_FIX_MAX_ATTEMPTS = parseInt(process.env.BUILD_FIX_MAX_ATTEMPTS || '2', 10);
+const BUILD_FIX_ATTEMPTS_LIMIT = 5;
+
+function resolveBuildFixAttempts(requested) {
+    const attempts = requested === undefined || requested === null ? BUILD_FIX_MAX_ATTEMPTS : parseInt(requested, 10);
+    if (Number.isNaN(attempts)) return BUILD_FIX_MAX_ATTEMPTS;
+    return Math.min(Math.max(attempts, 0), BUILD_FIX_ATTEMPTS_LIMIT);
+}
+
+// Keep stored turns small
+function summarizeGenerationTurn(explanation) {
+    const summary = (explanation || '').trim();
+    return summary.length > 2000 ? `${summary.substring(0, 2000)}...` : summary;
+}
+
+// Build the conversation for a follow-up prompt on an existing project
+function buildRefinementMessages(project, prompt) {
+    const messages = [];
+    
+    for (const turn of project.turns || []) {
+        messages.push({ role: 'user', content: turn.prompt });
+        messages.push({ role: 'assistant', content: turn.summary || 'Generated the project files.' });
+    }
+    
+    messages.push({
+        role: 'user',
+        content: `Current project files:\n\n${formatFileListing(project.files || {})}\n\nRequested change:\n${prompt}`
+    });
+    
+    return messages;
+}
+
+// Render project files as fenced blocks for the model's context. Binary
+// assets are only named; the model can reference them but not change them.
+function formatFileListing(files) {
+    const assets = Object.keys(files).filter(filename => Buffer.isBuffer(files[filename]));
+    const listing = Object.entries(files)
+        .filter(([, content]) => !Buffer.isBuffer(content))
+        .map(([filename, content]) => `\`\`\`\n// ${filename}\n${content}\n\`\`\``)
+        .join('\n\n');
+    if (assets.length === 0) {
+        return listing;
+    }
+    return `${listing}\n\nBinary assets (uploaded by the user, can be referenced by path but not written):\n${assets.map(filename => `- ${filename} (${getContentType(filename)}, ${files[filename].length} bytes)`).join('\n')}`;
+}
+
+// Build the request asking the model to fix an app that failed to install or start
+function buildBuildFixMessages(files, failure) {
+    const step = failure.stage === 'install' ? 'npm install' : 'starting the server with node server.js';
+    return [
+        {
+            role: 'user',
+            content: `The app failed while ${step}. Output:\n\n${failure.output}\n\nCurrent project files:\n\n${formatFileListing(files)}\n\nFix the problem so that "npm install" succeeds and "node server.js" listens on port 3000.`
+        }
+    ];
+}
+
+// Load a project that a follow-up prompt should continue
+async function loadProjectForRefinement(workspaceId, projectId) {
+    const project = await getProject(workspaceId, projectId);
+    
+    if (!project) {
+        const error = new Error('The project you are trying to continue does not exist or you do not have access to it');
+        error.status = 404;
+        throw error;
+    }
+    
+    // Projects saved before turns were recorded still have their original prompt
+    if (!project.turns || project.turns.length === 0) {
+        project.turns = project.prompt ? [{ prompt: project.prompt, summary: '' }] : [];
+    }
+    
+    return project;
+}
+
+// Validate (and where safe, repair) the write_project_files tool input.
+// Returns the files keyed by path plus a list of problems that could not be repaired.
+function validateProjectFilesInput(input) {
+    const errors = [];
+    const files = {};
+
+    if (!input || typeof input !== 'object') {
+        return { files, explanation: '', errors: ['Tool input must be an object with "explanation" and "files"'] };
+    }
+
+    const explanation = typeof input.explanation === 'string' ? input.explanation : '';
+    if (typeof input.explanation !== 'string') {
+        errors.push('"explanation" must be a string');
+    }
+
+    if (!Array.isArray(input.files) || input.files.length === 0) {
+        errors.push('"files" must be a non-empty array of { path, content } entries');
+        return { files, explanation, errors };
+    }
+
+    input.files.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`files[${index}] must be an object with "path" and "content"`);
+            return;
+        }
+        if (typeof entry.path !== 'string' || !entry.path.trim()) {
+            errors.push(`files[${index}].path must be a non-empty string`);
+            return;
+        }
+        if (typeof entry.content !== 'string') {
+            errors.push(`files[${index}].content for "${entry.path}" must be a string`);
+            return;
+        }
+
+        // Repairs harmless path variations: ./server.js, /server.js, windows separators
+        const filePath = normalizeProjectPath(entry.path);
+        if (!filePath) {
+            errors.push(`files[${index}].path "${entry.path}" must be a relative path inside the app`);
+            return;
+        }
+        if (isBinaryAsset(filePath)) {
+            errors.push(`"${filePath}" is a binary file and cannot be written as text; use an SVG or leave images to the user`);
+            return;
+        }
+
+        if (files[filePath] !== undefined && files[filePath] !== entry.content) {
+            errors.push(`"${filePath}" appears more than once with different contents`);
+            return;
+        }
+
+        files[filePath] = entry.content;
+    });
+
+    return { files, explanation, errors };
+}
+
+// Turn partial tool input into readable text deltas for streaming clients
+function createToolInputStreamer(onEvent) {
+    let explanationSent = 0;
+    const contentSent = [];
+
+    return (snapshot) => {
+        if (!snapshot || typeof snapshot !== 'object') return;
+
+        if (typeof snapshot.explanation === 'string' && snapshot.explanation.length > explanationSent) {
+            onEvent('token', { text: snapshot.explanation.slice(explanationSent) });
+            explanationSent = snapshot.explanation.length;
+        }
+
+        (Array.isArray(snapshot.files) ? snapshot.files : []).forEach((file, index) => {
+            // The path is complete once the model has started on the content
+            if (!file || typeof file.content !== 'string') return;
+
+            if (contentSent[index] === undefined) {
+                onEvent('token', { text: `\n\n// ${file.path}\n` });
+                contentSent[index] = 0;
+            }
+            if (file.content.length > contentSent[index]) {
+                onEvent('token', { text: file.content.slice(contentSent[index]) });
+                contentSent[index] = file.content.length;
+            }
+        });
+    };
 }
 
-async function getAppCreationJob(jobId) {
-    try {
-        // Check in-memory first
-        if (inMemoryJobs.has(jobId)) {
-            console.log(`✅ Found in-memory job ${jobId}`);
-            return inMemoryJobs.get(jobId);
-        }
+// Format structured output the way the dashboard displays projects
+function formatGenerationResponse(explanation, files) {
+    const fileListing = Object.entries(files)
+        .map(([filename, content]) => `// ${filename}\n${content}`)
+        .join('\n\n');
+    return explanation ? `${explanation}\n\n${fileListing}` : fileListing;
+}
 
-        const firestore = getFirestore();
-        if (!firestore) {
-            console.warn('⚠️  Firestore not available and job not in memory');
-            return null;
+// Ask the model for project files through the write_project_files tool.
+// Output that fails the schema (or the optional validateFiles check, which
+// returns error diagnostics) is sent back with the problems for repair;
+// if it still fails after MAX_SCHEMA_REPAIR_ATTEMPTS the generation is rejected.
+// onUsage is called with the token usage of every model call, including failed ones.
+async function requestProjectFiles({ system, messages, settings, validateFiles, onUsage = () => {}, signal }, onEvent = () => {}) {
+    const conversation = [...messages];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let lastErrors = [];
+    let lastDiagnostics = [];
+
+    for (let attempt = 0; attempt <= MAX_SCHEMA_REPAIR_ATTEMPTS; attempt++) {
+        if (attempt > 0) {
+            onEvent('status', { stage: 'repairing', message: `Fixing invalid model output (attempt ${attempt})...` });
         }
 
-        try {
-            const jobDoc = await firestore.collection('app_creation_jobs').doc(jobId).get();
-            
-            if (!jobDoc.exists) {
-                console.warn(`⚠️  Job ${jobId} not found in Firestore`);
-                return null;
+        const message = await llm.generate({
+            model: settings.model,
+            maxTokens: settings.maxTokens,
+            temperature: settings.temperature,
+            system,
+            tools: [PROJECT_FILES_TOOL],
+            toolChoice: { type: 'tool', name: PROJECT_FILES_TOOL.name },
+            messages: conversation,
+            onText: (text) => onEvent('token', { text }),
+            onToolInput: createToolInputStreamer(onEvent),
+            signal
+        });
+        usage.input_tokens += message.usage.input_tokens;
+        usage.output_tokens += message.usage.output_tokens;
+        await onUsage(message.usage);
+
+        const toolUse = message.content.find(block => block.type === 'tool_use' && block.name === PROJECT_FILES_TOOL.name);
+        let result;
+        let feedback;
+
+        if (toolUse) {
+            result = validateProjectFilesInput(toolUse.input);
+            result.diagnostics = [];
+            if (result.errors.length === 0 && validateFiles) {
+                result.diagnostics = validateFiles(result.files);
+                result.errors = result.diagnostics.map(formatDiagnostic);
             }
-
-            const jobData = jobDoc.data();
-            // Convert Firestore timestamps to ISO strings
-            if (jobData.createdAt && jobData.createdAt.toDate) {
-                jobData.createdAt = jobData.createdAt.toDate().toISOString();
+            feedback = {
+                role: 'user',
+                content: [{
+                    type: 'tool_result',
+                    tool_use_id: toolUse.id,
+                    is_error: true,
+                    content: `The files were rejected:\n- ${result.errors.join('\n- ')}\nCall ${PROJECT_FILES_TOOL.name} again with the corrected files.`
+                }]
+            };
+        } else {
+            // A plain-text reply can be salvaged only if every code block names its file
+            const textReply = message.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+            const { files, unnamedBlocks } = extractCodeBlocks(textReply);
+            const errors = [];
+            if (Object.keys(files).length === 0) {
+                errors.push('The reply contained no code blocks with a file name.');
             }
-            if (jobData.updatedAt && jobData.updatedAt.toDate) {
-                jobData.updatedAt = jobData.updatedAt.toDate().toISOString();
+            if (unnamedBlocks > 0) {
+                errors.push(`${unnamedBlocks} code block(s) had no file name.`);
             }
-            
-            console.log(`✅ Found Firestore job ${jobId}`);
-            return jobData;
-            
-        } catch (firestoreError) {
-            console.error(`❌ Firestore read failed for job ${jobId}:`, firestoreError.message);
-            return null;
+            result = {
+                files,
+                explanation: summarizeGenerationTurn(textReply.replace(/```[\s\S]*?```/g, '')),
+                errors,
+                diagnostics: []
+            };
+            feedback = {
+                role: 'user',
+                content: `Your reply must use the ${PROJECT_FILES_TOOL.name} tool. ${result.errors.join(' ')}`
+            };
         }
-        
-    } catch (error) {
-        console.error(`❌ Failed to get job ${jobId}:`, error);
-        return null;
-    }
-}
 
-async function saveShopifyAppMetadata(userId, appData) {
-    try {
-        const firestore = getFirestore();
-        if (!firestore) {
-            console.warn('⚠️  Firestore not available - cannot save app metadata');
-            return;
+        if (result.errors.length === 0) {
+            return {
+                explanation: result.explanation,
+                files: result.files,
+                // The provider's model, which isn't settings.model with the mock provider
+                model: message.model || settings.model,
+                usage,
+                repairAttempts: attempt
+            };
         }
 
-        const appId = generateProjectId();
-        const appMetadata = {
-            appId,
-            userId,
-            name: appData.name,
-            description: `Shopify app created with CLI: ${appData.name}`,
-            type: 'shopify-cli-app',
-            template: 'typescript-react',
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            status: 'active',
-            cliPath: appData.cliPath || null,
-            projectPath: appData.projectPath || null,
-            authCompleted: appData.authCompleted || false
-        };
+        console.warn(`⚠️  Model output was rejected (attempt ${attempt + 1}):`, result.errors);
+        lastErrors = result.errors;
+        lastDiagnostics = result.diagnostics;
+        conversation.push({ role: 'assistant', content: message.content });
+        conversation.push(feedback);
+    }
 
-        await firestore.collection('user_shopify_apps').doc(appId).set(appMetadata);
-        console.log(`✅ Saved Shopify app metadata: ${appId} for user ${userId}`);
-        
-        return { appId, ...appMetadata };
-        
-    } catch (error) {
-        console.error('❌ Failed to save Shopify app metadata:', error);
-        throw new Error('Failed to save app metadata');
+    const problem = lastDiagnostics.length > 0 ? 'files that failed validation' : 'files that did not match the expected format';
+    const shownErrors = lastErrors.slice(0, 3).join('; ') + (lastErrors.length > 3 ? `; and ${lastErrors.length - 3} more` : '');
+    const error = new Error(`The AI returned ${problem} after ${MAX_SCHEMA_REPAIR_ATTEMPTS} repair attempts (${shownErrors}). Please try again.`);
+    error.status = 422;
+    error.diagnostics = lastDiagnostics;
+    throw error;
+}
+
+// Throw a cancellation error once the job's AbortSignal has fired
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error('The job was cancelled');
+        error.cancelled = true;
+        throw error;
     }
 }
 
-async function getUserShopifyApps(userId) {
-    try {
-        const firestore = getFirestore();
-        if (!firestore) {
-            console.warn('⚠️  Firestore not available');
-            return [];
+// Validation modes: "repair" sends error diagnostics back to the model like
+// schema errors; "report" only returns them with the result
+const VALIDATION_MODES = ['repair', 'report'];
+const DEFAULT_VALIDATION_MODE = process.env.VALIDATION_MODE || 'repair';
+
+function summarizeValidation(mode, diagnostics) {
+    return {
+        mode,
+        valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+        diagnostics
+    };
+}
+
+// Run the full generate → extract → deploy → save pipeline for a prompt.
+// When projectId is given the existing project is refined instead of replaced.
+// Progress is reported through onEvent(event, data) so callers can stream it.
+// The project is saved in workspaceId (the user's personal workspace by
+// default); usage is always charged to the user.
+async function runCodeGeneration(user, { workspaceId = user.uid, prompt, promptSecrets = [], projectId, archetypeId, maxFixAttempts, modelSettings, validationMode = DEFAULT_VALIDATION_MODE, signal }, onEvent = () => {}) {
+    const userId = user.uid;
+    const baseProject = projectId ? await loadProjectForRefinement(workspaceId, projectId) : null;
+
+    // Refinements keep the archetype the project was created with
+    const archetype = getArchetype(baseProject ? baseProject.archetype || DEFAULT_ARCHETYPE_ID : archetypeId || DEFAULT_ARCHETYPE_ID);
+    if (!archetype) {
+        const error = new Error(`Unknown app type "${archetypeId}"`);
+        error.status = 400;
+        throw error;
+    }
+    const baseFiles = baseProject ? baseProject.files : {};
+
+    // Checks for a complete set of files: the archetype's rules always, and the
+    // static validation and dependency policy diagnostics too when they should
+    // go back to the model
+    const checkFiles = (files) => {
+        const diagnostics = validateArchetypeFiles(archetype, files).map(message => ({
+            file: null, line: null, column: null, severity: 'error', rule: 'archetype', message
+        }));
+        if (validationMode === 'repair') {
+            diagnostics.push(...validateProjectSource(files).filter(diagnostic => diagnostic.severity === 'error'));
+            diagnostics.push(...checkDependencyPolicy(files));
         }
+        return diagnostics;
+    };
 
-        const appsSnapshot = await firestore
-            .collection('user_shopify_apps')
-            .where('userId', '==', userId)
-            .orderBy('createdAt', 'desc')
-            .get();
+    await recordUsage(userId, { generations: 1 });
+    const recordTokens = (callUsage) => recordUsage(userId, {
+        inputTokens: callUsage.input_tokens,
+        outputTokens: callUsage.output_tokens
+    });
 
-        const apps = [];
-        appsSnapshot.forEach(doc => {
-            const appData = doc.data();
-            // Convert Firestore timestamps to ISO strings
-            if (appData.createdAt && appData.createdAt.toDate) {
-                appData.createdAt = appData.createdAt.toDate().toISOString();
-            }
-            if (appData.updatedAt && appData.updatedAt.toDate) {
-                appData.updatedAt = appData.updatedAt.toDate().toISOString();
+    console.log(`${baseProject ? 'Refining project ' + projectId : 'Generating code'} for prompt:`, prompt);
+    onEvent('status', { stage: 'generating', message: 'AI is generating your Shopify app...' });
+
+    const generation = await requestProjectFiles({
+        settings: modelSettings,
+        system: baseProject ? buildRefinementSystemPrompt(archetype) : buildGenerationSystemPrompt(archetype),
+        validateFiles: (files) => checkFiles({ ...baseFiles, ...files }),
+        onUsage: recordTokens,
+        signal,
+        messages: baseProject ? buildRefinementMessages(baseProject, prompt) : [
+            {
+                role: "user",
+                content: prompt
             }
-            apps.push(appData);
-        });
+        ]
+    }, onEvent);
 
-        console.log(`📱 Found ${apps.length} Shopify apps for user ${userId}`);
-        return apps;
-        
-    } catch (error) {
-        console.error('❌ Failed to get user Shopify apps:', error);
-        return [];
-    }
-}
+    // Secrets are handled before anything is shown, deployed or saved
+    const secretScan = screenFiles(generation.files);
+    generation.files = secretScan.files;
+    const secrets = { mode: SECRET_SCAN_MODE, findings: [...promptSecrets, ...secretScan.findings] };
+
+    let generatedCode = formatGenerationResponse(generation.explanation, generation.files);
+    const usage = { ...generation.usage };
+    const fixAttemptsAllowed = resolveBuildFixAttempts(maxFixAttempts);
+    console.log('Code generation completed successfully');
+
+    const turns = [
+        ...(baseProject ? baseProject.turns : []),
+        { prompt, summary: summarizeGenerationTurn(generation.explanation), createdAt: new Date().toISOString() }
+    ];
+
+    // In repair mode only warnings can be left; in report mode errors are deployed anyway
+    let validation = summarizeValidation(validationMode, validateProjectSource({ ...baseFiles, ...generation.files }));
+    onEvent('validation', validation);
+
+    // Nothing is installed in a sandbox unless the dependency policy allows it
+    enforceDependencyPolicy({ ...baseFiles, ...generation.files });
 
-// Cleanup old jobs (run periodically)
-async function cleanupOldJobs() {
     try {
-        const firestore = getFirestore();
-        if (!firestore) return;
+        // Create E2B sandbox and deploy the code
+        console.log('Creating E2B sandbox...');
+        onEvent('status', { stage: 'sandbox', message: 'Creating sandbox...' });
+        throwIfCancelled(signal);
+        const sandbox = await createUserSandbox(user);
+
+        // Cancelling the job frees the sandbox, which also stops npm install or the app.
+        // A job cancelled while the sandbox was being created frees it straight away.
+        const killSandbox = () => {
+            sandbox.kill().catch(error => console.warn(`Could not stop sandbox ${sandbox.id}:`, error.message));
+        };
+        if (signal && signal.aborted) {
+            killSandbox();
+            throwIfCancelled(signal);
+        }
+        if (signal) {
+            signal.addEventListener('abort', killSandbox, { once: true });
+        }
 
-        const cutoffTime = new Date();
-        cutoffTime.setHours(cutoffTime.getHours() - 24); // 24 hours ago
+        // Extract and deploy the generated code files to the sandbox
+        let codeBlocks;
+        let changedFiles;
+        if (baseProject) {
+            changedFiles = generation.files;
+            codeBlocks = { ...baseProject.files, ...changedFiles };
+            console.log('Changed files:', Object.keys(changedFiles));
+            await deployProjectToSandbox(sandbox, codeBlocks);
+        } else {
+            codeBlocks = await deployCodeToSandbox(sandbox, generation.files);
+            changedFiles = codeBlocks;
+        }
+        onEvent('files', { files: Object.keys(changedFiles) });
+
+        // Verify files were deployed correctly
+        console.log('Verifying deployed files...');
+        const listFiles = await sandbox.commands.run('ls -la /tmp/app');
+        console.log('Files in /tmp/app:', listFiles.stdout);
+
+        // Install and start the app; if either fails, send the error back to the model for a fix
+        let fixAttempts = 0;
+        let startResult = await startAppInSandbox(sandbox, onEvent);
+
+        while (!startResult.ok && fixAttempts < fixAttemptsAllowed) {
+            fixAttempts++;
+            console.warn(`⚠️  App failed during ${startResult.stage}, requesting fix ${fixAttempts}/${fixAttemptsAllowed}`);
+            onEvent('build', { status: 'failed', stage: startResult.stage, output: startResult.output, attempt: fixAttempts - 1 });
+            onEvent('status', { stage: 'fixing', message: `App failed during ${startResult.stage === 'install' ? 'npm install' : 'startup'}, asking AI for a fix (${fixAttempts}/${fixAttemptsAllowed})...` });
+
+            const currentFiles = codeBlocks;
+            const fix = await requestProjectFiles({
+                settings: modelSettings,
+                system: buildRefinementSystemPrompt(archetype),
+                validateFiles: (files) => checkFiles({ ...currentFiles, ...files }),
+                onUsage: recordTokens,
+                signal,
+                messages: buildBuildFixMessages(codeBlocks, startResult)
+            }, onEvent);
+            usage.input_tokens += fix.usage.input_tokens;
+            usage.output_tokens += fix.usage.output_tokens;
+
+            const fixScan = screenFiles(fix.files);
+            secrets.findings.push(...fixScan.findings);
+            enforceDependencyPolicy({ ...codeBlocks, ...fixScan.files });
+
+            codeBlocks = { ...codeBlocks, ...fixScan.files };
+            changedFiles = { ...changedFiles, ...fixScan.files };
+            onEvent('files', { files: Object.keys(fixScan.files) });
+
+            await writeFilesToSandbox(sandbox, fixScan.files);
+            startResult = await startAppInSandbox(sandbox, onEvent);
+        }
 
-        const oldJobsQuery = await firestore
-            .collection('app_creation_jobs')
-            .where('createdAt', '<', cutoffTime)
-            .get();
+        if (fixAttempts > 0) {
+            validation = summarizeValidation(validationMode, validateProjectSource(codeBlocks));
+            onEvent('validation', validation);
+        }
 
-        const batch = firestore.batch();
-        let deleteCount = 0;
+        const build = {
+            status: startResult.ok ? 'running' : 'failed',
+            fixAttempts,
+            lastError: startResult.ok ? null : { stage: startResult.stage, output: startResult.output }
+        };
+        onEvent('build', { status: build.status, stage: startResult.stage || null, attempt: fixAttempts });
+        generatedCode = formatGenerationResponse(generation.explanation, changedFiles);
 
-        oldJobsQuery.forEach(doc => {
-            batch.delete(doc.ref);
-            deleteCount++;
-        });
+        // Get the public URL for the sandbox once the app is actually listening
+        const previewUrl = startResult.ok ? `https://${sandbox.getHost(3000)}` : null;
+        if (previewUrl) {
+            console.log('Sandbox deployed successfully at:', previewUrl);
+            onEvent('server', { previewUrl, sandboxId: sandbox.id });
+        } else {
+            console.warn(`⚠️  App still failing after ${fixAttempts} fix attempt(s)`);
+        }
 
-        if (deleteCount > 0) {
-            await batch.commit();
-            console.log(`🧹 Cleaned up ${deleteCount} old app creation jobs`);
+        throwIfCancelled(signal);
+
+        let savedProject;
+        let projectName;
+        if (baseProject) {
+            // Write the changed files back to the same project
+            console.log(`Updating project ${projectId}...`);
+            projectName = baseProject.name;
+            savedProject = await updateProject(workspaceId, projectId, {
+                files: changedFiles,
+                versionFiles: codeBlocks,
+                baseFiles: baseProject.files,
+                prompt,
+                author: versionAuthor(user),
+                model: generation.model,
+                usage,
+                previewUrl: previewUrl,
+                sandboxId: sandbox.id,
+                turns
+            });
+
+            // The previous preview sandbox has been replaced
+            if (baseProject.sandboxId && baseProject.sandboxId !== sandbox.id) {
+                Sandbox.kill(baseProject.sandboxId).catch(error => {
+                    console.warn(`Could not stop previous sandbox ${baseProject.sandboxId}:`, error.message);
+                });
+            }
+        } else {
+            // Save project to filesystem
+            console.log('Saving project to filesystem...');
+            projectName = await generateEmailBasedProjectName(user.email, workspaceId);
+            const projectData = {
+                name: projectName,
+                description: `Generated from prompt: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"`,
+                prompt: prompt,
+                files: codeBlocks,
+                previewUrl: previewUrl,
+                sandboxId: sandbox.id,
+                archetype: archetype.id,
+                author: versionAuthor(user),
+                model: generation.model,
+                usage,
+                turns
+            };
+
+            savedProject = await saveProject(workspaceId, projectData);
         }
-        
-    } catch (error) {
-        console.error('❌ Failed to cleanup old jobs:', error);
+        console.log(`✅ Project saved with ID: ${savedProject.projectId}`);
+        onEvent('saved', { projectId: savedProject.projectId, name: projectName });
+
+        return {
+            success: true,
+            response: generatedCode,
+            previewUrl: previewUrl,
+            sandboxId: sandbox.id,
+            projectId: savedProject.projectId,
+            version: savedProject.metadata ? savedProject.metadata.currentVersion || null : null,
+            changedFiles: Object.keys(changedFiles),
+            schemaRepairs: generation.repairAttempts,
+            build,
+            archetype: archetype.id,
+            model: generation.model,
+            error: build.status === 'failed' ? 'App failed to start in sandbox' : null,
+            validation,
+            secrets,
+            usage
+        };
+
+    } catch (deployError) {
+        // A killed sandbox fails whatever step was running; report the cancellation instead
+        throwIfCancelled(signal);
+        // A build fix that contained a secret in block mode or broke the
+        // dependency policy rejects the whole generation, and so does running
+        // out of sandbox quota
+        if (deployError.secretFindings || deployError.policyViolations || deployError.quota) throw deployError;
+        console.error('Error deploying to sandbox:', deployError);
+        // If deployment fails, still return the generated code
+        return {
+            success: true,
+            response: generatedCode,
+            previewUrl: null,
+            projectId: baseProject ? projectId : null,
+            error: deployError.projectSaveFailed ? 'Failed to save project' : 'Failed to deploy to sandbox',
+            schemaRepairs: generation.repairAttempts,
+            archetype: archetype.id,
+            model: generation.model,
+            validation,
+            secrets,
+            usage
+        };
     }
 }
 
-// Run cleanup every hour
-setInterval(cleanupOldJobs, 60 * 60 * 1000);
+// Map code generation errors to an HTTP status and response body
+function describeGenerationError(error) {
+    if (error.quota) {
+        return describeQuotaError(error);
+    }
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-});
+    if (error.status === 401) {
+        return {
+            status: 401,
+            body: {
+                error: 'Authentication failed',
+                message: 'Invalid API key. Please check your Anthropic API key.'
+            }
+        };
+    }
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+    if (error.status === 429) {
+        return {
+            status: 429,
+            body: {
+                error: 'Rate limit exceeded',
+                message: 'Too many requests. Please try again later.'
+            }
+        };
+    }
 
-// Enhanced authentication middleware with Firebase token verification
-const authenticateUser = async (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({
-            error: 'Authentication required',
-            message: 'Please provide a valid authentication token'
-        });
+    if (error.status === 404) {
+        return {
+            status: 404,
+            body: {
+                error: 'Project not found',
+                message: error.message
+            }
+        };
     }
-    
-    // Extract token
-    const token = authHeader.substring(7);
-    
-    try {
-        // Check if Firebase is initialized properly with bucket
-        if (admin.apps.length === 0 || !bucket) {
-            console.warn('🔓 Firebase not initialized, using basic token validation');
-            // Fallback to basic token validation
-            req.user = {
-                uid: `user_${token.substring(0, 10)}`,
-                email: 'demo@example.com', // You'll need to get this from frontend
-                token: token
-            };
-            next();
-            return;
-        }
-        
-        // Verify Firebase ID token
-        console.log('🔐 Verifying Firebase ID token...');
-        const decodedToken = await admin.auth().verifyIdToken(token);
-        console.log(`✅ Token verified for user: ${decodedToken.email} (${decodedToken.uid})`);
-        req.user = {
-            uid: decodedToken.uid,
-            email: decodedToken.email,
-            token: token
+
+    if (error.secretFindings) {
+        return {
+            status: 422,
+            body: {
+                error: 'Secrets detected',
+                message: error.message,
+                secrets: error.secretFindings
+            }
         };
-        next();
-    } catch (error) {
-        console.error('Token verification failed:', error);
-        
-        // Fallback for development - remove this in production
-        console.warn('Using fallback authentication for development');
-        req.user = {
-            uid: `user_${token.substring(0, 10)}`,
-            email: 'demo@example.com',
-            token: token
+    }
+
+    if (error.policyViolations) {
+        return {
+            status: 422,
+            body: {
+                error: 'Dependency policy violation',
+                message: error.message,
+                diagnostics: error.policyViolations
+            }
         };
-        next();
     }
-};
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+    if (error.status === 422) {
+        return {
+            status: 422,
+            body: {
+                error: 'Invalid model output',
+                message: error.message,
+                diagnostics: error.diagnostics || []
+            }
+        };
+    }
+
+    if (error.status === 400) {
+        return {
+            status: 400,
+            body: {
+                error: 'Bad request',
+                message: error.message || 'Invalid request parameters.'
+            }
+        };
+    }
+
+    // Generic error response
+    return {
+        status: 500,
+        body: {
+            error: 'Internal server error',
+            message: 'Failed to generate code. Please try again.'
+        }
+    };
+}
+
+// Map a quota error from enforceQuota to an HTTP status and response body
+function describeQuotaError(error) {
+    return {
+        status: error.status,
+        body: {
+            error: error.quota.period === 'daily' ? 'Daily quota exceeded' : 'Monthly quota exceeded',
+            message: error.message,
+            quota: error.quota
+        }
+    };
+}
+
+// Quota needed to start one generation: tokens left plus one sandbox
+const GENERATION_QUOTA_REQUEST = { generations: 1, tokens: 1, sandboxes: 1, sandboxMinutes: SANDBOX_MINUTES };
 
+// Open a Server-Sent Events stream and return a function that writes one event
+function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
-// Get user projects endpoint
-app.get('/api/projects', authenticateUser, async (req, res) => {
-    try {
-        const userId = req.user.uid;
-        console.log(`📁 Getting projects for user ID: ${userId}, email: ${req.user.email}`);
-        
-        const projects = await getUserProjects(userId);
-        console.log(`📁 Found ${projects.length} projects for user ${userId}`);
-        
-        res.json({
-            success: true,
-            projects: projects,
-            userEmail: req.user.email
-        });
-        
-    } catch (error) {
-        console.error('Error getting user projects:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'Failed to retrieve projects'
-        });
+    return (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+// One line of job output for a runCodeGeneration event (null for events that
+// only carry streamed code)
+function describeGenerationEvent(event, data) {
+    switch (event) {
+        case 'status':
+            return data.message;
+        case 'files':
+            return `Files written: ${data.files.join(', ')}`;
+        case 'install':
+            if (data.stage === 'started') return 'Running npm install...';
+            return data.stage === 'completed' ? 'Dependencies installed' : 'npm install failed';
+        case 'build':
+            if (data.status !== 'failed' || !data.output) return null;
+            return `App failed during ${data.stage === 'install' ? 'npm install' : 'startup'}`;
+        case 'server':
+            return `Server started at ${data.previewUrl}`;
+        case 'validation': {
+            const errors = data.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+            const warnings = data.diagnostics.length - errors;
+            if (data.diagnostics.length === 0) return 'Validation passed';
+            return `Validation found ${errors} error(s) and ${warnings} warning(s)`;
+        }
+        case 'saved':
+            return `Project saved as ${data.name}`;
+        default:
+            return null;
     }
-});
+}
 
-// Load a specific project endpoint
-app.get('/api/projects/:projectId', authenticateUser, async (req, res) => {
-    try {
-        const userId = req.user.uid;
-        const projectId = req.params.projectId;
-        
-        console.log(`Loading project ${projectId} for user ${userId}`);
-        
-        // Get project from Firebase Storage
-        const project = await getProject(userId, projectId);
-        
-        if (!project) {
-            return res.status(404).json({
-                error: 'Project not found',
-                message: 'The requested project does not exist or you do not have access to it'
-            });
+// How often streamed code is written to a generation job
+const GENERATION_JOB_FLUSH_MS = 1000;
+
+// Collect runCodeGeneration events into a generation job's stage, output and
+// code. Output lines are written straight away; streamed code is batched and
+// redacted, since the job can be read before the generated files are scanned.
+function createGenerationJobProgress(jobId, signal) {
+    const progress = { stage: 'generating', output: [], code: '' };
+    let flushTimer = null;
+    let writing = Promise.resolve();
+
+    const flush = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        // Never overwrite the stage of a cancelled job
+        if (signal.aborted) return writing;
+        const snapshot = { ...progress, output: [...progress.output], code: redactStreamedCode(progress.code) };
+        writing = writing.then(() => updateJob(jobId, snapshot));
+        return writing;
+    };
+
+    const onEvent = (event, data) => {
+        if (event === 'token') {
+            progress.code += data.text;
+            if (!flushTimer) {
+                flushTimer = setTimeout(flush, GENERATION_JOB_FLUSH_MS);
+            }
+            return;
         }
-        
-        // If project has a sandbox ID, try to recreate the preview URL
-        let previewUrl = project.previewUrl;
-        if (project.sandboxId && project.files) {
-            try {
-                console.log('Recreating sandbox for project...');
-                const sandbox = await Sandbox.create('47xhltp24c20rrk3ntgv');
-                
-                // Deploy project files to new sandbox
-                await deployProjectToSandbox(sandbox, project.files);
-                
-                // Start the server
-                await sandbox.commands.run('cd /tmp/app && npm install && node server.js', { 
-                    background: true 
-                });
-                
-                // Wait for server to start
-                await new Promise(resolve => setTimeout(resolve, 3000));
-                
-                previewUrl = `https://${sandbox.getHost(3000)}`;
-                
-                // Update project with new sandbox info
-                project.previewUrl = previewUrl;
-                project.sandboxId = sandbox.id;
-                
-                console.log(`Project sandbox recreated at: ${previewUrl}`);
-                
-            } catch (sandboxError) {
-                console.error('Failed to recreate sandbox:', sandboxError);
-                // Still return the project even if sandbox recreation fails
+
+        if (event === 'status') {
+            progress.stage = data.stage;
+            // Repair and fix rounds stream a fresh set of files
+            if (data.stage === 'repairing' || data.stage === 'fixing') {
+                progress.code = '';
             }
         }
-        
-        res.json({
-            success: true,
-            project: project
-        });
-        
+
+        const line = describeGenerationEvent(event, data);
+        if (line) {
+            progress.output.push(line);
+            flush();
+        }
+    };
+
+    return { onEvent, flush };
+}
+
+// Run a generation job in the background and record its outcome in the job store
+async function runGenerationJob(jobId, user, options) {
+    const abortController = new AbortController();
+    const progress = createGenerationJobProgress(jobId, abortController.signal);
+    activeJobs.set(jobId, { userId: user.uid, type: 'generation', startTime: new Date(), abortController });
+
+    try {
+        const result = await runCodeGeneration(user, { ...options, signal: abortController.signal }, progress.onEvent);
+        throwIfCancelled(abortController.signal);
+        await progress.flush();
+        // The streamed code may still contain secrets that the scan redacted
+        await updateJob(jobId, { status: 'completed', stage: 'completed', code: result.response, result });
+        console.log(`✅ Generation job ${jobId} completed`);
     } catch (error) {
-        console.error('Error loading project:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'Failed to load project'
-        });
+        // cancelJob has already marked the job cancelled; a code write that was
+        // still in flight may have landed after it cleared the code
+        if (abortController.signal.aborted) {
+            await progress.flush();
+            await updateJob(jobId, { code: '' });
+            console.log(`🛑 Generation job ${jobId} stopped after cancellation`);
+            return;
+        }
+        console.error(`❌ Generation job ${jobId} failed:`, error);
+        const { status, body } = describeGenerationError(error);
+        await progress.flush();
+        // Only the final files are fully scanned, so the streamed code isn't kept
+        await updateJob(jobId, { status: 'failed', stage: 'error', code: '', error: body.message, errorStatus: status, diagnostics: body.diagnostics || [], secrets: body.secrets || [] });
+    } finally {
+        activeJobs.delete(jobId);
     }
-});
+}
 
-// Generate Shopify app code endpoint with E2B sandbox integration
-app.post('/api/generate-code', authenticateUser, async (req, res) => {
+// Start code generation as a background job. Progress and the final result are
+// read from /api/generation-status/:jobId.
+app.post('/api/generate-code', authenticateUser, requireWorkspace('edit'), async (req, res) => {
     try {
-        const { prompt } = req.body;
+        const { prompt, projectId, archetype, maxFixAttempts, validationMode, model, maxTokens, temperature } = req.body;
 
         if (!prompt) {
             return res.status(400).json({ 
@@ -712,182 +3506,163 @@ app.post('/api/generate-code', authenticateUser, async (req, res) => {
             });
         }
 
-        console.log('Generating code for prompt:', prompt);
+        if (archetype && !getArchetype(archetype)) {
+            return res.status(400).json({
+                error: 'Invalid app type',
+                message: `Unknown app type "${archetype}"`
+            });
+        }
 
-        // Create a specialized system prompt for Shopify app development with E2B deployment
-        const systemPrompt = `You are an expert Shopify app developer and code generator. Your task is to help users create Shopify apps that will be deployed in an E2B sandbox environment.
+        if (validationMode && !VALIDATION_MODES.includes(validationMode)) {
+            return res.status(400).json({
+                error: 'Invalid validation mode',
+                message: `validationMode must be one of: ${VALIDATION_MODES.join(', ')}`
+            });
+        }
 
-When generating code:
-1. Create a simple, self-contained Node.js/Express web application
-2. Structure the code to run as a single server.js file
-3. Use Express.js for the web server
-4. Include HTML content served directly from the server or as static files in the same directory
-5. Make the app listen on port 3000
-6. Focus on practical, working functionality
-7. Ensure all dependencies are common packages (express, etc.)
-8. IMPORTANT: If serving static files, use express.static(__dirname) to serve from the current directory, NOT from a 'public' subdirectory
+        const modelSettings = resolveModelSettings(req.user.plan, { model, maxTokens, temperature });
+        await enforceQuota(req.user.uid, req.user.plan, GENERATION_QUOTA_REQUEST);
 
-For each request, provide:
-1. A brief explanation of what the app does
-2. The main server.js file code that serves content from the current directory
-3. Any additional HTML/CSS/JS files needed (these will be in the same directory as server.js)
-4. A package.json with dependencies
-5. Clear structure that can be deployed and run immediately
-
-The app should be ready to run with:
-- npm install
-- node server.js
-
-Example structure:
-\`\`\`javascript
-// server.js
-const express = require('express');
-const path = require('path');
-const app = express();
-const port = 3000;
+        // Secrets in the prompt never reach the job, the model or the project
+        const promptScan = screenPrompt(prompt);
 
-// Serve static files from current directory
-app.use(express.static(__dirname));
+        const workspaceId = req.workspace.id;
+        const jobResult = await createGenerationJob(req.user.uid, { workspaceId, prompt: promptScan.prompt, projectId });
 
-// Default route
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+        // Run the generation in the background
+        runGenerationJob(jobResult.jobId, req.user, { workspaceId, prompt: promptScan.prompt, promptSecrets: promptScan.findings, projectId, archetypeId: archetype, maxFixAttempts, validationMode, modelSettings });
 
-app.listen(port, () => {
-    console.log(\`App running at http://localhost:\${port}\`);
-});
-\`\`\`
-
-Focus on creating simple, working web applications that serve files from the same directory as server.js.`;
-
-        const message = await anthropic.messages.create({
-            model: "claude-3-5-sonnet-20241022",
-            max_tokens: 4000,
-            temperature: 0.7,
-            system: systemPrompt,
-            messages: [
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ]
+        res.json({
+            success: true,
+            jobId: jobResult.jobId,
+            message: 'Code generation started'
         });
 
-        const generatedCode = message.content[0].text;
-        console.log('Code generation completed successfully');
-
-        // Create E2B sandbox and deploy the code
-        console.log('Creating E2B sandbox...');
-        const sandbox = await Sandbox.create('47xhltp24c20rrk3ntgv');
-        
-        try {
-            // Extract and deploy the generated code files to the sandbox
-            const codeBlocks = await deployCodeToSandbox(sandbox, generatedCode);
-            
-            // Verify files were deployed correctly
-            console.log('Verifying deployed files...');
-            const listFiles = await sandbox.commands.run('ls -la /tmp/app');
-            console.log('Files in /tmp/app:', listFiles.stdout);
-            
-            // Start the web server in the sandbox
-            console.log('Starting web server in sandbox...');
-            const serverProcess = await sandbox.commands.run('cd /tmp/app && npm install && node server.js', { 
-                background: true 
-            });
-            
-            // Wait a moment for the server to start
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            
-            // Get the public URL for the sandbox
-            const previewUrl = `https://${sandbox.getHost(3000)}`;
-            console.log('Sandbox deployed successfully at:', previewUrl);
-
-            // Save project to filesystem
-            console.log('Saving project to filesystem...');
-            const userId = req.user.uid;
-            const projectName = await generateEmailBasedProjectName(req.user.email, userId);
-            const projectData = {
-                name: projectName,
-                description: `Generated from prompt: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"`,
-                prompt: prompt,
-                files: codeBlocks,
-                previewUrl: previewUrl,
-                sandboxId: sandbox.id
-            };
-            
-            const savedProject = await saveProject(userId, projectData);
-            console.log(`✅ Project saved with ID: ${savedProject.projectId}`);
+    } catch (error) {
+        console.error('Error starting code generation:', error);
+        const { status, body } = describeGenerationError(error);
+        res.status(status).json(body);
+    }
+});
 
-            res.json({
-                success: true,
-                response: generatedCode,
-                previewUrl: previewUrl,
-                sandboxId: sandbox.id,
-                projectId: savedProject.projectId,
-                usage: {
-                    input_tokens: message.usage.input_tokens,
-                    output_tokens: message.usage.output_tokens
-                }
-            });
+// Get generation job status
+app.get('/api/generation-status/:jobId', authenticateUser, async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const jobData = await getJob(jobId);
 
-        } catch (deployError) {
-            console.error('Error deploying to sandbox:', deployError);
-            // If deployment fails, still return the generated code
-            res.json({
-                success: true,
-                response: generatedCode,
-                previewUrl: null,
-                error: 'Failed to deploy to sandbox',
-                usage: {
-                    input_tokens: message.usage.input_tokens,
-                    output_tokens: message.usage.output_tokens
-                }
+        if (!jobData || jobData.type !== 'generation') {
+            return res.status(404).json({
+                error: 'Job not found',
+                message: 'The requested job does not exist'
             });
         }
 
-    } catch (error) {
-        console.error('Error generating code:', error);
-        
-        // Handle different types of errors
-        if (error.status === 401) {
-            return res.status(401).json({
-                error: 'Authentication failed',
-                message: 'Invalid API key. Please check your Anthropic API key.'
-            });
-        }
-        
-        if (error.status === 429) {
-            return res.status(429).json({
-                error: 'Rate limit exceeded',
-                message: 'Too many requests. Please try again later.'
+        // Members of the job's workspace can follow it
+        if (!await canAccessJob(req.user, jobData, 'view')) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You do not have access to this job'
             });
         }
 
-        if (error.status === 400) {
-            return res.status(400).json({
-                error: 'Bad request',
-                message: error.message || 'Invalid request parameters.'
-            });
-        }
+        res.json({
+            success: true,
+            jobId: jobData.jobId,
+            status: jobData.status,
+            stage: jobData.stage,
+            prompt: jobData.prompt,
+            projectId: jobData.projectId,
+            output: jobData.output || [],
+            code: jobData.code || '',
+            result: jobData.result,
+            error: jobData.error,
+            errorStatus: jobData.errorStatus || null,
+            diagnostics: jobData.diagnostics || [],
+            secrets: jobData.secrets || [],
+            createdAt: jobData.createdAt,
+            updatedAt: jobData.updatedAt
+        });
 
-        // Generic error response
+    } catch (error) {
+        console.error('Error getting generation status:', error);
         res.status(500).json({
-            error: 'Internal server error',
-            message: 'Failed to generate code. Please try again.'
+            error: 'Failed to get status',
+            message: error.message || 'Internal server error'
+        });
+    }
+});
+
+// Streaming variant of generate-code that pushes progress as Server-Sent Events
+app.post('/api/generate-code/stream', authenticateUser, requireWorkspace('edit'), async (req, res) => {
+    const { prompt, projectId, archetype, maxFixAttempts, validationMode, model, maxTokens, temperature } = req.body;
+
+    if (!prompt) {
+        return res.status(400).json({
+            error: 'Prompt is required',
+            message: 'Please provide a prompt for code generation'
+        });
+    }
+
+    if (archetype && !getArchetype(archetype)) {
+        return res.status(400).json({
+            error: 'Invalid app type',
+            message: `Unknown app type "${archetype}"`
+        });
+    }
+
+    if (validationMode && !VALIDATION_MODES.includes(validationMode)) {
+        return res.status(400).json({
+            error: 'Invalid validation mode',
+            message: `validationMode must be one of: ${VALIDATION_MODES.join(', ')}`
         });
     }
+
+    let modelSettings;
+    let promptScan;
+    try {
+        modelSettings = resolveModelSettings(req.user.plan, { model, maxTokens, temperature });
+        await enforceQuota(req.user.uid, req.user.plan, GENERATION_QUOTA_REQUEST);
+        promptScan = screenPrompt(prompt);
+    } catch (error) {
+        const { status, body } = describeGenerationError(error);
+        return res.status(status).json(body);
+    }
+
+    const sendEvent = openEventStream(res);
+
+    // Stop generating when the client goes away before the stream ends
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+    });
+
+    // Keep proxies from closing the connection during long sandbox steps
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': heartbeat\n\n');
+    }, 15000);
+
+    try {
+        const result = await runCodeGeneration(req.user, { workspaceId: req.workspace.id, prompt: promptScan.prompt, promptSecrets: promptScan.findings, projectId, archetypeId: archetype, maxFixAttempts, validationMode, modelSettings, signal: abortController.signal }, sendEvent);
+        sendEvent('done', result);
+    } catch (error) {
+        console.error('Error generating code (stream):', error);
+        const { status, body } = describeGenerationError(error);
+        sendEvent('error', { status, ...body });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
 });
 
 // Generate email-based project name (email-001, email-002, etc.)
-async function generateEmailBasedProjectName(userEmail, userId) {
+async function generateEmailBasedProjectName(userEmail, workspaceId) {
     try {
         // Extract email prefix (everything before @)
         const emailPrefix = userEmail.split('@')[0];
         
-        // Get existing projects count for this user
-        const existingProjects = await getUserProjects(userId);
-        const projectNumber = existingProjects.length + 1;
+        // Reserved numbers are never reused, even by concurrent generations
+        const projectNumber = await projectIndex.reserveProjectNumber(workspaceId);
         
         // Format project number with leading zeros (001, 002, etc.)
         const formattedNumber = projectNumber.toString().padStart(3, '0');
@@ -900,22 +3675,15 @@ async function generateEmailBasedProjectName(userEmail, userId) {
     }
 }
 
-// Helper function to deploy generated code to E2B sandbox
-async function deployCodeToSandbox(sandbox, generatedCode) {
+// Helper function to deploy generated code files to E2B sandbox
+async function deployCodeToSandbox(sandbox, codeFiles) {
     console.log('Deploying code to sandbox...');
     
-    // Create app directory
-    await sandbox.commands.run('mkdir -p /tmp/app');
-    
-    // Extract code blocks from the generated response
-    const codeBlocks = extractCodeBlocks(generatedCode);
-    console.log('Extracted code blocks:', Object.keys(codeBlocks));
+    const codeBlocks = { ...codeFiles };
+    console.log('Generated files:', Object.keys(codeBlocks));
     
     // Deploy each file to the sandbox
-    for (const [filename, content] of Object.entries(codeBlocks)) {
-        console.log(`Writing file: ${filename} (${content.length} chars)`);
-        await sandbox.files.write(`/tmp/app/${filename}`, content);
-    }
+    await writeFilesToSandbox(sandbox, codeBlocks);
     
     // Ensure we have a basic package.json if not provided
     if (!codeBlocks['package.json']) {
@@ -935,60 +3703,86 @@ async function deployCodeToSandbox(sandbox, generatedCode) {
     return codeBlocks;
 }
 
-// Helper function to extract code blocks from generated response
+// Filename marker comments recognised on the first line of a code block:
+// // path, /* path */, <!-- path -->, # path and {% comment %} path {% endcomment %}
+const FILENAME_MARKER_PATTERNS = [
+    /^\/\/\s*(\S+?)\s*$/,
+    /^\/\*\s*(\S+?)\s*\*\/$/,
+    /^<!--\s*(\S+?)\s*-->$/,
+    /^#\s*(\S+?)\s*$/,
+    /^\{%-?\s*comment\s*-?%\}\s*(\S+?)\s*\{%-?\s*endcomment\s*-?%\}$/
+];
+
+// Read a filename from a marker comment. Only values that look like paths
+// count, so ordinary comments such as "# Install" are left in the content.
+function parseFilenameMarker(line) {
+    for (const pattern of FILENAME_MARKER_PATTERNS) {
+        const match = line.trim().match(pattern);
+        if (match && /^[\w.\-/@\[\]]+$/.test(match[1]) && /[./]/.test(match[1])) {
+            return normalizeProjectPath(match[1]);
+        }
+    }
+    return null;
+}
+
+// Helper function to extract named code blocks from a plain-text reply.
+// Only used to salvage replies that skipped the write_project_files tool, so
+// blocks without an explicit filename are counted instead of guessed at.
 function extractCodeBlocks(generatedCode) {
     const files = {};
+    let unnamedBlocks = 0;
     
-    // Look for code blocks with filenames (```javascript // server.js)
-    const codeBlockRegex = /```(?:javascript|js|json|html|css)?\s*(?:\/\/\s*(.+?))?[\r\n]([\s\S]*?)```/gi;
+    // Any fence language (js, ts, tsx, liquid, graphql, toml, prisma, sh, ...)
+    // with the filename marker on the first line of the block
+    const codeBlockRegex = /```[^\r\n]*\r?\n([\s\S]*?)```/g;
     let match;
     
     while ((match = codeBlockRegex.exec(generatedCode)) !== null) {
-        let filename = match[1] ? match[1].trim() : null;
-        const content = match[2].trim();
+        const lines = match[1].replace(/\s+$/, '').split(/\r?\n/);
+        const filename = parseFilenameMarker(lines[0] || '');
         
-        // Try to infer filename from content if not specified
         if (!filename) {
-            if (content.includes('const express = require') || content.includes('app.listen')) {
-                filename = 'server.js';
-            } else if (content.includes('"name":') && content.includes('"dependencies"')) {
-                filename = 'package.json';
-            } else if (content.includes('<!DOCTYPE html>') || content.includes('<html')) {
-                filename = 'index.html';
-            } else if (content.includes('body {') || content.includes('.')) {
-                filename = 'styles.css';
-            } else {
-                filename = `file_${Object.keys(files).length}.js`;
-            }
+            unnamedBlocks++;
+            continue;
         }
         
-        files[filename] = content;
+        files[filename] = lines.slice(1).join('\n').trim();
     }
     
-    return files;
+    return { files, unnamedBlocks };
 }
 
 // Background Shopify CLI Process Management
 const activeJobs = new Map(); // In-memory tracking for active jobs
 
-async function startShopifyAppCreationProcess(jobId, userId, appName) {
+async function startShopifyAppCreationProcess(jobId, user, workspaceId, appName) {
+    const userId = user.uid;
+    // Registered before the sandbox exists so the job can be cancelled at any point
+    const jobInfo = { userId, appName, type: 'app-creation', startTime: new Date(), abortController: new AbortController() };
+    activeJobs.set(jobId, jobInfo);
+
     try {
         console.log(`🔨 Starting background CLI process for job ${jobId}`);
         
         // Update job status
-        await updateAppCreationJob(jobId, {
+        await updateJob(jobId, {
             stage: 'initializing',
             status: 'running'
         });
 
-        // Create E2B sandbox with Shopify CLI template
+        // Create E2B sandbox with Shopify CLI template; the quota is checked
+        // again because other sandboxes may have been started since the request
         console.log('🏗️  Creating E2B sandbox with Shopify CLI...');
-        const sandbox = await Sandbox.create('47xhltp24c20rrk3ntgv');
+        const sandbox = await createUserSandbox(user);
         
-        // Store sandbox reference
-        activeJobs.set(jobId, { sandbox, userId, appName, startTime: new Date() });
+        // Store sandbox reference (or free it straight away if the job was cancelled meanwhile)
+        jobInfo.sandbox = sandbox;
+        if (jobInfo.abortController.signal.aborted) {
+            await sandbox.kill().catch(() => {});
+            return;
+        }
         
-        await updateAppCreationJob(jobId, {
+        await updateJob(jobId, {
             stage: 'creating',
             sandboxId: sandbox.id,
             output: ['E2B sandbox created successfully', 'Initializing Shopify CLI...']
@@ -1005,7 +3799,7 @@ async function startShopifyAppCreationProcess(jobId, userId, appName) {
         
         console.log(`Executing: ${shopifyCommand}`);
         
-        await updateAppCreationJob(jobId, {
+        await updateJob(jobId, {
             output: ['E2B sandbox created successfully', 'Initializing Shopify CLI...', `Running: ${shopifyCommand}`]
         });
 
@@ -1023,17 +3817,21 @@ async function startShopifyAppCreationProcess(jobId, userId, appName) {
             background: true,
             timeout: 900000 // 15 minutes timeout
         });
+        jobInfo.process = cliProcess;
 
         // Also create an output file we can monitor
         await sandbox.commands.run('touch /tmp/shopify_output.log', { background: false });
 
         // Monitor the process output
-        monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, appName);
+        monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, workspaceId, appName);
 
     } catch (error) {
+        // cancelJob has already marked the job cancelled and freed the sandbox
+        if (jobInfo.abortController.signal.aborted) return;
+
         console.error(`❌ Failed to start Shopify CLI process for job ${jobId}:`, error);
         
-        await updateAppCreationJob(jobId, {
+        await updateJob(jobId, {
             status: 'failed',
             stage: 'error',
             error: error.message || 'Failed to start CLI process'
@@ -1044,7 +3842,7 @@ async function startShopifyAppCreationProcess(jobId, userId, appName) {
     }
 }
 
-async function monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, appName) {
+async function monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, workspaceId, appName) {
     try {
         console.log(`👁️  Monitoring real CLI process for job ${jobId}`);
         let outputBuffer = ['E2B sandbox created successfully', 'Initializing Shopify CLI...', `Running shopify app init "${appName}"...`];
@@ -1217,7 +4015,7 @@ async function monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, appN
 
                     // Save app metadata
                     try {
-                        const appData = await saveShopifyAppMetadata(userId, {
+                        const appData = await saveShopifyAppMetadata(userId, workspaceId, {
                             name: appName,
                             cliPath: `/tmp/${appName}`,
                             projectPath: `/tmp/${appName}`,
@@ -1268,8 +4066,13 @@ async function monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, appN
                     updateData.stage = currentStage;
                 }
 
+                // The job may have been cancelled while this check was running
+                if (jobData.abortController.signal.aborted) {
+                    return;
+                }
+
                 // Update the job with new data
-                await updateAppCreationJob(jobId, updateData);
+                await updateJob(jobId, updateData);
                 
                 console.log(`📊 Job ${jobId}: stage=${currentStage}, output lines=${outputBuffer.length}, process_running=${isProcessRunning}`);
 
@@ -1283,7 +4086,7 @@ async function monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, appN
             clearInterval(pollInterval);
             if (activeJobs.has(jobId) && !isProcessComplete) {
                 console.warn(`⏰ Job ${jobId} timed out after 25 minutes`);
-                updateAppCreationJob(jobId, {
+                updateJob(jobId, {
                     status: 'failed',
                     stage: 'error',
                     error: 'Process timed out after 25 minutes. This may be due to network issues or authentication requirements.'
@@ -1295,7 +4098,7 @@ async function monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, appN
     } catch (error) {
         console.error(`❌ Error monitoring CLI process for job ${jobId}:`, error);
         
-        await updateAppCreationJob(jobId, {
+        await updateJob(jobId, {
             status: 'failed',
             stage: 'error',
             error: error.message || 'Failed to monitor CLI process'
@@ -1305,6 +4108,34 @@ async function monitorShopifyCliProcess(jobId, sandbox, cliProcess, userId, appN
     }
 }
 
+// Cancel a running job: abort its model call, stop its CLI process, free its
+// sandbox and mark it cancelled
+async function cancelJob(jobId, jobData) {
+    const jobInfo = activeJobs.get(jobId);
+    activeJobs.delete(jobId);
+
+    if (jobInfo) {
+        jobInfo.abortController.abort();
+        if (jobInfo.process) {
+            await jobInfo.process.kill().catch(() => {});
+        }
+        if (jobInfo.sandbox) {
+            await jobInfo.sandbox.kill().catch(error => console.warn(`Could not stop sandbox for job ${jobId}:`, error.message));
+        }
+    } else if (jobData.sandboxId) {
+        // Not running in this process (e.g. after a restart), but its sandbox may still be alive
+        await Sandbox.kill(jobData.sandboxId).catch(error => console.warn(`Could not stop sandbox for job ${jobId}:`, error.message));
+    }
+
+    // A generation's streamed code never went through the secret scan
+    await updateJob(jobId, {
+        status: 'cancelled',
+        stage: 'cancelled',
+        error: null,
+        ...(jobData.type === 'generation' ? { code: '' } : {})
+    });
+}
+
 // Cleanup function for abandoned jobs
 function cleanupAbandonedJobs() {
     const now = new Date();
@@ -1316,10 +4147,11 @@ function cleanupAbandonedJobs() {
             activeJobs.delete(jobId);
             
             // Update job status
-            updateAppCreationJob(jobId, {
+            updateJob(jobId, {
                 status: 'failed',
                 stage: 'error',
-                error: 'Job abandoned due to timeout'
+                error: 'Job abandoned due to timeout',
+                ...(jobInfo.type === 'generation' ? { code: '' } : {})
             }).catch(err => console.error('Error updating abandoned job:', err));
         }
     }
@@ -1331,7 +4163,7 @@ setInterval(cleanupAbandonedJobs, 10 * 60 * 1000);
 // Shopify App Creation Endpoints
 
 // Create new Shopify app with CLI
-app.post('/api/create-shopify-app', authenticateUser, async (req, res) => {
+app.post('/api/create-shopify-app', authenticateUser, requireWorkspace('edit'), async (req, res) => {
     try {
         const { appName } = req.body;
         const userId = req.user.uid;
@@ -1352,13 +4184,15 @@ app.post('/api/create-shopify-app', authenticateUser, async (req, res) => {
             });
         }
 
+        await enforceQuota(userId, req.user.plan, { sandboxes: 1, sandboxMinutes: SANDBOX_MINUTES });
+
         console.log(`🚀 Starting Shopify app creation: "${appName}" for user ${userId}`);
 
         // Create job in Firestore
-        const jobResult = await createAppCreationJob(userId, appName.trim());
+        const jobResult = await createAppCreationJob(userId, req.workspace.id, appName.trim());
         
         // Start the background CLI process
-        startShopifyAppCreationProcess(jobResult.jobId, userId, appName.trim());
+        startShopifyAppCreationProcess(jobResult.jobId, req.user, req.workspace.id, appName.trim());
 
         res.json({
             success: true,
@@ -1369,6 +4203,10 @@ app.post('/api/create-shopify-app', authenticateUser, async (req, res) => {
 
     } catch (error) {
         console.error('Error starting Shopify app creation:', error);
+        if (error.quota) {
+            const { status, body } = describeQuotaError(error);
+            return res.status(status).json(body);
+        }
         res.status(500).json({
             error: 'Failed to start app creation',
             message: error.message || 'Internal server error'
@@ -1376,13 +4214,58 @@ app.post('/api/create-shopify-app', authenticateUser, async (req, res) => {
     }
 });
 
+// Cancel a code generation or app creation job
+app.post('/api/jobs/:jobId/cancel', authenticateUser, async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const jobData = await getJob(jobId);
+
+        if (!jobData) {
+            return res.status(404).json({
+                error: 'Job not found',
+                message: 'The requested job does not exist'
+            });
+        }
+
+        // Only members who can edit the job's workspace can change it
+        if (!await canAccessJob(req.user, jobData, 'edit')) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You do not have access to this job'
+            });
+        }
+
+        if (jobData.status !== 'running' && jobData.status !== 'waiting_auth') {
+            return res.status(409).json({
+                error: 'Job not running',
+                message: `The job has already ${jobData.status === 'cancelled' ? 'been cancelled' : jobData.status}`
+            });
+        }
+
+        await cancelJob(jobId, jobData);
+        console.log(`🛑 Cancelled job ${jobId} for user ${req.user.uid}`);
+
+        res.json({
+            success: true,
+            jobId,
+            status: 'cancelled'
+        });
+
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(500).json({
+            error: 'Failed to cancel job',
+            message: error.message || 'Internal server error'
+        });
+    }
+});
+
 // Get app creation status
 app.get('/api/app-creation-status/:jobId', authenticateUser, async (req, res) => {
     try {
         const { jobId } = req.params;
-        const userId = req.user.uid;
 
-        const jobData = await getAppCreationJob(jobId);
+        const jobData = await getJob(jobId);
         
         if (!jobData) {
             return res.status(404).json({
@@ -1391,8 +4274,8 @@ app.get('/api/app-creation-status/:jobId', authenticateUser, async (req, res) =>
             });
         }
 
-        // Verify job belongs to user
-        if (jobData.userId !== userId) {
+        // Members of the job's workspace can follow it
+        if (!await canAccessJob(req.user, jobData, 'view')) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: 'You do not have access to this job'
@@ -1425,7 +4308,6 @@ app.get('/api/app-creation-status/:jobId', authenticateUser, async (req, res) =>
 app.post('/api/complete-app-setup', authenticateUser, async (req, res) => {
     try {
         const { jobId } = req.body;
-        const userId = req.user.uid;
 
         if (!jobId) {
             return res.status(400).json({
@@ -1434,7 +4316,7 @@ app.post('/api/complete-app-setup', authenticateUser, async (req, res) => {
             });
         }
 
-        const jobData = await getAppCreationJob(jobId);
+        const jobData = await getJob(jobId);
         
         if (!jobData) {
             return res.status(404).json({
@@ -1443,8 +4325,8 @@ app.post('/api/complete-app-setup', authenticateUser, async (req, res) => {
             });
         }
 
-        // Verify job belongs to user
-        if (jobData.userId !== userId) {
+        // Only members who can edit the job's workspace can change it
+        if (!await canAccessJob(req.user, jobData, 'edit')) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: 'You do not have access to this job'
@@ -1452,7 +4334,7 @@ app.post('/api/complete-app-setup', authenticateUser, async (req, res) => {
         }
 
         // Update job status to indicate setup completion
-        await updateAppCreationJob(jobId, {
+        await updateJob(jobId, {
             stage: 'finalizing',
             status: 'running'
         });
@@ -1471,11 +4353,10 @@ app.post('/api/complete-app-setup', authenticateUser, async (req, res) => {
     }
 });
 
-// Get user's Shopify CLI apps
-app.get('/api/shopify-apps', authenticateUser, async (req, res) => {
+// Get the workspace's Shopify CLI apps
+app.get('/api/shopify-apps', authenticateUser, requireWorkspace('view'), async (req, res) => {
     try {
-        const userId = req.user.uid;
-        const apps = await getUserShopifyApps(userId);
+        const apps = await getWorkspaceShopifyApps(req.workspace);
         
         res.json({
             success: true,
@@ -1513,11 +4394,14 @@ app.listen(port, async () => {
     console.log(`🚀 Shopify AI App Builder server running on port ${port}`);
     console.log(`🔗 Health check: http://localhost:${port}/health`);
     
-    // Initialize Firebase Admin SDK
+    // Initialize Firebase Admin SDK, then project storage
     initializeFirebaseAdmin();
+    initializeStorage();
     
     // Validate API keys on startup
-    if (!process.env.ANTHROPIC_API_KEY) {
+    if (llm.name === 'mock') {
+        console.log('🧪 Using mock LLM provider - responses come from server/providers/fixtures');
+    } else if (!process.env.ANTHROPIC_API_KEY) {
         console.error('⚠️  WARNING: ANTHROPIC_API_KEY not found in environment variables!');
         console.error('   Please add your Claude API key to the .env file.');
     } else if (process.env.ANTHROPIC_API_KEY.startsWith('your-')) {
@@ -0,0 +1,72 @@
+// Subscription plans, the generation settings each one allows and their usage
+// quotas. A user's plan comes from the "plan" custom claim on their Firebase token.
+// A quota of null means unlimited; see usage.js for how usage is counted.
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'claude-3-5-sonnet-20241022';
+
+const PLANS = {
+    free: {
+        models: [DEFAULT_MODEL],
+        defaultModel: DEFAULT_MODEL,
+        maxTokens: 4000,
+        maxTokensLimit: 4000,
+        temperature: 0.7,
+        quotas: {
+            daily: { tokens: 200000, generations: 20, sandboxes: 20, sandboxMinutes: null },
+            monthly: { tokens: 2000000, generations: 200, sandboxes: 200, sandboxMinutes: 1000 }
+        }
+    },
+    pro: {
+        models: [DEFAULT_MODEL, 'claude-3-5-haiku-20241022', 'claude-3-opus-20240229'],
+        defaultModel: DEFAULT_MODEL,
+        maxTokens: 4000,
+        maxTokensLimit: 8192,
+        temperature: 0.7,
+        quotas: {
+            daily: { tokens: 2000000, generations: 200, sandboxes: 200, sandboxMinutes: null },
+            monthly: { tokens: 30000000, generations: 3000, sandboxes: 3000, sandboxMinutes: 15000 }
+        }
+    }
+};
+
+function getPlan(planName) {
+    return PLANS[planName] || PLANS.free;
+}
+
+// Resolve model, token limit and temperature for one request. Overrides from
+// the request body are accepted only within what the user's plan allows.
+function resolveModelSettings(planName, overrides = {}) {
+    const plan = getPlan(planName);
+
+    const model = overrides.model || plan.defaultModel;
+    if (!plan.models.includes(model)) {
+        const error = new Error(`Model "${model}" is not available on your plan. Available models: ${plan.models.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    let maxTokens = plan.maxTokens;
+    if (overrides.maxTokens !== undefined) {
+        const requested = parseInt(overrides.maxTokens, 10);
+        if (Number.isNaN(requested) || requested < 1) {
+            const error = new Error('maxTokens must be a positive number');
+            error.status = 400;
+            throw error;
+        }
+        maxTokens = Math.min(requested, plan.maxTokensLimit);
+    }
+
+    let temperature = plan.temperature;
+    if (overrides.temperature !== undefined) {
+        const requested = Number(overrides.temperature);
+        if (Number.isNaN(requested) || requested < 0 || requested > 1) {
+            const error = new Error('temperature must be between 0 and 1');
+            error.status = 400;
+            throw error;
+        }
+        temperature = requested;
+    }
+
+    return { model, maxTokens, temperature };
+}
+
+module.exports = { PLANS, getPlan, resolveModelSettings };
@@ -0,0 +1,349 @@
+const admin = require('firebase-admin');
+const { workspaceRoot } = require('./workspaces');
+const { queryProjects, searchKey, projectSearchKeys, sortValue, encodeCursor, PROJECT_SORTS } = require('./project-query');
+
+// Index of project metadata for listing, counting, looking up and numbering
+// projects without scanning storage. Projects are indexed per workspace (see
+// workspaces.js).
+//
+// With Firestore, every project has a summary document in "user_projects"
+// ("<workspaceId>_<projectId>") that is written whenever its project.json is,
+// and each workspace has a "user_project_counters" document holding the number
+// of its next project. Workspaces whose projects were indexed before the
+// current INDEX_VERSION (or saved before the index existed) are indexed from
+// storage the first time they are used.
+//
+// Storage and Firestore can't share a transaction, so index writes go through
+// an outbox: a marker at <workspace root>/project-index-pending/<projectId> is
+// written before project.json changes and removed once the index has the
+// change. Writes are retried; a marker that is left behind (the index write
+// kept failing or the server stopped) is applied from project.json the next
+// time the workspace's projects are listed or counted.
+//
+// Without Firestore, listing falls back to reading every project.json from
+// storage and the counter is kept in storage at
+// <workspace root>/project-counter.json.
+
+const PROJECTS_COLLECTION = 'user_projects';
+const COUNTERS_COLLECTION = 'user_project_counters';
+// Bumped when the fields of index documents change, so workspaces are reindexed
+const INDEX_VERSION = 3;
+// Long descriptions and prompts are cut in the index; project.json keeps them
+const MAX_INDEXED_TEXT_LENGTH = 2000;
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 400;
+const INDEX_WRITE_ATTEMPTS = 3;
+const INDEX_RETRY_DELAY_MS = 250;
+// gRPC status of queries that need a composite index that doesn't exist
+const FAILED_PRECONDITION = 9;
+
+function getAdminFirestore() {
+    return admin.apps.length > 0 ? admin.firestore() : null;
+}
+
+// Firestore reads that fail are served by reading every project.json of the
+// workspace instead, which is slow for large workspaces, so say so. A missing
+// composite index (FAILED_PRECONDITION) means firestore.indexes.json has not
+// been deployed.
+function logStorageFallback(action, workspaceId, error) {
+    const hint = error.code === FAILED_PRECONDITION
+        ? ' Deploy the indexes in firestore.indexes.json (firebase deploy --only firestore:indexes).'
+        : '';
+    console.error(`❌ Firestore project index ${action} failed in workspace ${workspaceId}; falling back to a full storage scan.${hint}`, error.message);
+}
+
+function indexDocId(workspaceId, projectId) {
+    return `${workspaceId}_${projectId}`;
+}
+
+function pendingPrefix(workspaceId) {
+    return `${workspaceRoot(workspaceId)}/project-index-pending/`;
+}
+
+// The fields of project.json that listing, searching and lookups need
+function projectSummary(metadata) {
+    return {
+        id: metadata.id,
+        name: metadata.name,
+        description: (metadata.description || '').slice(0, MAX_INDEXED_TEXT_LENGTH),
+        prompt: (metadata.prompt || '').slice(0, MAX_INDEXED_TEXT_LENGTH),
+        tags: metadata.tags || [],
+        archetype: metadata.archetype || null,
+        createdAt: metadata.createdAt,
+        updatedAt: metadata.updatedAt || null,
+        currentVersion: metadata.currentVersion || null,
+        previewUrl: metadata.previewUrl || null,
+        sandboxId: metadata.sandboxId || null
+    };
+}
+
+// Index document: the summary plus what Firestore filters and sorts on
+function indexEntry(workspaceId, metadata) {
+    const summary = projectSummary(metadata);
+    return {
+        ...summary,
+        workspaceId,
+        search: {
+            tags: summary.tags.map(tag => tag.toLowerCase()),
+            keys: projectSearchKeys(summary)
+        },
+        sortValues: Object.fromEntries(PROJECT_SORTS.map(sort => [sort, sortValue(summary, sort)]))
+    };
+}
+
+function summaryFromEntry({ workspaceId, search, sortValues, ...summary }) {
+    return summary;
+}
+
+// Highest "<anything>-<number>" suffix among existing project names, so numbering
+// continues after the projects that exist when a counter is first created
+function highestProjectNumber(projects) {
+    return projects.reduce((highest, project) => {
+        const match = /-(\d+)$/.exec(project.name || '');
+        return match ? Math.max(highest, parseInt(match[1], 10)) : highest;
+    }, 0);
+}
+
+async function withRetries(write) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await write();
+        } catch (error) {
+            if (attempt >= INDEX_WRITE_ATTEMPTS) throw error;
+            await new Promise(resolve => setTimeout(resolve, INDEX_RETRY_DELAY_MS * attempt));
+        }
+    }
+}
+
+// Firestore query for the parsed options of GET /api/projects (see
+// project-query.js). A query can have only one array-contains filter, so
+// further tags and search words are left for the caller to check; residual
+// is true when there are some.
+function buildProjectQuery(firestore, workspaceId, options) {
+    let query = firestore.collection(PROJECTS_COLLECTION).where('workspaceId', '==', workspaceId);
+    if (options.archetypes.length > 0) {
+        query = query.where('archetype', 'in', options.archetypes);
+    }
+
+    const contains = [
+        ...options.tags.map(tag => ['search.tags', tag]),
+        ...options.terms.map(term => ['search.keys', searchKey(term)])
+    ];
+    if (contains.length > 0) {
+        query = query.where(contains[0][0], 'array-contains', contains[0][1]);
+    }
+    return { query, residual: contains.length > 1 };
+}
+
+// scanProjects(workspaceId) reads every project.json of a workspace from
+// storage and readProject(workspaceId, projectId) one of them (or null); they
+// are the fallback without Firestore and the source for (re)indexing.
+// getFirestore returns the Firestore to index in, or null without one; it
+// defaults to the Firebase Admin app's.
+function createProjectIndex({ storage, scanProjects, readProject, getFirestore = getAdminFirestore }) {
+    const indexedWorkspaces = new Set();
+    // Per-workspace queue so counter updates in storage don't interleave
+    const counterLocks = new Map();
+
+    // Index the projects of a workspace whose index predates INDEX_VERSION
+    async function ensureIndexed(firestore, workspaceId) {
+        if (indexedWorkspaces.has(workspaceId)) return;
+
+        const counterRef = firestore.collection(COUNTERS_COLLECTION).doc(workspaceId);
+        const counter = await counterRef.get();
+        if (!counter.exists || counter.data().indexVersion !== INDEX_VERSION) {
+            const projects = await scanProjects(workspaceId);
+            for (let start = 0; start < projects.length; start += BATCH_SIZE) {
+                const batch = firestore.batch();
+                for (const project of projects.slice(start, start + BATCH_SIZE)) {
+                    batch.set(firestore.collection(PROJECTS_COLLECTION).doc(indexDocId(workspaceId, project.id)), indexEntry(workspaceId, project));
+                }
+                await batch.commit();
+            }
+            // Marked only once every project is in the index
+            await counterRef.set({
+                workspaceId,
+                indexVersion: INDEX_VERSION,
+                indexedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            console.log(`✅ Indexed ${projects.length} existing project(s) in workspace ${workspaceId}`);
+        }
+        indexedWorkspaces.add(workspaceId);
+    }
+
+    // Write the index entry of a project as project.json has it now, or remove
+    // it if the project is gone
+    async function syncFromStorage(firestore, workspaceId, projectId) {
+        const doc = firestore.collection(PROJECTS_COLLECTION).doc(indexDocId(workspaceId, projectId));
+        const project = await readProject(workspaceId, projectId);
+        if (project) {
+            await doc.set(indexEntry(workspaceId, project));
+        } else {
+            await doc.delete();
+        }
+    }
+
+    // Apply the index changes left in a workspace's outbox
+    async function applyPending(firestore, workspaceId) {
+        const prefix = pendingPrefix(workspaceId);
+        for (const key of await storage.listFiles(prefix)) {
+            const projectId = key.slice(prefix.length);
+            await syncFromStorage(firestore, workspaceId, projectId);
+            await storage.deleteFile(key);
+            console.log(`✅ Applied pending index change of project ${projectId} in workspace ${workspaceId}`);
+        }
+    }
+
+    // Run an index write; the outbox marker is removed once it succeeds
+    async function writeIndex(workspaceId, projectId, write) {
+        try {
+            await withRetries(write);
+            await storage.deleteFile(`${pendingPrefix(workspaceId)}${projectId}`);
+        } catch (error) {
+            console.error(`❌ Index update of project ${projectId} in workspace ${workspaceId} failed; it is applied when the workspace is next listed:`, error.message);
+        }
+    }
+
+    async function reserveInStorage(workspaceId) {
+        const previous = counterLocks.get(workspaceId) || Promise.resolve();
+        const reservation = previous.catch(() => {}).then(async () => {
+            const key = `${workspaceRoot(workspaceId)}/project-counter.json`;
+            const stored = await storage.readFile(key);
+            const number = stored
+                ? JSON.parse(stored.toString()).nextNumber
+                : highestProjectNumber(await scanProjects(workspaceId)) + 1;
+            await storage.writeFile(key, JSON.stringify({ nextNumber: number + 1 }), { contentType: 'application/json' });
+            return number;
+        });
+        counterLocks.set(workspaceId, reservation);
+        try {
+            return await reservation;
+        } finally {
+            if (counterLocks.get(workspaceId) === reservation) counterLocks.delete(workspaceId);
+        }
+    }
+
+    return {
+        // Record in the outbox that a project's project.json is about to change
+        // (or be deleted); call before writing it
+        async markPending(workspaceId, projectId) {
+            if (!getFirestore()) return;
+            await storage.writeFile(`${pendingPrefix(workspaceId)}${projectId}`, '{}', { contentType: 'application/json' });
+        },
+
+        // Add or update a project's entry after its project.json was written
+        async upsert(workspaceId, metadata) {
+            const firestore = getFirestore();
+            if (!firestore) return;
+            const doc = firestore.collection(PROJECTS_COLLECTION).doc(indexDocId(workspaceId, metadata.id));
+            await writeIndex(workspaceId, metadata.id, () => doc.set(indexEntry(workspaceId, metadata)));
+        },
+
+        // Remove a project's entry after its files were deleted
+        async remove(workspaceId, projectId) {
+            const firestore = getFirestore();
+            if (!firestore) return;
+            const doc = firestore.collection(PROJECTS_COLLECTION).doc(indexDocId(workspaceId, projectId));
+            await writeIndex(workspaceId, projectId, () => doc.delete());
+        },
+
+        // Summary of one project (see projectSummary), or null
+        async get(workspaceId, projectId) {
+            const firestore = getFirestore();
+            if (firestore) {
+                try {
+                    await ensureIndexed(firestore, workspaceId);
+                    const doc = await firestore.collection(PROJECTS_COLLECTION).doc(indexDocId(workspaceId, projectId)).get();
+                    return doc.exists ? summaryFromEntry(doc.data()) : null;
+                } catch (firestoreError) {
+                    logStorageFallback('read', workspaceId, firestoreError);
+                }
+            }
+            const project = await readProject(workspaceId, projectId);
+            return project ? projectSummary(project) : null;
+        },
+
+        // One page of a workspace's projects for the parsed options of
+        // GET /api/projects: { projects, total, nextCursor }
+        async query(workspaceId, options) {
+            const firestore = getFirestore();
+            if (firestore) {
+                try {
+                    await ensureIndexed(firestore, workspaceId);
+                    await applyPending(firestore, workspaceId);
+                    const { query, residual } = buildProjectQuery(firestore, workspaceId, options);
+
+                    if (residual) {
+                        // Narrowed as far as Firestore can; the rest is filtered here
+                        const snapshot = await query.get();
+                        const page = queryProjects(snapshot.docs.map(doc => doc.data()), options);
+                        return { ...page, projects: page.projects.map(summaryFromEntry) };
+                    }
+
+                    // Ties on the sort value are broken by ID, ascending, as in project-query.js
+                    let pageQuery = query.orderBy(`sortValues.${options.sort}`, options.order).orderBy('id');
+                    if (options.cursor) {
+                        pageQuery = pageQuery.startAfter(options.cursor.value, options.cursor.id);
+                    }
+                    const [count, snapshot] = await Promise.all([
+                        query.count().get(),
+                        pageQuery.limit(options.limit + 1).get()
+                    ]);
+                    const entries = snapshot.docs.map(doc => doc.data());
+                    const page = entries.slice(0, options.limit);
+                    const last = page[page.length - 1];
+                    return {
+                        projects: page.map(summaryFromEntry),
+                        total: count.data().count,
+                        nextCursor: entries.length > options.limit ? encodeCursor(last.sortValues[options.sort], last.id) : null
+                    };
+                } catch (firestoreError) {
+                    logStorageFallback('query', workspaceId, firestoreError);
+                }
+            }
+            return queryProjects((await scanProjects(workspaceId)).map(projectSummary), options);
+        },
+
+        // Number of projects in a workspace
+        async count(workspaceId) {
+            const firestore = getFirestore();
+            if (firestore) {
+                try {
+                    await ensureIndexed(firestore, workspaceId);
+                    await applyPending(firestore, workspaceId);
+                    const count = await firestore.collection(PROJECTS_COLLECTION).where('workspaceId', '==', workspaceId).count().get();
+                    return count.data().count;
+                } catch (firestoreError) {
+                    logStorageFallback('count', workspaceId, firestoreError);
+                }
+            }
+            return (await scanProjects(workspaceId)).length;
+        },
+
+        // Number for a workspace's next project. Numbers are never handed out twice,
+        // even to concurrent requests or after projects are deleted.
+        async reserveProjectNumber(workspaceId) {
+            const firestore = getFirestore();
+            if (!firestore) {
+                return reserveInStorage(workspaceId);
+            }
+
+            await ensureIndexed(firestore, workspaceId);
+            const counterRef = firestore.collection(COUNTERS_COLLECTION).doc(workspaceId);
+            return firestore.runTransaction(async transaction => {
+                const counter = await transaction.get(counterRef);
+                let number = counter.exists ? counter.data().nextNumber : undefined;
+                if (!number) {
+                    const projects = await transaction.get(firestore.collection(PROJECTS_COLLECTION).where('workspaceId', '==', workspaceId));
+                    number = highestProjectNumber(projects.docs.map(doc => doc.data())) + 1;
+                }
+                transaction.set(counterRef, { workspaceId, nextNumber: number + 1 }, { merge: true });
+                return number;
+            });
+        }
+    };
+}
+
+module.exports = {
+    createProjectIndex
+};
@@ -0,0 +1,176 @@
+// Search, filtering, sorting and cursor pagination for a workspace's project
+// list (GET /api/projects). Cursors name the last project of a page by its sort
+// value and ID, so pages stay stable when projects are added or removed while
+// someone is scrolling.
+//
+// Search matches whole words or the start of words in a project's name and
+// description. The project index stores each project's search keys
+// and sort values (see project-index.js) so Firestore can run the query;
+// queryProjects applies the same rules in memory.
+
+const PROJECT_SORTS = ['createdAt', 'updatedAt', 'name'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+// Firestore's limit for "in" filters
+const MAX_ARCHETYPE_FILTERS = 30;
+// Longer words are matched on their first characters only
+const MAX_SEARCH_KEY_LENGTH = 20;
+
+// Query parameters may be given once, repeated or comma-separated
+function listParam(value) {
+    const values = Array.isArray(value) ? value : value === undefined ? [] : [value];
+    return values
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Lowercase words of a text; anything but letters and digits separates words
+function searchWords(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function searchKey(word) {
+    return word.slice(0, MAX_SEARCH_KEY_LENGTH);
+}
+
+// Every start of every word of a project's name and description. Prompts are
+// left out: they are long, and each key is an entry in the project's index
+// document. A word gives at most one key per character, so a project has no
+// more keys than its name and description have characters.
+function projectSearchKeys(project) {
+    const keys = new Set();
+    for (const word of searchWords([project.name, project.description].join(' '))) {
+        for (let length = 1; length <= Math.min(word.length, MAX_SEARCH_KEY_LENGTH); length++) {
+            keys.add(word.slice(0, length));
+        }
+    }
+    return [...keys];
+}
+
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string') {
+            return { value: decoded[0], id: decoded[1] };
+        }
+    } catch (error) {
+        // Reported below
+    }
+    return null;
+}
+
+// Validate the query string of GET /api/projects. Returns { options } or { error }.
+function parseProjectQuery(query) {
+    const options = {
+        terms: [],
+        tags: listParam(query.tag),
+        archetypes: listParam(query.archetype),
+        sort: query.sort || 'createdAt',
+        order: null,
+        limit: DEFAULT_PAGE_SIZE,
+        cursor: null
+    };
+
+    if (query.q !== undefined) {
+        if (typeof query.q !== 'string' || query.q.length > MAX_QUERY_LENGTH) {
+            return { error: `q must be a string of at most ${MAX_QUERY_LENGTH} characters` };
+        }
+        options.terms = searchWords(query.q);
+    }
+
+    if (options.archetypes.length > MAX_ARCHETYPE_FILTERS) {
+        return { error: `archetype can name at most ${MAX_ARCHETYPE_FILTERS} archetypes` };
+    }
+
+    if (!PROJECT_SORTS.includes(options.sort)) {
+        return { error: `sort must be one of: ${PROJECT_SORTS.join(', ')}` };
+    }
+
+    // Newest first for dates, A to Z for names
+    options.order = query.order || (options.sort === 'name' ? 'asc' : 'desc');
+    if (options.order !== 'asc' && options.order !== 'desc') {
+        return { error: 'order must be "asc" or "desc"' };
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+        }
+        options.limit = limit;
+    }
+
+    if (query.cursor !== undefined) {
+        options.cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+        if (!options.cursor) {
+            return { error: 'cursor is not valid; use the nextCursor of a previous response' };
+        }
+    }
+
+    return { options };
+}
+
+function sortValue(project, sort) {
+    if (sort === 'name') return String(project.name || '').toLowerCase();
+    // Projects that were never changed sort by their creation time
+    const value = sort === 'updatedAt' ? project.updatedAt || project.createdAt : project.createdAt;
+    return value ? new Date(value).toISOString() : '';
+}
+
+function matchesProject(project, { terms, tags, archetypes }) {
+    if (archetypes.length > 0 && !archetypes.includes(String(project.archetype || '').toLowerCase())) {
+        return false;
+    }
+
+    const projectTags = (project.tags || []).map(tag => tag.toLowerCase());
+    if (!tags.every(tag => projectTags.includes(tag))) {
+        return false;
+    }
+
+    if (terms.length === 0) return true;
+    const keys = new Set(projectSearchKeys(project));
+    return terms.every(term => keys.has(searchKey(term)));
+}
+
+// Apply parsed options to a workspace's projects. Returns
+// { projects, total, nextCursor }: one page, the number of matching projects
+// and the cursor of the next page (null on the last page).
+function queryProjects(projects, options) {
+    const direction = options.order === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+        if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * direction;
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    };
+
+    const matches = projects
+        .filter(project => matchesProject(project, options))
+        .map(project => ({ project, value: sortValue(project, options.sort), id: project.id }))
+        .sort(compare);
+
+    const start = options.cursor ? matches.findIndex(item => compare(item, options.cursor) > 0) : 0;
+    const page = start === -1 ? [] : matches.slice(start, start + options.limit);
+    const last = page[page.length - 1];
+    const hasMore = start !== -1 && start + options.limit < matches.length;
+
+    return {
+        projects: page.map(item => item.project),
+        total: matches.length,
+        nextCursor: hasMore ? encodeCursor(last.value, last.id) : null
+    };
+}
+
+module.exports = {
+    PROJECT_SORTS,
+    parseProjectQuery,
+    queryProjects,
+    searchKey,
+    projectSearchKeys,
+    sortValue,
+    encodeCursor
+};
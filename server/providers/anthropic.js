@@ -0,0 +1,44 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Anthropic Messages API provider. Streams text and tool input deltas to the
+// optional callbacks and resolves with the final message in provider format.
+function createAnthropicProvider({ apiKey } = {}) {
+    const anthropic = new Anthropic({ apiKey });
+
+    return {
+        name: 'anthropic',
+
+        async generate({ system, messages, tools, toolChoice, model, maxTokens, temperature, onText, onToolInput, signal }) {
+            const stream = anthropic.messages.stream({
+                model,
+                max_tokens: maxTokens,
+                temperature,
+                system,
+                tools,
+                tool_choice: toolChoice,
+                messages
+            }, { signal });
+
+            if (onText) {
+                stream.on('text', (text) => onText(text));
+            }
+            if (onToolInput) {
+                stream.on('inputJson', (partialJson, snapshot) => onToolInput(snapshot));
+            }
+
+            const message = await stream.finalMessage();
+
+            return {
+                content: message.content,
+                model: message.model,
+                stopReason: message.stop_reason,
+                usage: {
+                    input_tokens: message.usage.input_tokens,
+                    output_tokens: message.usage.output_tokens
+                }
+            };
+        }
+    };
+}
+
+module.exports = { createAnthropicProvider };
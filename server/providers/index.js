@@ -0,0 +1,28 @@
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+
+// LLM providers all expose the same interface:
+//
+//   provider.name
+//   provider.generate({ system, messages, tools, toolChoice, model, maxTokens,
+//                       temperature, onText, onToolInput, signal })
+//     → { content, model, stopReason, usage: { input_tokens, output_tokens } }
+//
+// content uses Anthropic's block format (text / tool_use) so callers can
+// handle every provider the same way. Aborting the optional AbortSignal
+// rejects the pending call.
+const PROVIDERS = {
+    anthropic: () => createAnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY }),
+    mock: () => createMockProvider()
+};
+
+// Create the provider named by LLM_PROVIDER (defaults to anthropic)
+function createProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { ARCHETYPES, DEFAULT_ARCHETYPE_ID } = require('../archetypes');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Load every fixture once. Each fixture is { name, archetype, keywords,
+// explanation, files }; fixtures without an archetype are for the default one.
+function loadFixtures(fixturesDir) {
+    return fs.readdirSync(fixturesDir)
+        .filter(filename => filename.endsWith('.json'))
+        .sort()
+        .map(filename => JSON.parse(fs.readFileSync(path.join(fixturesDir, filename), 'utf8')));
+}
+
+// Text of the most recent user message, whether plain or content blocks
+function lastUserText(messages) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    if (!lastUser) return '';
+    if (typeof lastUser.content === 'string') return lastUser.content;
+    return lastUser.content
+        .map(block => block.text || block.content || '')
+        .join('\n');
+}
+
+// Archetype the system prompt asks for. The mock reads it the way a model
+// would, from the "You are building: <name>." line of the generation prompt.
+function requestedArchetype(system) {
+    const archetype = ARCHETYPES.find(candidate => (system || '').includes(`You are building: ${candidate.name}.`));
+    return archetype ? archetype.id : DEFAULT_ARCHETYPE_ID;
+}
+
+// Rough token estimate so usage numbers stay deterministic
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+// Deterministic offline provider. Among the fixtures for the requested
+// archetype, picks the first whose keywords appear in the latest user message
+// (falling back to the archetype's keyword-less fixture, then the "default"
+// fixture) and answers with a write_project_files tool call built from it.
+function createMockProvider({ fixturesDir = FIXTURES_DIR } = {}) {
+    const fixtures = loadFixtures(fixturesDir);
+    const defaultFixture = fixtures.find(fixture => fixture.name === 'default') || fixtures[0];
+
+    return {
+        name: 'mock',
+
+        async generate({ system, messages, tools, onText, onToolInput, signal }) {
+            if (signal && signal.aborted) {
+                throw new Error('Request was aborted.');
+            }
+
+            const prompt = lastUserText(messages);
+            const lowerPrompt = prompt.toLowerCase();
+            const archetypeId = requestedArchetype(system);
+            const candidates = fixtures.filter(candidate => (candidate.archetype || DEFAULT_ARCHETYPE_ID) === archetypeId);
+            const fixture = candidates.find(candidate =>
+                (candidate.keywords || []).some(keyword => lowerPrompt.includes(keyword.toLowerCase()))
+            ) || candidates.find(candidate => (candidate.keywords || []).length === 0) || defaultFixture;
+
+            const input = { explanation: fixture.explanation, files: fixture.files };
+            const tool = (tools || [])[0];
+
+            // Replay the answer as the same partial snapshots a real stream would produce
+            if (tool && onToolInput) {
+                onToolInput({ explanation: input.explanation });
+                input.files.forEach((file, index) => {
+                    onToolInput({ explanation: input.explanation, files: input.files.slice(0, index + 1) });
+                });
+            } else if (!tool && onText) {
+                onText(input.explanation);
+            }
+
+            const content = tool
+                ? [{ type: 'tool_use', id: `toolu_mock_${fixture.name}`, name: tool.name, input }]
+                : [{ type: 'text', text: input.explanation }];
+            const messageText = messages.map(message => JSON.stringify(message.content)).join('\n');
+
+            return {
+                content,
+                model: 'mock',
+                stopReason: tool ? 'tool_use' : 'end_turn',
+                usage: {
+                    input_tokens: estimateTokens(`${system || ''}${messageText}`),
+                    output_tokens: estimateTokens(JSON.stringify(input))
+                }
+            };
+        }
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,227 @@
+// Secret scanning for prompts and project files before they are deployed or
+// saved.
+//
+// Users sometimes paste credentials into their prompts and the model copies
+// them into the code. Prompts are screened before they are stored or sent to
+// the model (file "prompt" in their findings). Every finding is:
+//
+//   { file, line, column, rule, message, preview }
+//
+// preview only shows the first characters of the secret so responses and logs
+// never repeat it. SECRET_SCAN_MODE decides what happens to prompts and files
+// with findings: "block" rejects them, "redact" (the default) replaces each
+// secret with REDACTED_VALUE and "warn" keeps them as they are.
+
+const SECRET_SCAN_MODES = ['block', 'redact', 'warn'];
+const SECRET_SCAN_MODE = SECRET_SCAN_MODES.includes(process.env.SECRET_SCAN_MODE) ? process.env.SECRET_SCAN_MODE : 'redact';
+const REDACTED_VALUE = '[REDACTED]';
+
+const SECRET_RULES = [
+    {
+        rule: 'shopify-access-token',
+        pattern: /\bshp(?:at|ca|pa)_[a-fA-F0-9]{32}\b/g,
+        message: 'Shopify access token'
+    },
+    {
+        rule: 'shopify-shared-secret',
+        pattern: /\bshpss_[a-fA-F0-9]{32}\b/g,
+        message: 'Shopify app shared secret'
+    },
+    {
+        rule: 'anthropic-api-key',
+        pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g,
+        message: 'Anthropic API key'
+    },
+    {
+        rule: 'private-key',
+        pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----(?:[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----)?/g,
+        message: 'Private key'
+    }
+];
+
+// Quoted literals and unquoted .env style values long enough to be a credential
+const CANDIDATE_PATTERNS = [
+    /(["'`])([A-Za-z0-9+/=_.-]{20,})\1/g,
+    /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_]*[ \t]*=[ \t]*()([A-Za-z0-9+/=_.-]{20,})[ \t]*$/gm
+];
+// Names that make a moderately random value look like a credential
+const SECRET_NAME_PATTERN = /(secret|token|passw(or)?d|api[_-]?key|private[_-]?key|access[_-]?key|credential|auth)/i;
+const HIGH_ENTROPY = 4.0;
+const NAMED_SECRET_ENTROPY = 3.5;
+
+// Lock files are full of integrity hashes, which are random by design
+const SKIPPED_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Shannon entropy in bits per character
+function entropy(value) {
+    const counts = {};
+    for (const character of value) {
+        counts[character] = (counts[character] || 0) + 1;
+    }
+    return Object.values(counts).reduce((total, count) => {
+        const probability = count / value.length;
+        return total - probability * Math.log2(probability);
+    }, 0);
+}
+
+function locationAt(content, index) {
+    const lines = content.slice(0, index).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function preview(secret) {
+    return `${secret.slice(0, 6)}…`;
+}
+
+function looksLikeGenericSecret(value, lineText) {
+    if (/^(sha\d+|md5)-/.test(value) || /^[a-z]+(?:[._/-][a-z]+)*$/.test(value)) {
+        return false; // integrity hashes, identifiers and paths
+    }
+    const threshold = SECRET_NAME_PATTERN.test(lineText) ? NAMED_SECRET_ENTROPY : HIGH_ENTROPY;
+    return entropy(value) >= threshold;
+}
+
+// Secrets in one file, with the character range of each so they can be redacted
+function scanContent(content) {
+    const matches = [];
+    const overlaps = (start, end) => matches.some(match => start < match.end && end > match.start);
+
+    for (const { rule, pattern, message } of SECRET_RULES) {
+        for (const match of content.matchAll(new RegExp(pattern.source, pattern.flags))) {
+            matches.push({ rule, message, start: match.index, end: match.index + match[0].length, secret: match[0] });
+        }
+    }
+
+    for (const pattern of CANDIDATE_PATTERNS) {
+        for (const match of content.matchAll(new RegExp(pattern.source, pattern.flags))) {
+            const value = match[2];
+            const start = match.index + match[0].lastIndexOf(value);
+            const end = start + value.length;
+            const lineStart = content.lastIndexOf('\n', start) + 1;
+            const lineEnd = content.indexOf('\n', end);
+            const lineText = content.slice(lineStart, lineEnd === -1 ? content.length : lineEnd);
+
+            if (overlaps(start, end) || !looksLikeGenericSecret(value, lineText)) continue;
+            matches.push({ rule: 'high-entropy-string', message: 'High-entropy string that looks like a secret', start, end, secret: value });
+        }
+    }
+
+    return matches
+        .sort((a, b) => a.start - b.start)
+        .map(match => ({ ...match, ...locationAt(content, match.start) }));
+}
+
+function toFinding(filePath, { rule, message, secret, line, column }) {
+    return {
+        file: filePath,
+        line,
+        column,
+        rule,
+        message: `${message} found in ${filePath}:${line}`,
+        preview: preview(secret)
+    };
+}
+
+// Binary assets (Buffers) and the files in SKIPPED_FILES are not scanned
+function isScanned(filePath, content) {
+    return typeof content === 'string' && !SKIPPED_FILES.includes(filePath.split('/').pop());
+}
+
+// Scan project files (keyed by path). Returns findings, empty when none.
+function scanFiles(files) {
+    const findings = [];
+    for (const [filePath, content] of Object.entries(files)) {
+        if (!isScanned(filePath, content)) continue;
+        scanContent(content).forEach(match => findings.push(toFinding(filePath, match)));
+    }
+    return findings;
+}
+
+// Replace from the end so earlier offsets stay valid
+function redactContent(content, matches) {
+    return [...matches]
+        .reverse()
+        .reduce((text, match) => text.slice(0, match.start) + REDACTED_VALUE + text.slice(match.end), content);
+}
+
+// Copy of the files with every secret replaced by REDACTED_VALUE
+function redactFiles(files) {
+    const redacted = {};
+    for (const [filePath, content] of Object.entries(files)) {
+        if (!isScanned(filePath, content)) {
+            redacted[filePath] = content;
+            continue;
+        }
+        redacted[filePath] = redactContent(content, scanContent(content));
+    }
+    return redacted;
+}
+
+// Apply the configured mode to a set of files. Returns the files to use and the
+// findings; in block mode files with findings throw an error with status 422.
+function screenFiles(files, mode = SECRET_SCAN_MODE) {
+    const findings = scanFiles(files);
+    if (findings.length === 0) {
+        return { files, findings };
+    }
+
+    console.warn(`🔑 ${findings.length} secret(s) found in project files (${mode}):`, findings.map(finding => `${finding.file}:${finding.line} ${finding.rule}`));
+
+    if (mode === 'block') {
+        const error = new Error(`The project files contain ${findings.length} secret(s) (${findings.map(finding => finding.message).join('; ')}). Remove credentials from your prompt and use environment variables instead.`);
+        error.status = 422;
+        error.secretFindings = findings;
+        throw error;
+    }
+
+    return { files: mode === 'redact' ? redactFiles(files) : files, findings };
+}
+
+// Apply the configured mode to a prompt. Returns the prompt to store and send
+// to the model and the findings; in block mode a prompt with findings throws
+// an error with status 422.
+function screenPrompt(prompt, mode = SECRET_SCAN_MODE) {
+    const matches = scanContent(prompt);
+    const findings = matches.map(match => toFinding('prompt', match));
+    if (findings.length === 0) {
+        return { prompt, findings };
+    }
+
+    console.warn(`🔑 ${findings.length} secret(s) found in a prompt (${mode}):`, findings.map(finding => `${finding.line} ${finding.rule}`));
+
+    if (mode === 'block') {
+        const error = new Error(`The prompt contains ${findings.length} secret(s) (${findings.map(finding => finding.message).join('; ')}). Remove credentials from your prompt and use environment variables instead.`);
+        error.status = 422;
+        error.secretFindings = findings;
+        throw error;
+    }
+
+    return { prompt: mode === 'redact' ? redactContent(prompt, matches) : prompt, findings };
+}
+
+// Code the model is still streaming, redacted for storing in a generation job
+// before the files are screened. A secret cut off at the end doesn't match yet,
+// so only complete lines are returned, and nothing after a private key whose
+// end line hasn't arrived. In warn mode the code is returned as it is.
+function redactStreamedCode(code, mode = SECRET_SCAN_MODE) {
+    if (mode === 'warn') {
+        return code;
+    }
+
+    let complete = code.slice(0, code.lastIndexOf('\n') + 1);
+    const unfinishedKey = scanContent(complete).find(match => match.rule === 'private-key' && !match.secret.includes('-----END'));
+    if (unfinishedKey) {
+        complete = complete.slice(0, unfinishedKey.start);
+    }
+    return redactContent(complete, scanContent(complete));
+}
+
+module.exports = {
+    SECRET_SCAN_MODES,
+    SECRET_SCAN_MODE,
+    scanFiles,
+    redactFiles,
+    screenFiles,
+    screenPrompt,
+    redactStreamedCode
+};
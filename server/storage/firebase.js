@@ -0,0 +1,58 @@
+// Storage backend for a Firebase Storage (Google Cloud Storage) bucket
+
+function isNotFound(error) {
+    return error.code === 404;
+}
+
+function createFirebaseStorage(bucket) {
+    return {
+        name: 'firebase',
+
+        async writeFile(key, content, { contentType, ifNotExists = false } = {}) {
+            try {
+                await bucket.file(key).save(content, {
+                    metadata: contentType ? { contentType } : undefined,
+                    // Generation 0 only matches an object that doesn't exist yet
+                    preconditionOpts: ifNotExists ? { ifGenerationMatch: 0 } : undefined
+                });
+            } catch (error) {
+                if (ifNotExists && error.code === 412) {
+                    const exists = new Error(`${key} already exists`);
+                    exists.code = 'EEXIST';
+                    throw exists;
+                }
+                throw error;
+            }
+        },
+
+        async readFile(key) {
+            try {
+                const [content] = await bucket.file(key).download();
+                return content;
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async exists(key) {
+            const [exists] = await bucket.file(key).exists();
+            return exists;
+        },
+
+        async listFiles(prefix) {
+            const [files] = await bucket.getFiles({ prefix });
+            return files.map(file => file.name).sort();
+        },
+
+        async deleteFile(key) {
+            await bucket.file(key).delete({ ignoreNotFound: true });
+        },
+
+        async deletePrefix(prefix) {
+            await bucket.deleteFiles({ prefix });
+        }
+    };
+}
+
+module.exports = { createFirebaseStorage };
@@ -0,0 +1,36 @@
+const { createFirebaseStorage } = require('./firebase');
+const { createLocalStorage } = require('./local');
+
+// Storage backends all expose the same object-store interface. Keys are
+// "/"-separated paths such as "users/<uid>/projects/<id>/project.json".
+//
+//   storage.name
+//   storage.writeFile(key, content, { contentType, ifNotExists })
+//     ifNotExists makes the write fail with error.code 'EEXIST' instead of
+//     replacing an existing object
+//   storage.readFile(key)      → Buffer, or null when the object doesn't exist
+//   storage.exists(key)        → boolean
+//   storage.listFiles(prefix)  → keys that start with prefix, sorted
+//   storage.deleteFile(key)    (missing objects are ignored)
+//   storage.deletePrefix(prefix)
+const BACKENDS = {
+    firebase: ({ bucket }) => {
+        if (!bucket) {
+            throw new Error('STORAGE_BACKEND is "firebase" but Firebase Storage is not configured');
+        }
+        return createFirebaseStorage(bucket);
+    },
+    local: () => createLocalStorage({ root: process.env.LOCAL_STORAGE_DIR })
+};
+
+// Create the backend named by STORAGE_BACKEND. Without it, Firebase Storage is
+// used when a bucket is available and the local filesystem otherwise.
+function createStorage({ bucket } = {}, name = process.env.STORAGE_BACKEND || (bucket ? 'firebase' : 'local')) {
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return factory({ bucket });
+}
+
+module.exports = { createStorage };
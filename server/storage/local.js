@@ -0,0 +1,105 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Storage backend on the local filesystem, for development without Google
+// credentials. Every key is a file under the root directory (LOCAL_STORAGE_DIR,
+// default ./.data/storage). Writes go through a temporary file and a rename so
+// readers never see a partly written object.
+
+const DEFAULT_ROOT = path.join('.data', 'storage');
+// Temporary files live outside any key prefix so listings never include them
+const TEMP_DIRECTORY = '.tmp';
+
+function createLocalStorage({ root = DEFAULT_ROOT } = {}) {
+    const rootDirectory = path.resolve(root || DEFAULT_ROOT);
+
+    // Absolute path for a key; keys can't reach outside the root
+    function resolveKey(key) {
+        const segments = key.split('/');
+        if (!key || segments.some(segment => segment === '' || segment === '.' || segment === '..') || segments[0] === TEMP_DIRECTORY) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return path.join(rootDirectory, ...segments);
+    }
+
+    async function listAll(directory) {
+        let entries;
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true, recursive: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return entries
+            .filter(entry => entry.isFile())
+            .map(entry => path.relative(rootDirectory, path.join(entry.path || entry.parentPath, entry.name)).split(path.sep).join('/'));
+    }
+
+    async function listFiles(prefix) {
+        // Only walk the deepest directory the prefix names
+        const directoryKey = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+        const directory = directoryKey ? resolveKey(directoryKey) : rootDirectory;
+        const keys = await listAll(directory);
+        return keys
+            .filter(key => key.startsWith(prefix) && key.split('/')[0] !== TEMP_DIRECTORY)
+            .sort();
+    }
+
+    return {
+        name: 'local',
+
+        async writeFile(key, content, { ifNotExists = false } = {}) {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+            if (ifNotExists) {
+                // "wx" fails with EEXIST when the file is already there
+                await fs.writeFile(filePath, content, { flag: 'wx' });
+                return;
+            }
+
+            const tempDirectory = path.join(rootDirectory, TEMP_DIRECTORY);
+            await fs.mkdir(tempDirectory, { recursive: true });
+            const tempPath = path.join(tempDirectory, crypto.randomUUID());
+            await fs.writeFile(tempPath, content);
+            await fs.rename(tempPath, filePath);
+        },
+
+        async readFile(key) {
+            try {
+                return await fs.readFile(resolveKey(key));
+            } catch (error) {
+                if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+                throw error;
+            }
+        },
+
+        async exists(key) {
+            try {
+                return (await fs.stat(resolveKey(key))).isFile();
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        listFiles,
+
+        async deleteFile(key) {
+            await fs.rm(resolveKey(key), { force: true });
+        },
+
+        async deletePrefix(prefix) {
+            for (const key of await listFiles(prefix)) {
+                await fs.rm(resolveKey(key), { force: true });
+            }
+            // A prefix that names a directory removes the (now empty) directory too
+            if (prefix.endsWith('/') && prefix.length > 1) {
+                await fs.rm(resolveKey(prefix.slice(0, -1)), { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,105 @@
+// Reader for (uncompressed) tar archives, used to import projects uploaded as
+// a directory tarball. Supports ustar, GNU long names and pax path headers;
+// links and other special entries are listed as neither files nor directories.
+
+const BLOCK_SIZE = 512;
+
+function invalidTar(message) {
+    const error = new Error(`Invalid tar archive: ${message}`);
+    error.status = 400;
+    return error;
+}
+
+function readString(buffer, start, length) {
+    const field = buffer.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.toString('utf8', 0, end === -1 ? field.length : end);
+}
+
+function readOctal(buffer, start, length) {
+    if (buffer[start] & 0x80) {
+        throw invalidTar('entries over 8 GB are not supported');
+    }
+    const value = readString(buffer, start, length).trim();
+    return value ? parseInt(value, 8) : 0;
+}
+
+// "path" from a pax extended header ("<length> <key>=<value>\n" records)
+function readPaxPath(content) {
+    const text = content.toString('utf8');
+    let offset = 0;
+    while (offset < text.length) {
+        const space = text.indexOf(' ', offset);
+        const length = parseInt(text.slice(offset, space), 10);
+        if (space === -1 || !length) break;
+        const record = text.slice(space + 1, offset + length - 1);
+        if (record.startsWith('path=')) return record.slice(5);
+        offset += length;
+    }
+    return null;
+}
+
+// List the entries of a tar archive held in a buffer, in the same
+// { path, size, isDirectory, isFile, read() } shape as readZipEntries
+function readTarEntries(buffer) {
+    const entries = [];
+    let offset = 0;
+    let longName = null;
+
+    while (offset + BLOCK_SIZE <= buffer.length) {
+        const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+        // Two zero blocks end the archive
+        if (header.every(byte => byte === 0)) break;
+
+        let checksum = 0;
+        for (let index = 0; index < BLOCK_SIZE; index++) {
+            checksum += index >= 148 && index < 156 ? 32 : header[index];
+        }
+        if (checksum !== readOctal(header, 148, 8)) {
+            throw invalidTar(`bad header checksum at offset ${offset}`);
+        }
+
+        const type = String.fromCharCode(header[156] || 48);
+        const size = readOctal(header, 124, 12);
+        const dataStart = offset + BLOCK_SIZE;
+        if (dataStart + size > buffer.length) {
+            throw invalidTar('archive is truncated');
+        }
+        offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+        // Long names apply to the entry that follows them
+        if (type === 'L') {
+            longName = readString(buffer, dataStart, size);
+            continue;
+        }
+        if (type === 'x') {
+            longName = readPaxPath(buffer.subarray(dataStart, dataStart + size)) || longName;
+            continue;
+        }
+        if (type === 'g') continue;
+
+        let entryPath = readString(header, 0, 100);
+        if (readString(header, 257, 5) === 'ustar') {
+            const prefix = readString(header, 345, 155);
+            if (prefix) entryPath = `${prefix}/${entryPath}`;
+        }
+        if (longName) {
+            entryPath = longName;
+            longName = null;
+        }
+
+        entries.push({
+            path: entryPath,
+            size,
+            isDirectory: type === '5',
+            isFile: type === '0' || type === '7',
+            read: () => buffer.subarray(dataStart, dataStart + size)
+        });
+    }
+
+    return entries;
+}
+
+module.exports = {
+    readTarEntries
+};
@@ -0,0 +1,255 @@
+// Per-user usage ledger and quota enforcement.
+//
+// Usage is counted per user and UTC day in the Firestore collection
+// "usage_ledger" (one document per "<userId>_<YYYY-MM-DD>"), with an in-memory
+// fallback when Firestore is unavailable. Monthly usage is the sum of the
+// month's daily documents. Quotas come from the user's plan (see plans.js).
+//
+// E2B bills a sandbox until it is killed or times out, so every sandbox is
+// created with SANDBOX_TIMEOUT_MS and its full lifetime is charged up front,
+// through reserveUsage so that concurrent requests can't all pass the quota
+// check before any of them is charged.
+
+const admin = require('firebase-admin');
+const { getPlan } = require('./plans');
+
+const USAGE_COLLECTION = 'usage_ledger';
+const SANDBOX_TIMEOUT_MS = parseInt(process.env.SANDBOX_TIMEOUT_MS || '300000', 10);
+const SANDBOX_MINUTES = Math.ceil(SANDBOX_TIMEOUT_MS / 60000);
+const COUNTERS = ['inputTokens', 'outputTokens', 'generations', 'sandboxes', 'sandboxMinutes'];
+const QUOTA_LABELS = {
+    tokens: 'token',
+    generations: 'generation',
+    sandboxes: 'sandbox',
+    sandboxMinutes: 'sandbox minute'
+};
+
+// In-memory usage as fallback, keyed like the Firestore documents. Only the
+// current month is ever read, so older days are dropped.
+const inMemoryUsage = new Map();
+
+function getFirestore() {
+    return admin.apps.length > 0 ? admin.firestore() : null;
+}
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function usageDocId(userId, day) {
+    return `${userId}_${day}`;
+}
+
+function emptyUsage() {
+    return COUNTERS.reduce((usage, counter) => ({ ...usage, [counter]: 0 }), {});
+}
+
+function addUsage(total, usage) {
+    for (const counter of COUNTERS) {
+        total[counter] += usage[counter] || 0;
+    }
+    return total;
+}
+
+// Days of the current UTC month up to and including today
+function monthDays(now) {
+    const days = [];
+    for (let day = 1; day <= now.getUTCDate(); day++) {
+        days.push(dayKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), day))));
+    }
+    return days;
+}
+
+function periodResets(now) {
+    return {
+        daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString(),
+        monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+    };
+}
+
+function addInMemory(docId, amounts, now = new Date()) {
+    const month = dayKey(now).slice(0, 7);
+    for (const key of inMemoryUsage.keys()) {
+        // Keys end with the day, "YYYY-MM-DD"
+        if (key.slice(-10, -3) !== month) inMemoryUsage.delete(key);
+    }
+    const usage = inMemoryUsage.get(docId) || emptyUsage();
+    inMemoryUsage.set(docId, addUsage(usage, amounts));
+}
+
+// Firestore update that adds amounts to a usage document
+function incrementUpdate(userId, day, amounts) {
+    const update = { userId, day, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    for (const counter of COUNTERS) {
+        if (amounts[counter]) {
+            update[counter] = admin.firestore.FieldValue.increment(amounts[counter]);
+        }
+    }
+    return update;
+}
+
+// Add to a user's usage for one day. Recording never throws so a ledger
+// outage can't fail the request that used the resources.
+async function addToLedger(userId, day, amounts) {
+    const docId = usageDocId(userId, day);
+
+    const firestore = getFirestore();
+    if (!firestore) {
+        addInMemory(docId, amounts);
+        return;
+    }
+
+    try {
+        await firestore.collection(USAGE_COLLECTION).doc(docId).set(incrementUpdate(userId, day, amounts), { merge: true });
+    } catch (firestoreError) {
+        console.error(`❌ Firestore usage write failed for user ${userId}, recording in memory:`, firestoreError.message);
+        addInMemory(docId, amounts);
+    }
+}
+
+// Add to a user's usage for today. Amounts are keyed by COUNTERS.
+async function recordUsage(userId, amounts) {
+    await addToLedger(userId, dayKey(new Date()), amounts);
+}
+
+function addDayUsage(totals, isToday, usage) {
+    addUsage(totals.monthly, usage);
+    if (isToday) addUsage(totals.daily, usage);
+}
+
+// Today's and this month's usage for a user as recorded in memory
+function inMemoryTotals(userId, now) {
+    const today = dayKey(now);
+    const totals = { daily: emptyUsage(), monthly: emptyUsage() };
+    for (const day of monthDays(now)) {
+        const usage = inMemoryUsage.get(usageDocId(userId, day));
+        if (usage) addDayUsage(totals, day === today, usage);
+    }
+    return totals;
+}
+
+function monthDocRefs(firestore, userId, now) {
+    return monthDays(now).map(day => firestore.collection(USAGE_COLLECTION).doc(usageDocId(userId, day)));
+}
+
+// Today's and this month's usage for a user
+async function getUsageTotals(userId, now = new Date()) {
+    const totals = inMemoryTotals(userId, now);
+
+    const firestore = getFirestore();
+    if (firestore) {
+        try {
+            const docs = await firestore.getAll(...monthDocRefs(firestore, userId, now));
+            docs.filter(doc => doc.exists).forEach(doc => addDayUsage(totals, doc.data().day === dayKey(now), doc.data()));
+        } catch (firestoreError) {
+            console.error(`❌ Firestore usage read failed for user ${userId}:`, firestoreError.message);
+        }
+    }
+
+    return totals;
+}
+
+// Quota metrics are the counters plus "tokens" (input and output combined)
+function quotaUsage(usage) {
+    return {
+        tokens: usage.inputTokens + usage.outputTokens,
+        generations: usage.generations,
+        sandboxes: usage.sandboxes,
+        sandboxMinutes: usage.sandboxMinutes
+    };
+}
+
+// Throw if "requested" would take totals over a daily (429) or monthly (402)
+// quota of the plan
+function checkQuota(plan, totals, requested, now) {
+    const resets = periodResets(now);
+
+    for (const period of ['daily', 'monthly']) {
+        const used = quotaUsage(totals[period]);
+        const limits = plan.quotas[period];
+
+        for (const [metric, amount] of Object.entries(requested)) {
+            const limit = limits[metric];
+            if (limit === null || limit === undefined || used[metric] + amount <= limit) {
+                continue;
+            }
+
+            const periodName = period === 'daily' ? 'Daily' : 'Monthly';
+            const error = new Error(`${periodName} ${QUOTA_LABELS[metric]} quota reached (${used[metric]} of ${limit} used). It resets at ${resets[period]}.`);
+            error.status = period === 'daily' ? 429 : 402;
+            error.quota = { period, metric, limit, used: used[metric], resetsAt: resets[period] };
+            throw error;
+        }
+    }
+}
+
+// Throw if the request would take the user over a daily (429) or monthly (402)
+// quota. "requested" maps quota metrics to the amount the request needs, e.g.
+// { generations: 1, tokens: 1 } to require at least one token left.
+async function enforceQuota(userId, planName, requested) {
+    const now = new Date();
+    checkQuota(getPlan(planName), await getUsageTotals(userId, now), requested, now);
+}
+
+// Check the quotas and charge amounts (keyed by COUNTERS) in one step: a
+// Firestore transaction, or without Firestore a check and update with nothing
+// in between. Throws like enforceQuota. Returns a function that refunds the
+// charge, for when the resources could not be used after all.
+async function reserveUsage(userId, planName, amounts) {
+    const now = new Date();
+    const day = dayKey(now);
+    const plan = getPlan(planName);
+    // Only what is charged is checked
+    const requested = Object.fromEntries(Object.entries(quotaUsage(addUsage(emptyUsage(), amounts))).filter(([, amount]) => amount > 0));
+    const refund = () => addToLedger(userId, day, Object.fromEntries(Object.entries(amounts).map(([counter, amount]) => [counter, -amount])));
+
+    const firestore = getFirestore();
+    if (firestore) {
+        try {
+            await firestore.runTransaction(async transaction => {
+                const docs = await transaction.getAll(...monthDocRefs(firestore, userId, now));
+                const totals = inMemoryTotals(userId, now);
+                docs.filter(doc => doc.exists).forEach(doc => addDayUsage(totals, doc.data().day === day, doc.data()));
+                checkQuota(plan, totals, requested, now);
+                transaction.set(firestore.collection(USAGE_COLLECTION).doc(usageDocId(userId, day)), incrementUpdate(userId, day, amounts), { merge: true });
+            });
+            return refund;
+        } catch (error) {
+            if (error.quota) throw error;
+            console.error(`❌ Firestore usage reservation failed for user ${userId}, reserving in memory:`, error.message);
+        }
+    }
+
+    checkQuota(plan, inMemoryTotals(userId, now), requested, now);
+    addInMemory(usageDocId(userId, day), amounts, now);
+    return refund;
+}
+
+// Usage and limits for the dashboard
+async function getUsageSummary(userId, planName) {
+    const now = new Date();
+    const plan = getPlan(planName);
+    const totals = await getUsageTotals(userId, now);
+    const resets = periodResets(now);
+
+    const describe = (period) => ({
+        usage: { ...totals[period], ...quotaUsage(totals[period]) },
+        limits: plan.quotas[period],
+        resetsAt: resets[period]
+    });
+
+    return {
+        plan: planName,
+        daily: describe('daily'),
+        monthly: describe('monthly')
+    };
+}
+
+module.exports = {
+    SANDBOX_TIMEOUT_MS,
+    SANDBOX_MINUTES,
+    recordUsage,
+    enforceQuota,
+    reserveUsage,
+    getUsageSummary
+};
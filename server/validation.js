@@ -0,0 +1,262 @@
+const path = require('path');
+const { builtinModules } = require('module');
+const esbuild = require('esbuild');
+
+// Static checks run on generated projects before they are deployed and saved.
+// Every problem is a diagnostic:
+//
+//   { file, line, column, severity: 'error' | 'warning', rule, message }
+//
+// file/line/column are null when a problem is not tied to a location. Errors
+// block a deploy (or are fed back to the model); warnings are only reported.
+
+const APP_PORT = 3000;
+const SCRIPT_LOADERS = {
+    '.js': 'js',
+    '.cjs': 'js',
+    '.mjs': 'js',
+    '.jsx': 'jsx',
+    '.ts': 'ts',
+    '.tsx': 'tsx'
+};
+// Files under these directories are served to the browser, not run by Node
+const BROWSER_DIRECTORIES = ['public', 'assets', 'static'];
+// Used by the sandbox deploy when a project has no package.json
+const DEFAULT_DEPENDENCIES = { express: '^4.18.2' };
+
+const IMPORT_PATTERNS = [
+    /\brequire\(\s*["']([^"']+)["']\s*\)/g,
+    /\bimport\s*\(\s*["']([^"']+)["']\s*\)/g,
+    /\b(?:import|export)\s[^;]*?\bfrom\s*["']([^"']+)["']/g,
+    /\bimport\s*["']([^"']+)["']/g
+];
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const OPTIONAL_END_TAGS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'rt', 'rp']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const HTML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+
+function diagnostic(file, severity, rule, message, location = {}) {
+    return {
+        file,
+        line: location.line || null,
+        column: location.column || null,
+        severity,
+        rule,
+        message
+    };
+}
+
+function locationAt(content, index) {
+    const before = content.slice(0, index);
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function isBrowserFile(filePath) {
+    return filePath.split('/').some(segment => BROWSER_DIRECTORIES.includes(segment));
+}
+
+// Parse a script with esbuild. Returns the code with comments and type-only
+// imports removed (for the dependency scan), or the syntax errors.
+function transformScript(filePath, content) {
+    const loader = SCRIPT_LOADERS[path.extname(filePath).toLowerCase()];
+    try {
+        const result = esbuild.transformSync(content, {
+            loader,
+            sourcefile: filePath,
+            logLevel: 'silent',
+            tsconfigRaw: { compilerOptions: { verbatimModuleSyntax: true } }
+        });
+        return { code: result.code, diagnostics: [] };
+    } catch (error) {
+        const diagnostics = (error.errors || [{ text: error.message }]).map(({ text, location }) => diagnostic(
+            filePath,
+            'error',
+            'syntax',
+            `Syntax error: ${text}`,
+            location ? { line: location.line, column: location.column + 1 } : {}
+        ));
+        return { code: null, diagnostics };
+    }
+}
+
+function checkJson(filePath, content) {
+    try {
+        return { value: JSON.parse(content), diagnostics: [] };
+    } catch (error) {
+        const position = /position (\d+)/.exec(error.message);
+        const location = position ? locationAt(content, parseInt(position[1], 10)) : {};
+        return { value: null, diagnostics: [diagnostic(filePath, 'error', 'json', `Invalid JSON: ${error.message}`, location)] };
+    }
+}
+
+// Tag balance check. Browsers recover from most mistakes, but a mismatched or
+// unclosed element almost always means truncated or broken markup.
+function checkHtml(filePath, content) {
+    const diagnostics = [];
+    const openElements = [];
+    const pattern = new RegExp(HTML_TOKEN_PATTERN.source, 'g');
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+        const [token, closing, rawName, , selfClosing] = match;
+        if (!rawName) continue; // comment or doctype
+
+        const name = rawName.toLowerCase();
+        const location = locationAt(content, match.index);
+
+        if (closing) {
+            const openIndex = openElements.map(element => element.name).lastIndexOf(name);
+            if (openIndex === -1) {
+                diagnostics.push(diagnostic(filePath, 'error', 'html', `Unexpected closing tag </${name}>`, location));
+                continue;
+            }
+            openElements.splice(openIndex).slice(1)
+                .filter(element => !OPTIONAL_END_TAGS.has(element.name))
+                .forEach(element => diagnostics.push(diagnostic(filePath, 'error', 'html', `<${element.name}> is not closed before </${name}>`, element.location)));
+            continue;
+        }
+
+        if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const end = content.toLowerCase().indexOf(`</${name}`, match.index + token.length);
+            if (end === -1) {
+                diagnostics.push(diagnostic(filePath, 'error', 'html', `<${name}> is never closed`, location));
+                break;
+            }
+            const endOfClosingTag = content.indexOf('>', end);
+            pattern.lastIndex = endOfClosingTag === -1 ? content.length : endOfClosingTag + 1;
+            continue;
+        }
+
+        openElements.push({ name, location });
+    }
+
+    openElements
+        .filter(element => !OPTIONAL_END_TAGS.has(element.name))
+        .forEach(element => diagnostics.push(diagnostic(filePath, 'error', 'html', `<${element.name}> is never closed`, element.location)));
+
+    return diagnostics;
+}
+
+// Bare module specifiers (packages) a script imports, as package names
+function importedPackages(code) {
+    const packages = new Set();
+    for (const pattern of IMPORT_PATTERNS) {
+        for (const match of code.matchAll(pattern)) {
+            const specifier = match[1];
+            if (specifier.startsWith('.') || specifier.startsWith('/') || /^[a-z][\w+.-]*:/i.test(specifier)) {
+                continue; // relative, absolute, node: builtins and URLs
+            }
+            const segments = specifier.split('/');
+            const packageName = specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+            if (!builtinModules.includes(packageName)) {
+                packages.add(packageName);
+            }
+        }
+    }
+    return packages;
+}
+
+// The package.json closest to a file (walking up to the project root)
+function nearestPackageJson(filePath, files) {
+    let directory = path.posix.dirname(filePath);
+    while (true) {
+        const candidate = directory === '.' ? 'package.json' : `${directory}/package.json`;
+        if (files[candidate] !== undefined) return candidate;
+        if (directory === '.') return null;
+        directory = path.posix.dirname(directory);
+    }
+}
+
+function declaredDependencies(manifest) {
+    return new Set([
+        ...Object.keys(manifest.dependencies || {}),
+        ...Object.keys(manifest.devDependencies || {}),
+        ...Object.keys(manifest.peerDependencies || {}),
+        ...Object.keys(manifest.optionalDependencies || {})
+    ]);
+}
+
+// Validate a complete set of project files (keyed by path). Returns diagnostics.
+function validateProjectSource(files, { port = APP_PORT } = {}) {
+    const diagnostics = [];
+    const manifests = {};
+    const serverScripts = {};
+
+    // JSON first so dependency checks can use the parsed package.json files
+    for (const [filePath, content] of Object.entries(files)) {
+        if (path.extname(filePath).toLowerCase() !== '.json') continue;
+        const { value, diagnostics: jsonDiagnostics } = checkJson(filePath, content);
+        diagnostics.push(...jsonDiagnostics);
+        if (path.posix.basename(filePath) === 'package.json' && value) {
+            manifests[filePath] = value;
+        }
+    }
+
+    if (files['package.json'] === undefined) {
+        diagnostics.push(diagnostic('package.json', 'warning', 'package-json', 'package.json is missing; a default one with only express will be used'));
+    }
+
+    for (const [filePath, content] of Object.entries(files)) {
+        const extension = path.extname(filePath).toLowerCase();
+
+        if (extension === '.html' || extension === '.htm') {
+            diagnostics.push(...checkHtml(filePath, content));
+            continue;
+        }
+
+        if (!SCRIPT_LOADERS[extension]) continue;
+
+        const { code, diagnostics: syntaxDiagnostics } = transformScript(filePath, content);
+        diagnostics.push(...syntaxDiagnostics);
+        if (isBrowserFile(filePath)) continue;
+        serverScripts[filePath] = content;
+        if (code === null) continue;
+
+        // Every package a server-side script imports must be declared
+        const manifestPath = nearestPackageJson(filePath, files);
+        if (manifestPath && !manifests[manifestPath]) continue; // invalid JSON, already reported
+        const declared = manifestPath ? declaredDependencies(manifests[manifestPath]) : new Set(Object.keys(DEFAULT_DEPENDENCIES));
+
+        for (const packageName of importedPackages(code)) {
+            if (declared.has(packageName)) continue;
+            const index = Math.max(content.indexOf(`'${packageName}`), content.indexOf(`"${packageName}`));
+            diagnostics.push(diagnostic(
+                filePath,
+                'error',
+                'dependency',
+                `"${packageName}" is imported but not declared in ${manifestPath || 'package.json'}`,
+                index === -1 ? {} : locationAt(content, index)
+            ));
+        }
+    }
+
+    // The sandbox starts the app with "node server.js" and previews the port
+    if (files['server.js'] === undefined) {
+        diagnostics.push(diagnostic('server.js', 'error', 'entry-point', 'server.js is missing; the app is started with "node server.js"'));
+    } else {
+        const listeners = Object.entries(serverScripts).filter(([, content]) => /\.listen\s*\(/.test(content));
+        if (listeners.length === 0) {
+            diagnostics.push(diagnostic('server.js', 'error', 'entry-point', `The app never calls listen(); server.js must start a server on port ${port}`));
+        } else if (!listeners.some(([, content]) => new RegExp(`\\b${port}\\b`).test(content))) {
+            diagnostics.push(diagnostic(listeners[0][0], 'error', 'entry-point', `The server must listen on port ${port} (e.g. process.env.PORT || ${port})`));
+        }
+    }
+
+    return diagnostics;
+}
+
+function formatDiagnostic({ file, line, column, message }) {
+    if (!file) return message;
+    const location = line ? `${file}:${line}${column ? `:${column}` : ''}` : file;
+    return `${location}: ${message}`;
+}
+
+module.exports = {
+    APP_PORT,
+    validateProjectSource,
+    formatDiagnostic
+};
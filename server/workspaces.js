@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+
+// Workspaces own projects, share links and Shopify CLI apps. Every user has a
+// personal workspace whose ID is their user ID; it is never stored and its
+// projects stay at users/<uid>/. Team workspaces have "ws_" IDs, keep their
+// projects at workspaces/<id>/ and list their members with a role in
+// workspaces/<id>/workspace.json. Each member also has an entry at
+// users/<uid>/workspaces/<id>.json so their workspaces can be listed.
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+// view: read projects and jobs; edit: generate, change and delete projects and
+// share links; manage: rename the workspace and manage its members
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'edit', 'manage'],
+    editor: ['view', 'edit'],
+    viewer: ['view']
+};
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+
+function workspaceError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isTeamWorkspaceId(workspaceId) {
+    return /^ws_[0-9a-f]{12}$/.test(workspaceId);
+}
+
+// Storage prefix (without a trailing slash) of everything a workspace owns
+function workspaceRoot(workspaceId) {
+    return isTeamWorkspaceId(workspaceId) ? `workspaces/${workspaceId}` : `users/${workspaceId}`;
+}
+
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Validate a workspace name; returns { name } or { error }
+function parseWorkspaceName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'name must be a non-empty string' };
+    }
+    if (name.trim().length > MAX_WORKSPACE_NAME_LENGTH) {
+        return { error: `name must be at most ${MAX_WORKSPACE_NAME_LENGTH} characters` };
+    }
+    return { name: name.trim() };
+}
+
+function personalWorkspace(user) {
+    return { id: user.uid, name: 'Personal', personal: true, role: 'owner' };
+}
+
+// A workspace as one of its members sees it
+function summarizeWorkspace(workspace, userId) {
+    return {
+        id: workspace.id,
+        name: workspace.name,
+        personal: false,
+        role: workspace.members[userId].role,
+        memberCount: Object.keys(workspace.members).length,
+        createdAt: workspace.createdAt
+    };
+}
+
+function createWorkspaceStore({ storage }) {
+    // Per-workspace queue so membership changes don't overwrite each other
+    const locks = new Map();
+
+    function workspacePath(workspaceId) {
+        return `${workspaceRoot(workspaceId)}/workspace.json`;
+    }
+
+    function membershipPath(userId, workspaceId) {
+        return `users/${userId}/workspaces/${workspaceId}.json`;
+    }
+
+    async function read(workspaceId) {
+        if (!isTeamWorkspaceId(workspaceId)) return null;
+        const content = await storage.readFile(workspacePath(workspaceId));
+        return content ? JSON.parse(content.toString()) : null;
+    }
+
+    async function write(workspace) {
+        await storage.writeFile(workspacePath(workspace.id), JSON.stringify(workspace, null, 2), { contentType: 'application/json' });
+    }
+
+    // Read, change and write a workspace with no other change in between
+    async function update(workspaceId, change) {
+        const previous = locks.get(workspaceId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const workspace = await read(workspaceId);
+            if (!workspace) {
+                throw workspaceError(404, 'The workspace does not exist');
+            }
+            const result = await change(workspace);
+            await write(workspace);
+            return result;
+        });
+        locks.set(workspaceId, next);
+        try {
+            return await next;
+        } finally {
+            if (locks.get(workspaceId) === next) locks.delete(workspaceId);
+        }
+    }
+
+    function ownerCount(workspace) {
+        return Object.values(workspace.members).filter(member => member.role === 'owner').length;
+    }
+
+    return {
+        async create(user, name) {
+            const workspace = {
+                id: `ws_${crypto.randomBytes(6).toString('hex')}`,
+                name,
+                createdAt: new Date().toISOString(),
+                createdBy: user.uid,
+                members: {
+                    [user.uid]: { role: 'owner', email: user.email || null, addedAt: new Date().toISOString() }
+                }
+            };
+            await storage.writeFile(workspacePath(workspace.id), JSON.stringify(workspace, null, 2), {
+                contentType: 'application/json',
+                ifNotExists: true
+            });
+            await storage.writeFile(membershipPath(user.uid, workspace.id), JSON.stringify({ workspaceId: workspace.id }), { contentType: 'application/json' });
+            console.log(`👥 Workspace ${workspace.id} created by user ${user.uid}`);
+            return workspace;
+        },
+
+        get: read,
+
+        // The personal workspace first, then team workspaces by name
+        async listForUser(user) {
+            const keys = await storage.listFiles(`users/${user.uid}/workspaces/`);
+            const workspaces = await Promise.all(keys.map(key => read(key.slice(key.lastIndexOf('/') + 1, -'.json'.length))));
+            const teams = workspaces
+                .filter(workspace => workspace && workspace.members[user.uid])
+                .map(workspace => summarizeWorkspace(workspace, user.uid))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            return [personalWorkspace(user), ...teams];
+        },
+
+        // { id, name, personal, role } of a workspace the user belongs to, or null
+        async getMembership(user, workspaceId) {
+            if (workspaceId === user.uid) {
+                return personalWorkspace(user);
+            }
+            const workspace = await read(workspaceId);
+            if (!workspace || !workspace.members[user.uid]) {
+                return null;
+            }
+            return { id: workspace.id, name: workspace.name, personal: false, role: workspace.members[user.uid].role };
+        },
+
+        async rename(workspaceId, name) {
+            return update(workspaceId, workspace => {
+                workspace.name = name;
+                return workspace;
+            });
+        },
+
+        // Add a member or change their role. A workspace always keeps an owner.
+        async setMember(workspaceId, userId, { role, email }) {
+            return update(workspaceId, async workspace => {
+                const existing = workspace.members[userId];
+                if (existing && existing.role === 'owner' && role !== 'owner' && ownerCount(workspace) === 1) {
+                    throw workspaceError(409, 'A workspace needs at least one owner; make someone else an owner first');
+                }
+                workspace.members[userId] = {
+                    role,
+                    email: email || (existing && existing.email) || null,
+                    addedAt: existing ? existing.addedAt : new Date().toISOString()
+                };
+                if (!existing) {
+                    await storage.writeFile(membershipPath(userId, workspaceId), JSON.stringify({ workspaceId }), { contentType: 'application/json' });
+                }
+                return workspace;
+            });
+        },
+
+        // Remove a member; returns false if they weren't one
+        async removeMember(workspaceId, userId) {
+            return update(workspaceId, async workspace => {
+                const member = workspace.members[userId];
+                if (!member) {
+                    return false;
+                }
+                if (member.role === 'owner' && ownerCount(workspace) === 1) {
+                    throw workspaceError(409, 'A workspace needs at least one owner; make someone else an owner first');
+                }
+                delete workspace.members[userId];
+                await storage.deleteFile(membershipPath(userId, workspaceId));
+                return true;
+            });
+        },
+
+        async remove(workspace) {
+            for (const userId of Object.keys(workspace.members)) {
+                await storage.deleteFile(membershipPath(userId, workspace.id));
+            }
+            await storage.deletePrefix(`${workspaceRoot(workspace.id)}/`);
+            console.log(`👥 Workspace ${workspace.id} deleted`);
+        }
+    };
+}
+
+// Route guard: requireWorkspace(permission) is middleware that resolves the
+// workspace a request acts in and checks that the user's role in it allows
+// permission ('view', 'edit' or 'manage'). The workspace comes from the
+// :workspaceId route parameter or the X-Workspace-Id header and defaults to the
+// user's personal workspace; routes keep their storage under req.workspace.id.
+// getStore returns the workspace store (see createWorkspaceStore).
+function createWorkspaceGuard(getStore) {
+    return function requireWorkspace(permission) {
+        return async (req, res, next) => {
+            try {
+                const workspaceId = req.params.workspaceId || req.get('X-Workspace-Id') || req.user.uid;
+                const membership = await getStore().getMembership(req.user, workspaceId);
+
+                if (!membership) {
+                    return res.status(404).json({
+                        error: 'Workspace not found',
+                        message: 'The workspace does not exist or you are not a member of it'
+                    });
+                }
+
+                if (!hasPermission(membership.role, permission)) {
+                    return res.status(403).json({
+                        error: 'Access denied',
+                        message: `Your role in ${membership.name} (${membership.role}) does not allow this`
+                    });
+                }
+
+                req.workspace = membership;
+                next();
+            } catch (error) {
+                console.error('Error resolving workspace:', error);
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: 'Failed to check workspace access'
+                });
+            }
+        };
+    };
+}
+
+module.exports = {
+    WORKSPACE_ROLES,
+    isTeamWorkspaceId,
+    workspaceRoot,
+    hasPermission,
+    parseWorkspaceName,
+    createWorkspaceStore,
+    createWorkspaceGuard
+};
@@ -0,0 +1,212 @@
+const zlib = require('zlib');
+
+// Minimal zip archive support for project exports and imports. The writer
+// deflates entries one at a time and writes them straight to the output stream,
+// followed by the central directory when the archive is finished. The reader
+// lists the entries of an uploaded archive without extracting them. No zip64,
+// so an archive is limited to 65535 entries and 4 GB, far more than a project
+// needs.
+
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by zip headers
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// General purpose flag 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+const VERSION = 20;
+
+function createZipWriter(output, { modified = new Date() } = {}) {
+    const entries = [];
+    const { time, date } = dosDateTime(modified);
+    let offset = 0;
+
+    async function write(buffer) {
+        offset += buffer.length;
+        if (!output.write(buffer)) {
+            await new Promise(resolve => output.once('drain', resolve));
+        }
+    }
+
+    return {
+        async addFile(name, content) {
+            if (entries.length >= 0xffff) {
+                throw new Error('Too many files for a zip archive');
+            }
+
+            const nameBuffer = Buffer.from(name);
+            const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+            const compressed = zlib.deflateRawSync(data);
+            const entry = { nameBuffer, crc: crc32(data), size: data.length, compressedSize: compressed.length, offset };
+
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(VERSION, 4);
+            header.writeUInt16LE(UTF8_FLAG, 6);
+            header.writeUInt16LE(DEFLATE, 8);
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(date, 12);
+            header.writeUInt32LE(entry.crc, 14);
+            header.writeUInt32LE(entry.compressedSize, 18);
+            header.writeUInt32LE(entry.size, 22);
+            header.writeUInt16LE(nameBuffer.length, 26);
+            header.writeUInt16LE(0, 28);
+
+            entries.push(entry);
+            await write(header);
+            await write(nameBuffer);
+            await write(compressed);
+        },
+
+        // Write the central directory and end the output stream
+        async finish() {
+            const directoryOffset = offset;
+            for (const entry of entries) {
+                const record = Buffer.alloc(46);
+                record.writeUInt32LE(0x02014b50, 0);
+                record.writeUInt16LE(VERSION, 4);
+                record.writeUInt16LE(VERSION, 6);
+                record.writeUInt16LE(UTF8_FLAG, 8);
+                record.writeUInt16LE(DEFLATE, 10);
+                record.writeUInt16LE(time, 12);
+                record.writeUInt16LE(date, 14);
+                record.writeUInt32LE(entry.crc, 16);
+                record.writeUInt32LE(entry.compressedSize, 20);
+                record.writeUInt32LE(entry.size, 24);
+                record.writeUInt16LE(entry.nameBuffer.length, 28);
+                // Extra field, comment, disk number, internal and external attributes are all 0
+                record.writeUInt32LE(entry.offset, 42);
+                await write(record);
+                await write(entry.nameBuffer);
+            }
+
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(entries.length, 8);
+            end.writeUInt16LE(entries.length, 10);
+            end.writeUInt32LE(offset - directoryOffset, 12);
+            end.writeUInt32LE(directoryOffset, 16);
+            await write(end);
+
+            output.end();
+        }
+    };
+}
+
+function invalidZip(message) {
+    const error = new Error(`Invalid zip archive: ${message}`);
+    error.status = 400;
+    return error;
+}
+
+// Offset of the end of central directory record, which sits in the last 22
+// bytes plus up to 64 KB of archive comment
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) return offset;
+    }
+    return -1;
+}
+
+// List the entries of a zip archive held in a buffer. Each entry is
+// { path, size, isDirectory, isFile, read() }; read() inflates the entry and never
+// returns more than its declared size, so a forged header can't be used to
+// inflate more data than was checked against the import limits.
+function readZipEntries(buffer) {
+    const endOffset = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+    if (endOffset === -1) {
+        throw invalidZip('end of central directory not found');
+    }
+
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = [];
+
+    for (let index = 0; index < count; index++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw invalidZip('corrupt central directory');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        // The central directory has the real CRC and sizes even when the local
+        // header defers them to a data descriptor
+        const crc = buffer.readUInt32LE(offset + 16);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const headerOffset = buffer.readUInt32LE(offset + 42);
+        const entryPath = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 1) {
+            throw invalidZip(`${entryPath} is encrypted`);
+        }
+        if (compressedSize === 0xffffffff || size === 0xffffffff || headerOffset === 0xffffffff) {
+            throw invalidZip('zip64 archives are not supported');
+        }
+
+        entries.push({
+            path: entryPath,
+            size,
+            isDirectory: entryPath.endsWith('/'),
+            isFile: !entryPath.endsWith('/'),
+            read() {
+                if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== 0x04034b50) {
+                    throw invalidZip(`corrupt local header for ${entryPath}`);
+                }
+                const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+                const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+                let content;
+                if (method === 0) {
+                    content = data;
+                } else if (method === DEFLATE) {
+                    try {
+                        content = size === 0 ? Buffer.alloc(0) : zlib.inflateRawSync(data, { maxOutputLength: size });
+                    } catch (error) {
+                        throw invalidZip(`${entryPath} could not be decompressed (${error.message})`);
+                    }
+                } else {
+                    throw invalidZip(`${entryPath} uses unsupported compression method ${method}`);
+                }
+
+                if (content.length !== size || crc32(content) !== crc) {
+                    throw invalidZip(`${entryPath} is corrupt`);
+                }
+                return content;
+            }
+        });
+    }
+
+    return entries;
+}
+
+module.exports = {
+    createZipWriter,
+    readZipEntries
+};
@@ -0,0 +1,165 @@
+// Read-only view of a shared project. No sign-in: the token in the link is
+// the only credential, so nothing from Firebase is loaded here.
+
+// API configuration
+const API_BASE_URL = 'http://localhost:3001/api';
+
+const sharedProjectName = document.getElementById('sharedProjectName');
+const sharedProjectMeta = document.getElementById('sharedProjectMeta');
+const sharedState = document.getElementById('sharedState');
+const sharedProject = document.getElementById('sharedProject');
+const sharedPrompt = document.getElementById('sharedPrompt');
+const sharedDescription = document.getElementById('sharedDescription');
+const sharedFileList = document.getElementById('sharedFileList');
+const sharedFileContent = document.getElementById('sharedFileContent');
+const startPreviewButton = document.getElementById('startPreviewButton');
+const sharedPreview = document.getElementById('sharedPreview');
+const sharedPreviewStatus = document.getElementById('sharedPreviewStatus');
+const sharedPreviewFrame = document.getElementById('sharedPreviewFrame');
+
+const shareToken = new URLSearchParams(window.location.search).get('token') || '';
+
+function showSharedError(message) {
+    sharedState.style.display = 'block';
+    sharedState.innerHTML = '';
+    
+    const errorState = document.createElement('div');
+    errorState.className = 'error-state';
+    const heading = document.createElement('h3');
+    heading.textContent = 'This link cannot be opened';
+    const text = document.createElement('p');
+    text.textContent = message;
+    errorState.append(heading, text);
+    sharedState.appendChild(errorState);
+}
+
+async function fetchShareApi(path = '', options = {}) {
+    const response = await fetch(`${API_BASE_URL}/shared/${encodeURIComponent(shareToken)}${path}`, options);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.message || 'Request failed');
+    }
+    return result;
+}
+
+// Binary assets arrive as { encoding: 'base64', contentType, size, data };
+// images are shown, other assets (fonts) only described
+function showFile(filePath, files) {
+    const content = files[filePath];
+    sharedFileContent.innerHTML = '';
+    if (typeof content === 'string') {
+        sharedFileContent.textContent = content;
+    } else if (content.contentType.startsWith('image/')) {
+        const image = document.createElement('img');
+        image.className = 'shared-asset-image';
+        image.src = `data:${content.contentType};base64,${content.data}`;
+        image.alt = filePath;
+        sharedFileContent.appendChild(image);
+    } else {
+        sharedFileContent.textContent = `Binary file (${content.contentType}, ${content.size} bytes)`;
+    }
+    sharedFileList.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('active', button.dataset.path === filePath);
+    });
+}
+
+function displayFiles(files) {
+    const paths = Object.keys(files).sort();
+    sharedFileList.innerHTML = '';
+    
+    paths.forEach(filePath => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.dataset.path = filePath;
+        button.textContent = filePath;
+        button.title = filePath;
+        button.addEventListener('click', () => showFile(filePath, files));
+        item.appendChild(button);
+        sharedFileList.appendChild(item);
+    });
+    
+    if (paths.length > 0) {
+        // Open the entry point first when there is one
+        showFile(paths.includes('server.js') ? 'server.js' : paths[0], files);
+    } else {
+        sharedFileContent.textContent = 'This project has no files yet.';
+    }
+}
+
+function displayPreview(preview) {
+    sharedPreview.style.display = 'block';
+    sharedPreviewStatus.innerHTML = '';
+    
+    if (!preview.previewUrl) {
+        sharedPreviewFrame.style.display = 'none';
+        sharedPreviewStatus.textContent = `⚠️ ${preview.error || 'The app did not start'}`;
+        return;
+    }
+    
+    const link = document.createElement('a');
+    link.href = preview.previewUrl;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = 'Open in new tab';
+    sharedPreviewStatus.appendChild(link);
+    
+    sharedPreviewFrame.src = preview.previewUrl;
+    sharedPreviewFrame.style.display = 'block';
+}
+
+// Previews take a while: a sandbox is started and the app installed in it
+async function startPreview() {
+    startPreviewButton.disabled = true;
+    sharedPreview.style.display = 'block';
+    sharedPreviewFrame.style.display = 'none';
+    sharedPreviewStatus.textContent = 'Starting the app...';
+    
+    try {
+        const result = await fetchShareApi('/preview', { method: 'POST' });
+        displayPreview(result.preview);
+    } catch (error) {
+        console.error('Error starting preview:', error);
+        sharedPreviewStatus.textContent = `⚠️ ${error.message}`;
+    } finally {
+        startPreviewButton.disabled = false;
+    }
+}
+
+async function loadSharedProject() {
+    if (!shareToken) {
+        showSharedError('The link is missing its token. Ask the owner for the full link.');
+        return;
+    }
+    
+    try {
+        const { project, preview, expiresAt } = await fetchShareApi();
+        
+        document.title = `${project.name} - Shopify AI App Builder`;
+        sharedProjectName.textContent = project.name;
+        const updated = new Date(project.updatedAt || project.createdAt).toLocaleString();
+        sharedProjectMeta.textContent = [
+            project.currentVersion ? `Version ${project.currentVersion}` : null,
+            `Updated ${updated}`,
+            expiresAt ? `Link expires ${new Date(expiresAt).toLocaleString()}` : null
+        ].filter(Boolean).join(' · ');
+        
+        sharedPrompt.textContent = project.prompt || '';
+        sharedDescription.textContent = project.description || '';
+        displayFiles(project.files || {});
+        
+        sharedState.style.display = 'none';
+        sharedProject.style.display = 'block';
+        startPreviewButton.style.display = Object.keys(project.files || {}).length > 0 ? 'inline-flex' : 'none';
+        
+        if (preview) {
+            displayPreview(preview);
+        }
+    } catch (error) {
+        console.error('Error loading shared project:', error);
+        showSharedError(error.message);
+    }
+}
+
+startPreviewButton.addEventListener('click', startPreview);
+
+loadSharedProject();
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getContentType, isBinaryAsset, isAssetPath, binaryAssetsSize, encodeFiles, decodeFiles, toSandboxContent } = require('../server/assets');
+
+test('content types come from the extension', () => {
+    assert.equal(getContentType('server.js'), 'application/javascript');
+    assert.equal(getContentType('public/Logo.PNG'), 'image/png');
+    assert.equal(getContentType('fonts/brand.woff2'), 'font/woff2');
+    assert.equal(getContentType('blocks/banner.liquid'), 'text/x-liquid');
+    assert.equal(getContentType('Procfile'), 'text/plain');
+    assert.equal(getContentType('.env.example'), 'text/plain');
+});
+
+test('images, fonts and icons are binary assets; SVG is text', () => {
+    assert.equal(isBinaryAsset('public/logo.png'), true);
+    assert.equal(isBinaryAsset('public/favicon.ico'), true);
+    assert.equal(isBinaryAsset('public/logo.svg'), false);
+    assert.equal(isBinaryAsset('png'), false);
+    assert.equal(isAssetPath('public/logo.svg'), true);
+    assert.equal(isAssetPath('server.js'), false);
+});
+
+test('binaryAssetsSize adds up the Buffers only', () => {
+    assert.equal(binaryAssetsSize({ 'a.png': Buffer.alloc(10), 'b.woff': Buffer.alloc(5), 'server.js': 'x'.repeat(100) }), 15);
+});
+
+test('encodeFiles and decodeFiles round-trip binary assets through JSON', () => {
+    const files = { 'server.js': 'console.log(1);', 'public/logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]) };
+    const encoded = JSON.parse(JSON.stringify(encodeFiles(files)));
+
+    assert.equal(encoded['server.js'], 'console.log(1);');
+    assert.deepEqual(encoded['public/logo.png'], { encoding: 'base64', contentType: 'image/png', size: 6, data: 'iVBORwD/' });
+
+    const decoded = decodeFiles(encoded);
+    assert.equal(decoded['server.js'], files['server.js']);
+    assert.ok(decoded['public/logo.png'].equals(files['public/logo.png']));
+});
+
+test('toSandboxContent passes exactly the Buffer bytes as an ArrayBuffer', () => {
+    // Small Buffers share a larger pooled ArrayBuffer
+    const content = Buffer.from('abc');
+    const converted = toSandboxContent(content);
+    assert.ok(converted instanceof ArrayBuffer);
+    assert.deepEqual([...new Uint8Array(converted)], [0x61, 0x62, 0x63]);
+    assert.equal(toSandboxContent('text'), 'text');
+});
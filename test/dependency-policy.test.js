@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_POLICY, checkDependencyPolicy, enforceDependencyPolicy } = require('../server/dependency-policy');
+
+function packageJson(manifest) {
+    return { 'package.json': JSON.stringify(manifest, null, 2) };
+}
+
+function problems(dependencies, policy = DEFAULT_POLICY) {
+    return checkDependencyPolicy(packageJson({ name: 'app', dependencies }), policy).map(diagnostic => diagnostic.message);
+}
+
+test('bounded registry ranges are allowed', () => {
+    assert.deepEqual(problems({
+        express: '^4.18.2',
+        cors: '~2.8.5',
+        dotenv: '16.3.1',
+        ws: '>=8.0.0 <9.0.0',
+        '@shopify/shopify-api': '^9.0.0',
+        '@prisma/client': '^5.0.0',
+        '@types/node': '^20.0.0'
+    }), []);
+});
+
+test('unbounded ranges are rejected', () => {
+    for (const range of ['*', '', 'x', 'x.x', 'X.*', '>=1.0.0', '>4']) {
+        assert.equal(problems({ express: range }).length, 1, `"${range}" should be rejected`);
+    }
+});
+
+test('every alternative of a || range must be bounded', () => {
+    assert.equal(problems({ express: '^4.18.2 || *' }).length, 1);
+    assert.equal(problems({ express: '^4.18.2 || >=5' }).length, 1);
+    assert.equal(problems({ express: '^4.18.2 ||' }).length, 1);
+    assert.deepEqual(problems({ express: '^3.0.0 || ^4.0.0' }), []);
+});
+
+test('dist-tags, aliases, git URLs and local paths are rejected', () => {
+    for (const specifier of ['latest', 'next', 'npm:lodash@^4.0.0', 'github:expressjs/express', 'expressjs/express', 'git+https://github.com/expressjs/express.git', 'https://example.com/express.tgz', 'file:../express']) {
+        assert.equal(problems({ express: specifier }).length, 1, `"${specifier}" should be rejected`);
+    }
+});
+
+test('denied packages and scopes outside the allowed ones are rejected', () => {
+    assert.match(problems({ puppeteer: '^21.0.0' })[0], /"puppeteer" is not allowed/);
+    assert.match(problems({ '@evil/pkg': '^1.0.0' })[0], /scope @evil/);
+});
+
+test('install lifecycle scripts are rejected', () => {
+    const diagnostics = checkDependencyPolicy(packageJson({ name: 'app', scripts: { start: 'node server.js', postinstall: 'node setup.js' } }));
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].rule, 'dependency-policy');
+    assert.match(diagnostics[0].message, /postinstall/);
+    assert.equal(diagnostics[0].line, 5);
+});
+
+test('package.json files in subdirectories are checked and invalid JSON is left to the validator', () => {
+    const diagnostics = checkDependencyPolicy({
+        'extensions/theme/package.json': JSON.stringify({ dependencies: { sharp: '^0.33.0' } }),
+        'broken/package.json': '{ not json'
+    });
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].file, 'extensions/theme/package.json');
+});
+
+test('a policy can allow what the default policy rejects', () => {
+    const policy = { ...DEFAULT_POLICY, allowDistTags: true, allowUnboundedRanges: true, allowGitUrls: true };
+    assert.deepEqual(problems({ a: 'latest', b: '*', c: 'github:user/repo' }, policy), []);
+});
+
+test('an allow list permits only its packages and the allowed scopes', () => {
+    const policy = { ...DEFAULT_POLICY, allowedPackages: ['express'] };
+    assert.deepEqual(problems({ express: '^4.18.2', '@shopify/polaris': '^12.0.0' }, policy), []);
+    assert.match(problems({ lodash: '^4.17.21' }, policy)[0], /not on the list of allowed packages/);
+});
+
+test('enforceDependencyPolicy throws a 422 with the violations', () => {
+    assert.doesNotThrow(() => enforceDependencyPolicy(packageJson({ dependencies: { express: '^4.18.2' } })));
+    assert.throws(() => enforceDependencyPolicy(packageJson({ dependencies: { express: '*' } })), error => {
+        assert.equal(error.status, 422);
+        assert.equal(error.policyViolations.length, 1);
+        assert.deepEqual(error.diagnostics, error.policyViolations);
+        return true;
+    });
+});
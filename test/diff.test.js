@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffFiles } = require('../server/diff');
+
+function lines(count, change = {}) {
+    return Array.from({ length: count }, (_, index) => change[index + 1] || `line ${index + 1}`).join('\n') + '\n';
+}
+
+test('every path gets a status, sorted by path', () => {
+    const diff = diffFiles(
+        { 'b.js': 'same\n', 'c.js': 'old\n', 'd.js': 'gone\n' },
+        { 'a.js': 'new\n', 'b.js': 'same\n', 'c.js': 'changed\n' }
+    );
+    assert.deepEqual(diff.map(({ path, status, additions, deletions }) => ({ path, status, additions, deletions })), [
+        { path: 'a.js', status: 'added', additions: 1, deletions: 0 },
+        { path: 'b.js', status: 'unchanged', additions: 0, deletions: 0 },
+        { path: 'c.js', status: 'modified', additions: 1, deletions: 1 },
+        { path: 'd.js', status: 'removed', additions: 0, deletions: 1 }
+    ]);
+    assert.equal(diff[0].diff, '@@ -0,0 +1,1 @@\n+new');
+    assert.equal(diff[1].diff, '');
+    assert.equal(diff[3].diff, '@@ -1,1 +0,0 @@\n-gone');
+});
+
+test('changes are shown with three lines of context', () => {
+    const [file] = diffFiles({ 'a.js': lines(10) }, { 'a.js': lines(10, { 5: 'changed' }) });
+    assert.equal(file.diff, [
+        '@@ -2,7 +2,7 @@',
+        ' line 2',
+        ' line 3',
+        ' line 4',
+        '-line 5',
+        '+changed',
+        ' line 6',
+        ' line 7',
+        ' line 8'
+    ].join('\n'));
+});
+
+test('changes far apart get separate hunks and close ones share one', () => {
+    const [apart] = diffFiles({ 'a.js': lines(30) }, { 'a.js': lines(30, { 2: 'x', 25: 'y' }) });
+    assert.deepEqual(apart.diff.split('\n').filter(line => line.startsWith('@@')), ['@@ -1,5 +1,5 @@', '@@ -22,7 +22,7 @@']);
+
+    const [close] = diffFiles({ 'a.js': lines(30) }, { 'a.js': lines(30, { 10: 'x', 15: 'y' }) });
+    assert.deepEqual(close.diff.split('\n').filter(line => line.startsWith('@@')), ['@@ -7,12 +7,12 @@']);
+});
+
+test('inserted lines are found between unchanged ones', () => {
+    const [file] = diffFiles({ 'a.js': 'a\nb\nc\n' }, { 'a.js': 'a\nb\nnew\nc\n' });
+    assert.equal(file.additions, 1);
+    assert.equal(file.deletions, 0);
+    assert.equal(file.diff, '@@ -1,3 +1,4 @@\n a\n b\n+new\n c');
+});
+
+test('binary assets are compared by content without a line diff', () => {
+    const diff = diffFiles(
+        { 'logo.png': Buffer.from([1, 2]), 'icon.png': Buffer.from([1]) },
+        { 'logo.png': Buffer.from([1, 3]), 'icon.png': Buffer.from([1]) }
+    );
+    assert.deepEqual(diff, [
+        { path: 'icon.png', status: 'unchanged', additions: 0, deletions: 0, diff: '', binary: true },
+        { path: 'logo.png', status: 'modified', additions: 0, deletions: 0, diff: '', binary: true }
+    ]);
+});
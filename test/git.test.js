@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createProjectBundle } = require('../server/git');
+
+// Bundles are built and read with the git command line
+let hasGit = true;
+try {
+    execFileSync('git', ['--version']);
+} catch (error) {
+    hasGit = false;
+}
+
+const VERSIONS = [
+    {
+        id: 'v1',
+        number: 1,
+        prompt: 'Build a loyalty app',
+        createdAt: '2024-05-01T12:00:00.000Z',
+        author: { uid: 'user_1', email: 'ann@example.com' },
+        files: { 'server.js': 'console.log(1);\n', 'public/logo.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0]) }
+    },
+    {
+        id: 'v2',
+        number: 2,
+        prompt: 'Add a points page',
+        createdAt: '2024-05-02T12:00:00.000Z',
+        author: { uid: 'user_2', email: null },
+        files: { 'server.js': 'console.log(2);\n', 'views/points.html': '<h1>Points</h1>\n' }
+    },
+    {
+        id: 'v3',
+        number: 3,
+        source: 'restore',
+        restoredFrom: 'v1',
+        createdAt: '2024-05-03T12:00:00.000Z',
+        files: { 'server.js': 'console.log(3);\n' }
+    }
+];
+
+function git(cwd, ...args) {
+    return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+test('a bundle has one tagged commit per version', { skip: !hasGit && 'git is not installed' }, async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'));
+    try {
+        fs.writeFileSync(path.join(directory, 'app.bundle'), await createProjectBundle(VERSIONS));
+        git(directory, 'clone', '--quiet', 'app.bundle', 'app');
+        const clone = path.join(directory, 'app');
+
+        // Versions saved before authors were recorded are committed by the builder
+        assert.deepEqual(git(clone, 'log', '--format=%an <%ae>|%at|%s').split('\n'), [
+            'Shopify AI App Builder <app-builder@localhost>|1714737600|Restore v1',
+            'user_2 <user_2@users.localhost>|1714651200|Add a points page',
+            'ann <ann@example.com>|1714564800|Build a loyalty app'
+        ]);
+        assert.equal(git(clone, 'log', '-1', '--format=%b', 'v2'), 'Version: v2');
+        assert.deepEqual(git(clone, 'tag').split('\n'), ['v1', 'v2', 'v3']);
+
+        // Each commit holds the whole project as it was in that version
+        assert.deepEqual(git(clone, 'ls-tree', '-r', '--name-only', 'v2').split('\n'), ['server.js', 'views/points.html']);
+        assert.deepEqual(git(clone, 'ls-tree', '-r', '--name-only', 'v3').split('\n'), ['server.js']);
+        assert.equal(fs.readFileSync(path.join(clone, 'server.js'), 'utf8'), 'console.log(3);\n');
+        git(clone, 'checkout', '--quiet', 'v1');
+        assert.ok(fs.readFileSync(path.join(clone, 'public/logo.png')).equals(VERSIONS[0].files['public/logo.png']));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('the same versions always give the same bundle', { skip: !hasGit && 'git is not installed' }, async () => {
+    const first = await createProjectBundle(VERSIONS);
+    const second = await createProjectBundle(VERSIONS);
+    assert.ok(first.equals(second));
+
+    // A later bundle extends the same history
+    const older = await createProjectBundle(VERSIONS.slice(0, 2));
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'));
+    try {
+        fs.writeFileSync(path.join(directory, 'older.bundle'), older);
+        fs.writeFileSync(path.join(directory, 'newer.bundle'), first);
+        git(directory, 'clone', '--quiet', 'older.bundle', 'app');
+        const clone = path.join(directory, 'app');
+        const olderHead = git(clone, 'rev-parse', 'HEAD');
+        git(clone, 'pull', '--quiet', '--ff-only', '../newer.bundle', 'main');
+        assert.equal(git(clone, 'rev-parse', 'HEAD~1'), olderHead);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,61 @@
+const { PassThrough } = require('stream');
+const { createZipWriter } = require('../../server/zip');
+
+// Archives built in memory for the reader and import tests
+
+// Zip archive of files keyed by path
+async function buildZip(files) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => output.on('end', resolve));
+
+    const writer = createZipWriter(output, { modified: new Date('2024-05-01T12:00:00Z') });
+    for (const [filePath, content] of Object.entries(files)) {
+        await writer.addFile(filePath, content);
+    }
+    await writer.finish();
+    await ended;
+    return Buffer.concat(chunks);
+}
+
+function tarHeader(name, size, type) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write(type, 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+
+    let checksum = 0;
+    for (let index = 0; index < 512; index++) {
+        checksum += index >= 148 && index < 156 ? 32 : header[index];
+    }
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return header;
+}
+
+function padded(content) {
+    return Buffer.concat([content, Buffer.alloc((512 - (content.length % 512)) % 512)]);
+}
+
+// Tar archive of entries { path, content, type }; type defaults to a regular
+// file ('0'), and 'L' adds a GNU long name for the next entry
+function buildTar(entries) {
+    const blocks = [];
+    for (const { path: entryPath, content = '', type = '0' } of entries) {
+        const data = Buffer.from(content);
+        blocks.push(tarHeader(entryPath, data.length, type), padded(data));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+module.exports = {
+    buildZip,
+    buildTar
+};
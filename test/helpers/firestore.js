@@ -0,0 +1,135 @@
+// In-memory stand-in for the parts of the Firestore API the project index
+// uses: documents, where/orderBy/startAfter/limit queries, count(), batches
+// and transactions. fail.writes and fail.queries make the next operations of
+// that kind throw, like an outage or a missing composite index would.
+
+function fieldValue(data, field) {
+    return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+function createFakeFirestore() {
+    const collections = new Map();
+    const fail = { writes: 0, queries: 0 };
+
+    function documents(name) {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    }
+
+    function checkWrite() {
+        if (fail.writes > 0) {
+            fail.writes--;
+            throw new Error('UNAVAILABLE: the service is currently unavailable');
+        }
+    }
+
+    function snapshot(id, data) {
+        return { id, exists: data !== undefined, data: () => (data === undefined ? undefined : structuredClone(data)) };
+    }
+
+    function docRef(collection, id) {
+        return {
+            id,
+            async get() {
+                return snapshot(id, documents(collection).get(id));
+            },
+            async set(data, { merge = false } = {}) {
+                checkWrite();
+                const existing = documents(collection).get(id);
+                documents(collection).set(id, structuredClone(merge && existing ? { ...existing, ...data } : data));
+            },
+            async delete() {
+                checkWrite();
+                documents(collection).delete(id);
+            }
+        };
+    }
+
+    function query(collection, { filters = [], orders = [], after = null, max = null } = {}) {
+        function run() {
+            if (fail.queries > 0) {
+                fail.queries--;
+                const error = new Error('FAILED_PRECONDITION: The query requires an index.');
+                error.code = 9;
+                throw error;
+            }
+
+            let results = [...documents(collection)]
+                .filter(([, data]) => filters.every(([field, op, value]) => {
+                    const actual = fieldValue(data, field);
+                    if (op === '==') return actual === value;
+                    if (op === 'in') return value.includes(actual);
+                    if (op === 'array-contains') return Array.isArray(actual) && actual.includes(value);
+                    throw new Error(`Unsupported operator ${op}`);
+                }));
+
+            results.sort(([, a], [, b]) => {
+                for (const [field, direction] of orders) {
+                    const order = compareValues(fieldValue(a, field), fieldValue(b, field));
+                    if (order !== 0) return direction === 'desc' ? -order : order;
+                }
+                return 0;
+            });
+
+            if (after) {
+                // Only documents ordered strictly after the cursor values
+                results = results.filter(([, data]) => {
+                    for (const [index, [field, direction]] of orders.entries()) {
+                        const order = compareValues(fieldValue(data, field), after[index]);
+                        if (order !== 0) return (direction === 'desc' ? -order : order) > 0;
+                    }
+                    return false;
+                });
+            }
+
+            return max === null ? results : results.slice(0, max);
+        }
+
+        return {
+            where: (field, op, value) => query(collection, { filters: [...filters, [field, op, value]], orders, after, max }),
+            orderBy: (field, direction = 'asc') => query(collection, { filters, orders: [...orders, [field, direction]], after, max }),
+            startAfter: (...values) => query(collection, { filters, orders, after: values, max }),
+            limit: count => query(collection, { filters, orders, after, max: count }),
+            async get() {
+                return { docs: run().map(([id, data]) => snapshot(id, data)) };
+            },
+            count: () => ({
+                async get() {
+                    const count = run().length;
+                    return { data: () => ({ count }) };
+                }
+            })
+        };
+    }
+
+    return {
+        fail,
+        collection: name => ({ ...query(name), doc: id => docRef(name, id) }),
+        // Documents of a collection by ID, for assertions
+        dump: name => Object.fromEntries([...documents(name)].map(([id, data]) => [id, structuredClone(data)])),
+        batch() {
+            const writes = [];
+            return {
+                set: (ref, data) => writes.push(() => ref.set(data)),
+                async commit() {
+                    for (const write of writes) await write();
+                }
+            };
+        },
+        async runTransaction(update) {
+            return update({
+                get: target => target.get(),
+                set: (ref, data, options) => ref.set(data, options)
+            });
+        }
+    };
+}
+
+module.exports = {
+    createFakeFirestore
+};
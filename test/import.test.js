@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { extractProjectArchive, MAX_IMPORT_FILES, MAX_IMPORT_FILE_SIZE } = require('../server/import');
+const { buildZip, buildTar } = require('./helpers/archives');
+
+test('a zip of a directory is imported without its top-level directory', async () => {
+    const logo = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1]);
+    const { files, skipped, root } = extractProjectArchive(await buildZip({
+        'my-app/package.json': '{"name": "my-app"}',
+        'my-app/server.js': 'console.log(1);',
+        'my-app/public/logo.png': logo,
+        'my-app/node_modules/express/index.js': 'module.exports = {};',
+        'my-app/node_modules/express/package.json': '{}',
+        'my-app/.env': 'SECRET=1',
+        'my-app/package-lock.json': '{}'
+    }));
+
+    assert.equal(root, 'my-app');
+    assert.deepEqual(Object.keys(files), ['package.json', 'server.js', 'public/logo.png']);
+    assert.ok(files['public/logo.png'].equals(logo));
+    assert.deepEqual(skipped, [
+        { path: 'node_modules/', reason: 'node_modules directory' },
+        { path: '.env', reason: 'environment file' },
+        { path: 'package-lock.json', reason: 'lock file' }
+    ]);
+});
+
+test('tar and tar.gz archives are imported', () => {
+    const tar = buildTar([
+        { path: 'server.js', content: 'console.log(1);' },
+        { path: 'views/index.html', content: '<h1>Hi</h1>' }
+    ]);
+    for (const archive of [tar, zlib.gzipSync(tar)]) {
+        const { files, root } = extractProjectArchive(archive);
+        assert.equal(root, null);
+        assert.deepEqual(files, { 'server.js': 'console.log(1);', 'views/index.html': '<h1>Hi</h1>' });
+    }
+});
+
+test('unsafe paths and binary files other than assets are skipped', async () => {
+    const { files, skipped } = extractProjectArchive(await buildZip({
+        'server.js': 'console.log(1);',
+        '../evil.js': 'x',
+        'bin/tool': Buffer.from([0, 1, 2, 3])
+    }));
+    assert.deepEqual(Object.keys(files), ['server.js']);
+    assert.deepEqual(skipped, [
+        { path: '../evil.js', reason: 'unsafe path' },
+        { path: 'bin/tool', reason: 'binary file' }
+    ]);
+});
+
+test('archives over the limits are rejected with a 413', async () => {
+    const tooMany = Array.from({ length: MAX_IMPORT_FILES + 1 }, (_, index) => ({ path: `file-${index}.js` }));
+    assert.throws(() => extractProjectArchive(buildTar(tooMany)), { status: 413, message: /files/ });
+
+    const tooBig = await buildZip({ 'big.js': 'x'.repeat(MAX_IMPORT_FILE_SIZE + 1) });
+    assert.throws(() => extractProjectArchive(tooBig), { status: 413, message: /big\.js/ });
+});
+
+test('uploads that are not archives or hold no files are rejected with a 400', async () => {
+    assert.throws(() => extractProjectArchive(Buffer.from('hello')), { status: 400 });
+    const onlySkipped = await buildZip({ 'node_modules/a.js': 'x' });
+    assert.throws(() => extractProjectArchive(onlySkipped), { status: 400 });
+});
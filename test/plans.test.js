@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PLANS, getPlan, resolveModelSettings } = require('../server/plans');
+
+test('unknown plans get the free plan', () => {
+    assert.equal(getPlan('enterprise'), PLANS.free);
+    assert.equal(getPlan(undefined), PLANS.free);
+    assert.equal(getPlan('pro'), PLANS.pro);
+});
+
+test('without overrides the plan defaults are used', () => {
+    assert.deepEqual(resolveModelSettings('free'), {
+        model: PLANS.free.defaultModel,
+        maxTokens: PLANS.free.maxTokens,
+        temperature: PLANS.free.temperature
+    });
+});
+
+test('only the models of the plan can be picked', () => {
+    const otherModel = PLANS.pro.models.find(model => !PLANS.free.models.includes(model));
+    assert.equal(resolveModelSettings('pro', { model: otherModel }).model, otherModel);
+    assert.throws(() => resolveModelSettings('free', { model: otherModel }), { status: 400, message: /not available on your plan/ });
+});
+
+test('maxTokens is capped at the plan limit', () => {
+    assert.equal(resolveModelSettings('free', { maxTokens: '1000' }).maxTokens, 1000);
+    assert.equal(resolveModelSettings('free', { maxTokens: 100000 }).maxTokens, PLANS.free.maxTokensLimit);
+    assert.equal(resolveModelSettings('pro', { maxTokens: 100000 }).maxTokens, PLANS.pro.maxTokensLimit);
+    for (const maxTokens of [0, -5, 'many']) {
+        assert.throws(() => resolveModelSettings('free', { maxTokens }), { status: 400 });
+    }
+});
+
+test('temperature must be between 0 and 1', () => {
+    assert.equal(resolveModelSettings('free', { temperature: 0 }).temperature, 0);
+    assert.equal(resolveModelSettings('free', { temperature: '0.2' }).temperature, 0.2);
+    for (const temperature of [-0.1, 1.5, 'warm']) {
+        assert.throws(() => resolveModelSettings('free', { temperature }), { status: 400 });
+    }
+});
@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../server/storage/local');
+const { createProjectIndex } = require('../server/project-index');
+const { parseProjectQuery, queryProjects } = require('../server/project-query');
+const { createFakeFirestore } = require('./helpers/firestore');
+
+const WORKSPACE = 'user_1';
+const PENDING_PREFIX = `users/${WORKSPACE}/project-index-pending/`;
+const PROJECTS = [
+    { id: 'p1', name: 'ann-003', description: 'Loyalty points', prompt: 'Build a loyalty app', tags: ['Client-A'], archetype: 'express-app', createdAt: '2024-05-01T00:00:00.000Z', updatedAt: '2024-05-10T00:00:00.000Z' },
+    { id: 'p2', name: 'Banner', description: 'Theme banner block', prompt: 'Add an announcement banner', tags: ['client-b', 'theme'], archetype: 'theme-app-extension', createdAt: '2024-05-02T00:00:00.000Z' },
+    { id: 'p3', name: 'ann-010', description: 'Order webhooks', prompt: 'Process orders/create webhooks', tags: ['client-a'], archetype: 'webhook-processor', createdAt: '2024-05-03T00:00:00.000Z', updatedAt: '2024-05-04T00:00:00.000Z' },
+    { id: 'p4', name: 'discounts', description: '', prompt: 'Volume discounts', tags: [], archetype: 'shopify-function', createdAt: '2024-05-03T00:00:00.000Z' }
+];
+
+// An index over projects kept in memory as "storage"; pass firestore: null to
+// run without Firebase. save and remove change a project the way index.js does.
+function withIndex(run, { firestore = createFakeFirestore(), projects = [] } = {}) {
+    return async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'project-index-test-'));
+        const storage = createLocalStorage({ root });
+        const stored = new Map(projects.map(project => [project.id, project]));
+        const scans = { count: 0 };
+        const index = createProjectIndex({
+            storage,
+            scanProjects: async () => {
+                scans.count++;
+                return [...stored.values()];
+            },
+            readProject: async (workspaceId, projectId) => stored.get(projectId) || null,
+            getFirestore: () => firestore
+        });
+
+        const save = async project => {
+            await index.markPending(WORKSPACE, project.id);
+            stored.set(project.id, project);
+            await index.upsert(WORKSPACE, project);
+        };
+        const remove = async projectId => {
+            await index.markPending(WORKSPACE, projectId);
+            stored.delete(projectId);
+            await index.remove(WORKSPACE, projectId);
+        };
+
+        try {
+            await run({ index, storage, firestore, scans, save, remove });
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+function options(params = {}) {
+    return parseProjectQuery(params).options;
+}
+
+function ids(page) {
+    return page.projects.map(project => project.id);
+}
+
+test('projects saved before the index existed are indexed on first use', withIndex(async ({ index, firestore }) => {
+    assert.equal(await index.count(WORKSPACE), 4);
+    const entries = firestore.dump('user_projects');
+    assert.deepEqual(Object.keys(entries).sort(), ['user_1_p1', 'user_1_p2', 'user_1_p3', 'user_1_p4']);
+    assert.equal(entries.user_1_p1.workspaceId, WORKSPACE);
+    assert.deepEqual(entries.user_1_p1.search.tags, ['client-a']);
+    assert.equal(firestore.dump('user_project_counters').user_1.indexVersion, 3);
+
+    // Summaries leave out the index fields
+    assert.deepEqual(await index.get(WORKSPACE, 'p2'), {
+        id: 'p2',
+        name: 'Banner',
+        description: 'Theme banner block',
+        prompt: 'Add an announcement banner',
+        tags: ['client-b', 'theme'],
+        archetype: 'theme-app-extension',
+        createdAt: '2024-05-02T00:00:00.000Z',
+        updatedAt: null,
+        currentVersion: null,
+        previewUrl: null,
+        sandboxId: null
+    });
+    assert.equal(await index.get(WORKSPACE, 'p9'), null);
+}, { projects: PROJECTS }));
+
+test('Firestore pages match the in-memory query', withIndex(async ({ index, scans }) => {
+    await index.count(WORKSPACE);
+    const scansAfterIndexing = scans.count;
+
+    for (const params of [
+        {},
+        { sort: 'name', order: 'asc' },
+        { sort: 'updatedAt' },
+        { archetype: 'express-app,webhook-processor' },
+        { tag: 'CLIENT-A' },
+        { q: 'ann' },
+        // More than one tag or word is partly filtered outside Firestore
+        { tag: 'client-a', q: 'loyalty' }
+    ]) {
+        const expected = queryProjects(PROJECTS, options(params));
+        const page = await index.query(WORKSPACE, options(params));
+        assert.deepEqual(ids(page), ids(expected), JSON.stringify(params));
+        assert.equal(page.total, expected.total);
+    }
+
+    // Cursors from Firestore walk through every project once
+    const seen = [];
+    let page = await index.query(WORKSPACE, options({ limit: '1' }));
+    while (true) {
+        seen.push(...ids(page));
+        if (!page.nextCursor) break;
+        page = await index.query(WORKSPACE, options({ limit: '1', cursor: page.nextCursor }));
+    }
+    assert.deepEqual(seen, ['p3', 'p4', 'p2', 'p1']);
+    assert.equal(scans.count, scansAfterIndexing);
+}, { projects: PROJECTS }));
+
+test('the outbox marker is removed once the index has the change', withIndex(async ({ index, storage, firestore, save, remove }) => {
+    await index.count(WORKSPACE);
+    await save({ ...PROJECTS[0], name: 'renamed' });
+    assert.deepEqual(await storage.listFiles(PENDING_PREFIX), []);
+    assert.equal(firestore.dump('user_projects').user_1_p1.name, 'renamed');
+
+    await remove('p1');
+    assert.deepEqual(await storage.listFiles(PENDING_PREFIX), []);
+    assert.equal(firestore.dump('user_projects').user_1_p1, undefined);
+}));
+
+test('an index write that keeps failing is applied from storage when the workspace is next listed', withIndex(async ({ index, storage, firestore, save }) => {
+    await index.count(WORKSPACE);
+    // Every attempt fails; the project.json write itself goes ahead
+    firestore.fail.writes = 3;
+    await save(PROJECTS[1]);
+    assert.deepEqual(await storage.listFiles(PENDING_PREFIX), [`${PENDING_PREFIX}p2`]);
+    assert.deepEqual(firestore.dump('user_projects'), {});
+
+    assert.deepEqual(ids(await index.query(WORKSPACE, options())), ['p2']);
+    assert.deepEqual(await storage.listFiles(PENDING_PREFIX), []);
+}));
+
+test('a write that succeeds on a retry leaves no marker', withIndex(async ({ index, storage, firestore, save }) => {
+    await index.count(WORKSPACE);
+    firestore.fail.writes = 2;
+    await save(PROJECTS[1]);
+    assert.deepEqual(await storage.listFiles(PENDING_PREFIX), []);
+    assert.ok(firestore.dump('user_projects').user_1_p2);
+}));
+
+test('a failed delete is applied when the workspace is next counted', withIndex(async ({ index, storage, firestore, remove }) => {
+    await index.count(WORKSPACE);
+    firestore.fail.writes = 3;
+    await remove('p4');
+    assert.ok(firestore.dump('user_projects').user_1_p4);
+
+    assert.equal(await index.count(WORKSPACE), 3);
+    assert.equal(firestore.dump('user_projects').user_1_p4, undefined);
+    assert.deepEqual(await storage.listFiles(PENDING_PREFIX), []);
+}, { projects: PROJECTS }));
+
+test('a failing Firestore query falls back to a storage scan', withIndex(async ({ index, firestore, scans }) => {
+    const errors = test.mock.method(console, 'error', () => {});
+    try {
+        await index.count(WORKSPACE);
+        const scansBefore = scans.count;
+        firestore.fail.queries = 1;
+        const page = await index.query(WORKSPACE, options());
+        assert.deepEqual(ids(page), ['p3', 'p4', 'p2', 'p1']);
+        assert.equal(scans.count, scansBefore + 1);
+        assert.equal(errors.mock.callCount(), 1);
+        const message = errors.mock.calls[0].arguments.join(' ');
+        assert.match(message, /full storage scan/);
+        assert.match(message, /firestore\.indexes\.json/);
+        assert.match(message, /requires an index/);
+    } finally {
+        errors.mock.restore();
+    }
+}, { projects: PROJECTS }));
+
+test('project numbers continue after the highest numbered project', withIndex(async ({ index, firestore }) => {
+    assert.equal(await index.reserveProjectNumber(WORKSPACE), 11);
+    assert.equal(await index.reserveProjectNumber(WORKSPACE), 12);
+    assert.equal(firestore.dump('user_project_counters').user_1.nextNumber, 13);
+}, { projects: PROJECTS }));
+
+test('without Firestore, projects are listed from storage', withIndex(async ({ index, storage, save }) => {
+    await save(PROJECTS[0]);
+    // There is no index to keep in sync
+    assert.deepEqual(await storage.listFiles(PENDING_PREFIX), []);
+    assert.deepEqual(ids(await index.query(WORKSPACE, options())), ['p1']);
+    assert.equal(await index.count(WORKSPACE), 1);
+    assert.equal((await index.get(WORKSPACE, 'p1')).name, 'ann-003');
+}, { firestore: null }));
+
+test('without Firestore, the counter is kept in storage', withIndex(async ({ index, storage }) => {
+    assert.equal(await index.reserveProjectNumber(WORKSPACE), 11);
+    assert.deepEqual(JSON.parse(await storage.readFile(`users/${WORKSPACE}/project-counter.json`)), { nextNumber: 12 });
+}, { firestore: null, projects: PROJECTS }));
+
+test('concurrent reservations never get the same number', withIndex(async ({ index }) => {
+    const numbers = await Promise.all(Array.from({ length: 10 }, () => index.reserveProjectNumber(WORKSPACE)));
+    assert.deepEqual(numbers.sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    // Each workspace has a counter of its own
+    assert.equal(await index.reserveProjectNumber('ws_0123456789ab'), 1);
+}, { firestore: null }));
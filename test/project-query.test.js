@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProjectQuery, queryProjects, projectSearchKeys } = require('../server/project-query');
+
+const PROJECTS = [
+    { id: 'p1', name: 'ann-001', description: 'Loyalty points for Shopify stores', prompt: 'Build a loyalty app', tags: ['Client-A'], archetype: 'express-app', createdAt: '2024-05-01T00:00:00.000Z', updatedAt: '2024-05-10T00:00:00.000Z' },
+    { id: 'p2', name: 'Banner', description: 'Theme banner block', prompt: 'Add an announcement banner', tags: ['client-b', 'theme'], archetype: 'theme-app-extension', createdAt: '2024-05-02T00:00:00.000Z', updatedAt: null },
+    { id: 'p3', name: 'ann-002', description: 'Order webhooks', prompt: 'Process orders/create webhooks', tags: ['client-a'], archetype: 'webhook-processor', createdAt: '2024-05-03T00:00:00.000Z', updatedAt: '2024-05-04T00:00:00.000Z' },
+    { id: 'p4', name: 'discounts', description: '', prompt: 'Volume discounts', tags: [], archetype: 'shopify-function', createdAt: '2024-05-03T00:00:00.000Z', updatedAt: null }
+];
+
+function query(params) {
+    const { options, error } = parseProjectQuery(params);
+    assert.equal(error, undefined);
+    return queryProjects(PROJECTS, options);
+}
+
+function ids(page) {
+    return page.projects.map(project => project.id);
+}
+
+test('the defaults list the newest projects first', () => {
+    const { options } = parseProjectQuery({});
+    assert.deepEqual(options, { terms: [], tags: [], archetypes: [], sort: 'createdAt', order: 'desc', limit: 20, cursor: null });
+    // Projects created at the same time are ordered by ID
+    assert.deepEqual(ids(query({})), ['p3', 'p4', 'p2', 'p1']);
+});
+
+test('invalid parameters are reported', () => {
+    for (const params of [
+        { sort: 'size' },
+        { order: 'up' },
+        { limit: '0' },
+        { limit: '101' },
+        { limit: '2.5' },
+        { cursor: 'not-a-cursor' },
+        { q: 'x'.repeat(201) },
+        { q: ['a', 'b'] }
+    ]) {
+        assert.ok(parseProjectQuery(params).error, `${JSON.stringify(params)} should be rejected`);
+    }
+});
+
+test('search words match whole words or their start in the name or description', () => {
+    assert.deepEqual(ids(query({ q: 'loyalty' })), ['p1']);
+    assert.deepEqual(ids(query({ q: 'LOY' })), ['p1']);
+    assert.deepEqual(ids(query({ q: 'webhooks order' })), ['p3']);
+    assert.deepEqual(ids(query({ q: 'ann' })), ['p3', 'p1']);
+    assert.deepEqual(ids(query({ q: 'ann-002' })), ['p3']);
+    // Not the middle of a word
+    assert.deepEqual(ids(query({ q: 'yalty' })), []);
+    // Nor the prompt
+    assert.deepEqual(ids(query({ q: 'announcement' })), []);
+});
+
+test('tags must all match and archetypes may match any, ignoring case', () => {
+    assert.deepEqual(ids(query({ tag: 'client-a' })), ['p3', 'p1']);
+    assert.deepEqual(ids(query({ tag: ['client-b', 'THEME'] })), ['p2']);
+    assert.deepEqual(ids(query({ tag: 'client-a,theme' })), []);
+    assert.deepEqual(ids(query({ archetype: 'shopify-function,theme-app-extension' })), ['p4', 'p2']);
+});
+
+test('projects sort by name or by last change', () => {
+    assert.deepEqual(ids(query({ sort: 'name' })), ['p1', 'p3', 'p2', 'p4']);
+    assert.deepEqual(ids(query({ sort: 'name', order: 'desc' })), ['p4', 'p2', 'p3', 'p1']);
+    // Projects that were never changed sort by their creation time
+    assert.deepEqual(ids(query({ sort: 'updatedAt' })), ['p1', 'p3', 'p4', 'p2']);
+});
+
+test('cursors page through the matches without gaps or repeats', () => {
+    const seen = [];
+    let page = query({ limit: '3' });
+    assert.equal(page.total, 4);
+    seen.push(...ids(page));
+
+    page = query({ limit: '3', cursor: page.nextCursor });
+    assert.equal(page.nextCursor, null);
+    seen.push(...ids(page));
+    assert.deepEqual(seen, ['p3', 'p4', 'p2', 'p1']);
+});
+
+test('a cursor stays valid when the project it names is deleted', () => {
+    const { options } = parseProjectQuery({ limit: '2' });
+    const first = queryProjects(PROJECTS, options);
+    const remaining = PROJECTS.filter(project => project.id !== 'p4');
+    const { options: next } = parseProjectQuery({ limit: '2', cursor: first.nextCursor });
+    assert.deepEqual(ids(queryProjects(remaining, next)), ['p2', 'p1']);
+});
+
+test('search keys hold every start of every word of the name and description', () => {
+    const keys = projectSearchKeys({ name: 'ann-001', description: 'Big', prompt: 'Build a loyalty app' });
+    assert.deepEqual(keys.sort(), ['0', '00', '001', 'a', 'an', 'ann', 'b', 'bi', 'big']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../server/storage/local');
+const { createStorage } = require('../server/storage');
+
+function withStorage(run) {
+    return async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+        try {
+            await run(createLocalStorage({ root }), root);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+test('files are written, read, listed and deleted by key', withStorage(async (storage, root) => {
+    await storage.writeFile('users/u1/projects/p1/project.json', '{"id":"p1"}');
+    await storage.writeFile('users/u1/projects/p1/files/public/logo.png', Buffer.from([0x89, 0x50]));
+    await storage.writeFile('users/u1/projects/p2/project.json', '{"id":"p2"}');
+
+    assert.equal((await storage.readFile('users/u1/projects/p1/project.json')).toString(), '{"id":"p1"}');
+    assert.ok((await storage.readFile('users/u1/projects/p1/files/public/logo.png')).equals(Buffer.from([0x89, 0x50])));
+    assert.ok(fs.existsSync(path.join(root, 'users', 'u1', 'projects', 'p1', 'project.json')));
+
+    // Temporary files of the writes are never listed
+    assert.deepEqual(await storage.listFiles('users/u1/projects/p'), [
+        'users/u1/projects/p1/files/public/logo.png',
+        'users/u1/projects/p1/project.json',
+        'users/u1/projects/p2/project.json'
+    ]);
+    assert.deepEqual(await storage.listFiles('users/u2/'), []);
+
+    await storage.deleteFile('users/u1/projects/p2/project.json');
+    await storage.deleteFile('users/u1/projects/p2/project.json');
+    assert.equal(await storage.exists('users/u1/projects/p2/project.json'), false);
+
+    await storage.deletePrefix('users/u1/projects/p1/');
+    assert.deepEqual(await storage.listFiles('users/'), []);
+    assert.equal(fs.existsSync(path.join(root, 'users', 'u1', 'projects', 'p1')), false);
+}));
+
+test('missing files and directories read as null', withStorage(async storage => {
+    await storage.writeFile('users/u1/a.json', '{}');
+    assert.equal(await storage.readFile('users/u1/missing.json'), null);
+    assert.equal(await storage.readFile('users/u1'), null);
+    assert.equal(await storage.exists('users/u1'), false);
+    assert.equal(await storage.exists('users/u1/a.json'), true);
+}));
+
+test('writes with ifNotExists fail with EEXIST instead of replacing', withStorage(async storage => {
+    await storage.writeFile('users/u1/versions/v1.json', 'first', { ifNotExists: true });
+    await assert.rejects(storage.writeFile('users/u1/versions/v1.json', 'second', { ifNotExists: true }), { code: 'EEXIST' });
+    assert.equal((await storage.readFile('users/u1/versions/v1.json')).toString(), 'first');
+
+    await storage.writeFile('users/u1/versions/v1.json', 'second');
+    assert.equal((await storage.readFile('users/u1/versions/v1.json')).toString(), 'second');
+}));
+
+test('keys that could leave the root are rejected', withStorage(async (storage, root) => {
+    for (const key of ['', '../outside.json', 'users/../../outside.json', 'users/./a.json', 'users//a.json', '/etc/passwd', 'users/u1/', '.tmp/a']) {
+        await assert.rejects(storage.writeFile(key, 'x'), { message: /Invalid storage key/ }, `"${key}" should be rejected`);
+        await assert.rejects(storage.readFile(key), { message: /Invalid storage key/ });
+    }
+    assert.equal(fs.existsSync(path.join(root, '..', 'outside.json')), false);
+}));
+
+test('the backend is picked by name', () => {
+    assert.equal(createStorage({}, 'local').name, 'local');
+    assert.throws(() => createStorage({}, 'firebase'), /not configured/);
+    assert.throws(() => createStorage({}, 's3'), /Unknown storage backend "s3"/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readTarEntries } = require('../server/tar');
+const { buildTar } = require('./helpers/archives');
+
+test('files and directories are listed with their content', () => {
+    const entries = readTarEntries(buildTar([
+        { path: 'app/', type: '5' },
+        { path: 'app/server.js', content: "require('express')().listen(3000);\n" },
+        { path: 'app/empty.txt', content: '' }
+    ]));
+
+    assert.deepEqual(entries.map(({ path, size, isDirectory, isFile }) => ({ path, size, isDirectory, isFile })), [
+        { path: 'app/', size: 0, isDirectory: true, isFile: false },
+        { path: 'app/server.js', size: 35, isDirectory: false, isFile: true },
+        { path: 'app/empty.txt', size: 0, isDirectory: false, isFile: true }
+    ]);
+    assert.equal(entries[1].read().toString(), "require('express')().listen(3000);\n");
+});
+
+test('GNU long names and pax paths name the entry that follows them', () => {
+    const longPath = `app/${'nested/'.repeat(20)}server.js`;
+    const entries = readTarEntries(buildTar([
+        { path: '././@LongLink', content: longPath, type: 'L' },
+        { path: longPath.slice(0, 99), content: 'long' },
+        { path: 'PaxHeader', content: '24 path=app/pax-name.js\n', type: 'x' },
+        { path: 'short-name.js', content: 'pax' },
+        { path: 'app/after.js', content: 'after' }
+    ]));
+
+    assert.deepEqual(entries.map(entry => entry.path), [longPath, 'app/pax-name.js', 'app/after.js']);
+    assert.equal(entries[0].read().toString(), 'long');
+});
+
+test('links are neither files nor directories', () => {
+    const [link] = readTarEntries(buildTar([{ path: 'app/link', type: '2' }]));
+    assert.equal(link.isFile, false);
+    assert.equal(link.isDirectory, false);
+});
+
+test('a bad header checksum is rejected with a 400', () => {
+    const archive = buildTar([{ path: 'server.js', content: 'x' }]);
+    archive[0] = 'S'.charCodeAt(0);
+    assert.throws(() => readTarEntries(archive), { status: 400, message: /bad header checksum/ });
+});
+
+test('a truncated archive is rejected with a 400', () => {
+    const archive = buildTar([{ path: 'server.js', content: 'x'.repeat(2000) }]);
+    assert.throws(() => readTarEntries(archive.subarray(0, 1024)), { status: 400, message: /truncated/ });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SANDBOX_MINUTES, recordUsage, enforceQuota, reserveUsage, getUsageSummary } = require('../server/usage');
+const { PLANS } = require('../server/plans');
+
+// Without Firebase, usage is kept in memory; every test uses its own user
+
+test('recorded usage adds up for the day and the month', async () => {
+    await recordUsage('user_totals', { inputTokens: 100, outputTokens: 50, generations: 1 });
+    await recordUsage('user_totals', { inputTokens: 10, generations: 1, sandboxes: 1, sandboxMinutes: SANDBOX_MINUTES });
+
+    const summary = await getUsageSummary('user_totals', 'free');
+    assert.equal(summary.plan, 'free');
+    for (const period of ['daily', 'monthly']) {
+        assert.deepEqual(summary[period].usage, {
+            inputTokens: 110,
+            outputTokens: 50,
+            generations: 2,
+            sandboxes: 1,
+            sandboxMinutes: SANDBOX_MINUTES,
+            tokens: 160
+        });
+        assert.deepEqual(summary[period].limits, PLANS.free.quotas[period]);
+    }
+    assert.ok(new Date(summary.daily.resetsAt) > new Date());
+    assert.ok(new Date(summary.monthly.resetsAt) >= new Date(summary.daily.resetsAt));
+});
+
+test('a request within the quotas passes', async () => {
+    await recordUsage('user_within', { generations: PLANS.free.quotas.daily.generations - 1 });
+    await enforceQuota('user_within', 'free', { generations: 1, tokens: 1 });
+});
+
+test('going over a daily quota is rejected with a 429', async () => {
+    await recordUsage('user_daily', { generations: PLANS.free.quotas.daily.generations });
+    await assert.rejects(enforceQuota('user_daily', 'free', { generations: 1 }), error => {
+        assert.equal(error.status, 429);
+        assert.match(error.message, /^Daily generation quota reached \(20 of 20 used\)/);
+        assert.equal(error.quota.period, 'daily');
+        assert.equal(error.quota.metric, 'generations');
+        return true;
+    });
+
+    // The pro plan allows more
+    await enforceQuota('user_daily', 'pro', { generations: 1 });
+});
+
+test('going over a monthly quota is rejected with a 402', async () => {
+    // Sandbox minutes have no daily limit on the free plan
+    await recordUsage('user_monthly', { sandboxMinutes: PLANS.free.quotas.monthly.sandboxMinutes });
+    await assert.rejects(enforceQuota('user_monthly', 'free', { sandboxMinutes: SANDBOX_MINUTES }), error => {
+        assert.equal(error.status, 402);
+        assert.equal(error.quota.period, 'monthly');
+        assert.equal(error.quota.metric, 'sandboxMinutes');
+        return true;
+    });
+});
+
+test('input and output tokens count together against the token quota', async () => {
+    const limit = PLANS.free.quotas.daily.tokens;
+    await recordUsage('user_tokens', { inputTokens: limit / 2, outputTokens: limit / 2 });
+    await assert.rejects(enforceQuota('user_tokens', 'free', { tokens: 1 }), { status: 429 });
+});
+
+test('concurrent reservations never take a user over a quota', async () => {
+    const limit = PLANS.free.quotas.daily.sandboxes;
+    const results = await Promise.allSettled(Array.from({ length: limit + 5 }, () =>
+        reserveUsage('user_concurrent', 'free', { sandboxes: 1 })
+    ));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, limit);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.status === 429));
+    assert.equal((await getUsageSummary('user_concurrent', 'free')).daily.usage.sandboxes, limit);
+});
+
+test('a refunded reservation frees its quota again', async () => {
+    const amounts = { sandboxes: 1, sandboxMinutes: SANDBOX_MINUTES };
+    await recordUsage('user_refund', { sandboxes: PLANS.free.quotas.daily.sandboxes - 1 });
+    const refund = await reserveUsage('user_refund', 'free', amounts);
+    await assert.rejects(reserveUsage('user_refund', 'free', amounts), { status: 429 });
+
+    await refund();
+    const summary = await getUsageSummary('user_refund', 'free');
+    assert.equal(summary.daily.usage.sandboxes, PLANS.free.quotas.daily.sandboxes - 1);
+    assert.equal(summary.daily.usage.sandboxMinutes, 0);
+    await reserveUsage('user_refund', 'free', amounts);
+});
+
+test('a reservation is checked only against the quotas it charges', async () => {
+    await recordUsage('user_spent_tokens', { inputTokens: PLANS.free.quotas.daily.tokens });
+    await reserveUsage('user_spent_tokens', 'free', { sandboxes: 1, sandboxMinutes: SANDBOX_MINUTES });
+    await assert.rejects(reserveUsage('user_spent_tokens', 'free', { inputTokens: 1 }), { status: 429 });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProjectSource, formatDiagnostic } = require('../server/validation');
+
+const PACKAGE_JSON = JSON.stringify({ name: 'app', dependencies: { express: '^4.18.2' } });
+const SERVER = "const express = require('express');\nconst app = express();\napp.listen(process.env.PORT || 3000);\n";
+
+function errors(files) {
+    return validateProjectSource(files).filter(diagnostic => diagnostic.severity === 'error');
+}
+
+test('a complete project passes', () => {
+    assert.deepEqual(validateProjectSource({
+        'package.json': PACKAGE_JSON,
+        'server.js': SERVER,
+        'routes/index.ts': "import type { Request } from 'express';\nimport { helper } from './helper';\nexport const route = (req: Request) => helper(req);\n",
+        'public/app.js': "import confetti from 'https://cdn.example.com/confetti.js';\nimport lodash from 'lodash';\n",
+        'views/index.html': '<!DOCTYPE html><html><head><title>App</title></head><body><p>Hi<br></body></html>'
+    }), []);
+});
+
+test('syntax errors are reported with their location', () => {
+    const diagnostics = errors({ 'package.json': PACKAGE_JSON, 'server.js': SERVER, 'routes/api.js': 'const a = {;\n' });
+    assert.equal(diagnostics.length, 1);
+    const { message, ...location } = diagnostics[0];
+    assert.deepEqual(location, { file: 'routes/api.js', line: 1, column: 12, severity: 'error', rule: 'syntax' });
+    assert.match(message, /^Syntax error: /);
+    assert.equal(formatDiagnostic(diagnostics[0]), `routes/api.js:1:12: ${message}`);
+});
+
+test('packages a server script imports must be declared', () => {
+    const diagnostics = errors({
+        'package.json': PACKAGE_JSON,
+        'server.js': `${SERVER}const cors = require('cors');\nimport('node:fs');\nrequire('path');\n`
+    });
+    assert.deepEqual(diagnostics.map(({ file, line, rule, message }) => ({ file, line, rule, message })), [
+        { file: 'server.js', line: 4, rule: 'dependency', message: '"cors" is imported but not declared in package.json' }
+    ]);
+});
+
+test('scoped packages are checked against the nearest package.json', () => {
+    const diagnostics = errors({
+        'package.json': PACKAGE_JSON,
+        'server.js': SERVER,
+        'extensions/app/package.json': JSON.stringify({ dependencies: { '@shopify/ui-extensions': '^2024.4.0' } }),
+        'extensions/app/index.js': "import '@shopify/ui-extensions/checkout';\nimport express from 'express';\n"
+    });
+    assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message), ['"express" is imported but not declared in extensions/app/package.json']);
+});
+
+test('invalid JSON and unbalanced HTML are errors', () => {
+    const diagnostics = errors({
+        'package.json': '{ "name": "app", }',
+        'server.js': SERVER,
+        'views/index.html': '<div><span>Hi</div>'
+    });
+    assert.deepEqual(diagnostics.map(({ file, rule }) => ({ file, rule })), [
+        { file: 'package.json', rule: 'json' },
+        { file: 'views/index.html', rule: 'html' }
+    ]);
+    assert.match(diagnostics[1].message, /<span> is not closed before <\/div>/);
+});
+
+test('the app must start from server.js on the preview port', () => {
+    assert.deepEqual(errors({ 'package.json': PACKAGE_JSON, 'app.js': SERVER }).map(diagnostic => diagnostic.message), [
+        'server.js is missing; the app is started with "node server.js"'
+    ]);
+    assert.match(errors({ 'package.json': PACKAGE_JSON, 'server.js': "require('express')();" })[0].message, /never calls listen/);
+    assert.match(errors({ 'package.json': PACKAGE_JSON, 'server.js': "require('express')().listen(8080);" })[0].message, /port 3000/);
+});
+
+test('a missing package.json is only a warning', () => {
+    assert.deepEqual(validateProjectSource({ 'server.js': SERVER }).map(({ severity, rule }) => ({ severity, rule })), [
+        { severity: 'warning', rule: 'package-json' }
+    ]);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../server/storage/local');
+const { createWorkspaceStore, createWorkspaceGuard } = require('../server/workspaces');
+
+const OWNER = { uid: 'user_owner', email: 'owner@example.com' };
+const EDITOR = { uid: 'user_editor', email: 'editor@example.com' };
+const VIEWER = { uid: 'user_viewer', email: 'viewer@example.com' };
+const OUTSIDER = { uid: 'user_outsider', email: 'outsider@example.com' };
+
+// A team workspace with an owner, an editor and a viewer
+function withWorkspace(run) {
+    return async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-test-'));
+        const store = createWorkspaceStore({ storage: createLocalStorage({ root }) });
+        try {
+            const workspace = await store.create(OWNER, 'Agency');
+            await store.setMember(workspace.id, EDITOR.uid, { role: 'editor', email: EDITOR.email });
+            await store.setMember(workspace.id, VIEWER.uid, { role: 'viewer', email: VIEWER.email });
+            await run(store, workspace);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+// Run the guard for one request; returns what it did
+async function guard(store, permission, user, { params = {}, headers = {} } = {}) {
+    const req = { user, params, get: name => headers[name] };
+    const result = {};
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+    await createWorkspaceGuard(() => store)(permission)(req, res, () => {
+        result.next = true;
+    });
+    return { ...result, workspace: req.workspace };
+}
+
+test('each role allows its permissions and no more', withWorkspace(async (store, workspace) => {
+    const expected = {
+        owner: { view: true, edit: true, manage: true },
+        editor: { view: true, edit: true, manage: false },
+        viewer: { view: true, edit: false, manage: false }
+    };
+    for (const [role, user] of [['owner', OWNER], ['editor', EDITOR], ['viewer', VIEWER]]) {
+        for (const permission of ['view', 'edit', 'manage']) {
+            const result = await guard(store, permission, user, { headers: { 'X-Workspace-Id': workspace.id } });
+            if (expected[role][permission]) {
+                assert.equal(result.next, true, `${role} should be allowed to ${permission}`);
+                assert.deepEqual(result.workspace, { id: workspace.id, name: 'Agency', personal: false, role });
+            } else {
+                assert.equal(result.status, 403, `${role} should not be allowed to ${permission}`);
+                assert.equal(result.next, undefined);
+                assert.match(result.body.message, new RegExp(`\\(${role}\\)`));
+            }
+        }
+    }
+}));
+
+test('non-members get a 404 as if the workspace did not exist', withWorkspace(async (store, workspace) => {
+    for (const workspaceId of [workspace.id, 'ws_000000000000', EDITOR.uid]) {
+        const result = await guard(store, 'view', OUTSIDER, { headers: { 'X-Workspace-Id': workspaceId } });
+        assert.equal(result.status, 404);
+        assert.equal(result.next, undefined);
+    }
+}));
+
+test('a removed member loses access', withWorkspace(async (store, workspace) => {
+    assert.equal(await store.removeMember(workspace.id, EDITOR.uid), true);
+    assert.equal((await guard(store, 'view', EDITOR, { params: { workspaceId: workspace.id } })).status, 404);
+    assert.equal(await store.getMembership(EDITOR, workspace.id), null);
+}));
+
+test('requests act in the personal workspace by default, with every permission', withWorkspace(async store => {
+    for (const options of [{}, { headers: { 'X-Workspace-Id': OUTSIDER.uid } }]) {
+        const result = await guard(store, 'manage', OUTSIDER, options);
+        assert.equal(result.next, true);
+        assert.deepEqual(result.workspace, { id: OUTSIDER.uid, name: 'Personal', personal: true, role: 'owner' });
+    }
+}));
+
+test('the route parameter wins over the header', withWorkspace(async (store, workspace) => {
+    const result = await guard(store, 'view', VIEWER, { params: { workspaceId: workspace.id }, headers: { 'X-Workspace-Id': VIEWER.uid } });
+    assert.equal(result.workspace.id, workspace.id);
+}));
+
+test('a workspace always keeps an owner', withWorkspace(async (store, workspace) => {
+    await assert.rejects(store.setMember(workspace.id, OWNER.uid, { role: 'editor' }), { status: 409 });
+    await assert.rejects(store.removeMember(workspace.id, OWNER.uid), { status: 409 });
+
+    await store.setMember(workspace.id, EDITOR.uid, { role: 'owner' });
+    await store.removeMember(workspace.id, OWNER.uid);
+    assert.deepEqual((await store.listForUser(EDITOR)).map(({ name, role }) => ({ name, role })), [
+        { name: 'Personal', role: 'owner' },
+        { name: 'Agency', role: 'owner' }
+    ]);
+    assert.deepEqual((await store.listForUser(OWNER)).map(({ name }) => name), ['Personal']);
+}));
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readZipEntries } = require('../server/zip');
+const { buildZip } = require('./helpers/archives');
+
+test('files written by the zip writer are read back', async () => {
+    const logo = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]);
+    const archive = await buildZip({
+        'server.js': "require('express')().listen(3000);\n",
+        'public/logo.png': logo,
+        'docs/ünïcode.md': '# Hello\n',
+        'empty.txt': ''
+    });
+
+    const entries = readZipEntries(archive);
+    assert.deepEqual(entries.map(({ path, size, isFile }) => ({ path, size, isFile })), [
+        { path: 'server.js', size: 35, isFile: true },
+        { path: 'public/logo.png', size: 8, isFile: true },
+        { path: 'docs/ünïcode.md', size: 8, isFile: true },
+        { path: 'empty.txt', size: 0, isFile: true }
+    ]);
+    assert.equal(entries[0].read().toString(), "require('express')().listen(3000);\n");
+    assert.ok(entries[1].read().equals(logo));
+    assert.equal(entries[3].read().length, 0);
+});
+
+test('the same files give the same archive', async () => {
+    const files = { 'a.txt': 'a', 'b/c.txt': 'c' };
+    assert.ok((await buildZip(files)).equals(await buildZip(files)));
+});
+
+test('data that is not a zip archive is rejected with a 400', () => {
+    assert.throws(() => readZipEntries(Buffer.from('not a zip archive')), { status: 400, message: /end of central directory not found/ });
+    assert.throws(() => readZipEntries(Buffer.alloc(0)), { status: 400 });
+});
+
+test('corrupt entries are rejected when they are read', async () => {
+    const archive = await buildZip({ 'server.js': 'x'.repeat(1000) });
+    // Flip a byte of the compressed data, just after the 30-byte local header and the name
+    archive[30 + 'server.js'.length + 2] ^= 0xff;
+
+    const [entry] = readZipEntries(archive);
+    assert.throws(() => entry.read(), { status: 400 });
+});
+
+test('an entry never inflates to more than its declared size', async () => {
+    const archive = await buildZip({ 'bomb.txt': 'a'.repeat(100000) });
+    // Shrink the uncompressed size in the central directory entry
+    const directory = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    archive.writeUInt32LE(10, directory + 24);
+
+    const [entry] = readZipEntries(archive);
+    assert.equal(entry.size, 10);
+    assert.throws(() => entry.read(), { status: 400 });
+});